@@ -0,0 +1,89 @@
+// config/orderStatus.js - Which order status changes are allowed, and who may make them
+//
+// Roles are the acting user's role ('admin', 'agent', 'user'), or 'system' for
+// automated changes (M-Pesa confirmations, expired stock holds).
+
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'arrived_at_station', 'delivered', 'cancelled'];
+
+// from -> to -> roles allowed to make that change
+const ORDER_TRANSITIONS = {
+  pending: {
+    // Payment confirmed (M-Pesa confirmation, store credit at checkout, or an admin confirming it manually)
+    processing: ['admin', 'system'],
+    cancelled: ['admin', 'system']
+  },
+  processing: {
+    shipped: ['admin'],
+    cancelled: ['admin']
+  },
+  shipped: {
+    arrived_at_station: ['admin', 'agent'],
+    delivered: ['admin', 'agent'],
+    cancelled: ['admin']
+  },
+  arrived_at_station: {
+    delivered: ['admin', 'agent'],
+    cancelled: ['admin']
+  },
+  // Final states
+  delivered: {},
+  cancelled: {}
+};
+
+// Items can still be changed until the order is shipped
+const EDITABLE_STATUSES = ['pending', 'processing'];
+
+// Steps that only make sense for one delivery method
+const DELIVERY_METHOD_RULES = {
+  // Only pickup station orders arrive at a station...
+  arrived_at_station: ({ deliveryMethod }) => deliveryMethod === 'pickup_station',
+  // ...and they must have arrived there before they can be collected
+  delivered: ({ deliveryMethod, from }) => deliveryMethod !== 'pickup_station' || from === 'arrived_at_station'
+};
+
+/**
+ * Why an order can't move to a status, or null if it can
+ * @param {Object} order - Order (status and deliveryMethod are used)
+ * @param {String} to - Target status
+ * @param {String} role - 'admin', 'agent', 'user' or 'system'
+ * @returns {String|null} Reason the change is not allowed
+ */
+const getTransitionError = (order, to, role) => {
+  const from = order.status;
+
+  if (!ORDER_STATUSES.includes(to)) {
+    return 'Invalid status';
+  }
+  if (from === to) {
+    return `Order is already ${to}`;
+  }
+
+  const roles = (ORDER_TRANSITIONS[from] || {})[to];
+  if (!roles) {
+    return `Cannot change an order from ${from} to ${to}`;
+  }
+  if (!roles.includes(role)) {
+    return `Your role cannot change an order from ${from} to ${to}`;
+  }
+
+  const rule = DELIVERY_METHOD_RULES[to];
+  if (rule && !rule({ deliveryMethod: order.deliveryMethod, from })) {
+    return to === 'arrived_at_station'
+      ? 'Only pickup station orders can be marked as arrived at a station'
+      : 'Pickup station orders must arrive at the station before they can be delivered';
+  }
+
+  return null;
+};
+
+// Statuses an order can move to next for a role
+const getAllowedTransitions = (order, role) => Object.keys(ORDER_TRANSITIONS[order.status] || {})
+  .filter(to => !getTransitionError(order, to, role));
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  EDITABLE_STATUSES,
+  getTransitionError,
+  getAllowedTransitions
+};
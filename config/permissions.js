@@ -0,0 +1,95 @@
+// config/permissions.js - What each kind of admin staff member is allowed to do
+//
+// Every staff account has role 'admin' plus an adminRole from ADMIN_ROLES.
+// An admin without an adminRole has no permissions until a staff manager assigns one.
+// Admins created before admin roles existed are given super_admin by
+// scripts/migrateAdminRoles.js, which is run once when deploying admin roles.
+
+const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard.view',
+  USERS_VIEW: 'users.view',
+  USERS_MANAGE: 'users.manage',
+  STAFF_MANAGE: 'staff.manage', // assign admin roles
+  AUDIT_VIEW: 'audit.view',
+  CATALOGUE_MANAGE: 'catalogue.manage', // products, categories, brands, banners, deals, stock, uploads
+  ORDERS_VIEW: 'orders.view',
+  ORDERS_MANAGE: 'orders.manage',
+  REVIEWS_MODERATE: 'reviews.moderate',
+  AGENTS_VIEW: 'agents.view',
+  AGENTS_MANAGE: 'agents.manage', // agents and pickup stations
+  PAYOUTS_VIEW: 'payouts.view',
+  PAYOUTS_APPROVE: 'payouts.approve', // approve/pay/reject/hold payout requests
+  PAYOUT_SETTINGS_MANAGE: 'payouts.settings', // commission rates, thresholds, global hold, auto-approval
+  PAYMENTS_MANAGE: 'payments.manage', // M-Pesa reconciliation, exceptions and C2B suspense
+  CHAMA_MANAGE: 'chama.manage'
+};
+
+const P = PERMISSIONS;
+
+// Permission matrix; '*' grants everything
+const ROLE_PERMISSIONS = {
+  super_admin: ['*'],
+  catalogue_manager: [
+    P.DASHBOARD_VIEW,
+    P.CATALOGUE_MANAGE,
+    P.ORDERS_VIEW,
+    P.REVIEWS_MODERATE
+  ],
+  finance: [
+    P.DASHBOARD_VIEW,
+    P.ORDERS_VIEW,
+    P.AGENTS_VIEW,
+    P.PAYOUTS_VIEW,
+    P.PAYOUTS_APPROVE,
+    P.PAYMENTS_MANAGE
+  ],
+  payout_approver: [
+    P.PAYOUTS_VIEW,
+    P.PAYOUTS_APPROVE
+  ],
+  chama_officer: [
+    P.DASHBOARD_VIEW,
+    P.USERS_VIEW,
+    P.ORDERS_VIEW,
+    P.CHAMA_MANAGE
+  ],
+  support: [
+    P.DASHBOARD_VIEW,
+    P.USERS_VIEW,
+    P.ORDERS_VIEW,
+    P.ORDERS_MANAGE,
+    P.REVIEWS_MODERATE,
+    P.AGENTS_VIEW
+  ]
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Shown for admins who haven't been given an adminRole yet
+const UNASSIGNED_ADMIN_ROLE = 'unassigned';
+
+// Admins created before admin roles existed are migrated to this role
+const LEGACY_ADMIN_ROLE = 'super_admin';
+
+// Permissions held by a user (empty for anyone who isn't admin staff or has no adminRole)
+const getPermissionsForUser = (user) => {
+  if (!user || user.role !== 'admin' || !user.adminRole) {
+    return [];
+  }
+  return ROLE_PERMISSIONS[user.adminRole] || [];
+};
+
+const hasPermission = (user, permission) => {
+  const granted = getPermissionsForUser(user);
+  return granted.includes('*') || granted.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  UNASSIGNED_ADMIN_ROLE,
+  LEGACY_ADMIN_ROLE,
+  getPermissionsForUser,
+  hasPermission
+};
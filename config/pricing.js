@@ -0,0 +1,78 @@
+// config/pricing.js - VAT and shipping fees used to price orders on the server
+//
+// Everything can be overridden from the environment so rates can change without a release.
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Invalid pricing JSON in environment, using defaults:', error.message);
+    return fallback;
+  }
+};
+
+// VAT_INCLUSIVE=true means catalogue prices already include VAT: taxPrice is the VAT
+// contained in the items and is not added again. Otherwise VAT is added on top.
+const VAT = {
+  rate: parseNumber(process.env.VAT_RATE, 0.16),
+  inclusive: process.env.VAT_INCLUSIVE !== 'false'
+};
+
+// Home delivery is charged by zone; the zone is picked from the delivery city.
+// SHIPPING_ZONES can replace the list, e.g. [{"name":"nairobi","cities":["nairobi"],"fee":200}]
+const SHIPPING_ZONES = parseJson(process.env.SHIPPING_ZONES, [
+  {
+    name: 'nairobi',
+    cities: ['nairobi', 'westlands', 'karen', 'kasarani', 'embakasi', 'langata'],
+    fee: 200
+  },
+  {
+    name: 'nairobi_metro',
+    cities: ['kiambu', 'thika', 'ruiru', 'juja', 'kikuyu', 'limuru', 'machakos', 'athi river', 'syokimau', 'kitengela', 'kajiado', 'ongata rongai', 'rongai'],
+    fee: 350
+  }
+]);
+
+const SHIPPING = {
+  // Home delivery anywhere not covered by a zone
+  defaultHomeDeliveryFee: parseNumber(process.env.SHIPPING_DEFAULT_FEE, 500),
+  pickupStationFee: parseNumber(process.env.SHIPPING_PICKUP_STATION_FEE, 0),
+  // Orders whose items come to at least this much ship free (0 turns it off)
+  freeShippingThreshold: parseNumber(process.env.FREE_SHIPPING_THRESHOLD, 0)
+};
+
+const normaliseCity = (city) => String(city || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Shipping fee for an order
+ * @param {Object} options - { deliveryMethod, city, itemsPrice }
+ * @returns {Object} { fee, zone }
+ */
+const getShippingFee = ({ deliveryMethod, city, itemsPrice = 0 }) => {
+  if (SHIPPING.freeShippingThreshold > 0 && itemsPrice >= SHIPPING.freeShippingThreshold) {
+    return { fee: 0, zone: 'free_shipping' };
+  }
+
+  if (deliveryMethod === 'pickup_station') {
+    return { fee: SHIPPING.pickupStationFee, zone: 'pickup_station' };
+  }
+
+  const key = normaliseCity(city);
+  const zone = SHIPPING_ZONES.find(z => (z.cities || []).map(normaliseCity).includes(key));
+  return zone
+    ? { fee: zone.fee, zone: zone.name }
+    : { fee: SHIPPING.defaultHomeDeliveryFee, zone: 'default' };
+};
+
+module.exports = {
+  VAT,
+  SHIPPING,
+  SHIPPING_ZONES,
+  getShippingFee
+};
@@ -4,6 +4,14 @@ const Order = require('../models/Order');
 const Category = require('../models/Category');
 const Brand = require('../models/Brand');
 const Review = require('../models/Review');
+const StockMovement = require('../models/StockMovement');
+const AuditLog = require('../models/AuditLog');
+const mongoose = require('mongoose');
+const spreadsheetService = require('../services/spreadsheetService');
+const { adjustStock, lowStockFilter, getLowStockProducts } = require('../services/inventoryService');
+const { ROLE_PERMISSIONS, ADMIN_ROLES, UNASSIGNED_ADMIN_ROLE } = require('../config/permissions');
+const { recordAudit, snapshot } = require('../services/auditService');
+const orderController = require('./orderController');
 
 // @desc    Get admin dashboard stats
 // @route   GET /api/admin/stats
@@ -28,6 +36,10 @@ exports.getDashboardStats = async (req, res) => {
       .limit(5)
       .select('name price rating numReviews images');
 
+    // Products at or below their reorder level
+    const lowStockCount = await Product.countDocuments(lowStockFilter());
+    const lowStockProducts = await getLowStockProducts({ limit: 5 });
+
     const monthlyRevenue = await Order.aggregate([
       {
         $match: {
@@ -55,10 +67,12 @@ exports.getDashboardStats = async (req, res) => {
           totalUsers,
           totalProducts,
           totalOrders,
-          totalRevenue: totalRevenue[0]?.total || 0
+          totalRevenue: totalRevenue[0]?.total || 0,
+          lowStockCount
         },
         recentOrders,
         topProducts,
+        lowStockProducts,
         monthlyRevenue
       }
     });
@@ -174,6 +188,23 @@ exports.getUserById = async (req, res) => {
 // @access  Private/Admin
 exports.updateUser = async (req, res) => {
   try {
+    // Changing who is staff (or what kind) is reserved for staff managers
+    if ((req.body.role !== undefined || req.body.adminRole !== undefined) && !req.user.hasPermission('staff.manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to change user roles'
+      });
+    }
+
+    const existing = await User.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -183,6 +214,65 @@ exports.updateUser = async (req, res) => {
       }
     ).select('-password');
 
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: snapshot(existing, Object.keys(req.body)),
+      after: snapshot(user, Object.keys(req.body))
+    });
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the admin role matrix and the current admin's permissions
+// @route   GET /api/admin/permissions
+// @access  Private/Admin
+exports.getAdminPermissions = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        adminRole: req.user.adminRole || UNASSIGNED_ADMIN_ROLE,
+        permissions: req.user.getPermissions(),
+        roles: ROLE_PERMISSIONS
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Set a staff member's admin role
+// @route   PUT /api/admin/users/:id/admin-role
+// @access  Private/Admin (staff.manage)
+exports.setAdminRole = async (req, res) => {
+  try {
+    const { adminRole } = req.body;
+
+    if (!ADMIN_ROLES.includes(adminRole)) {
+      return res.status(400).json({
+        success: false,
+        message: `Admin role must be one of: ${ADMIN_ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -190,10 +280,86 @@ exports.updateUser = async (req, res) => {
       });
     }
 
+    if (user.role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin roles can only be given to admin users'
+      });
+    }
+
+    // A super admin can't demote themselves and leave nobody able to manage roles
+    if (user._id.equals(req.user._id) && !ROLE_PERMISSIONS[adminRole].includes('*')) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own super admin role'
+      });
+    }
+
+    const previousRole = user.adminRole || UNASSIGNED_ADMIN_ROLE;
+    user.adminRole = adminRole;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, {
+      action: 'user.admin_role',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { adminRole: previousRole },
+      after: { adminRole }
+    });
+
+    console.log(`Admin role for ${user.email} changed from ${previousRole} to ${adminRole} by ${req.user.email}`);
+
     res.json({
       success: true,
-      message: 'User updated successfully',
-      data: { user }
+      message: 'Admin role updated successfully',
+      data: {
+        userId: user._id,
+        adminRole,
+        permissions: user.getPermissions()
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unlock a user locked out after failed sign-in attempts
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private/Admin
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasLocked = user.isLocked;
+    const before = snapshot(user, ['loginAttempts', 'lockUntil']);
+    await user.unlockAccount();
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.email,
+      before,
+      after: { loginAttempts: undefined, lockUntil: undefined }
+    });
+
+    console.log(`User ${user.email} unlocked by admin ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'User unlocked successfully' : 'User was not locked; failed attempts cleared',
+      data: { userId: user._id, wasLocked }
     });
   } catch (error) {
     res.status(400).json({
@@ -229,6 +395,8 @@ exports.deleteUser = async (req, res) => {
     const userOrders = await Order.find({ user: req.params.id });
     const userReviews = await Review.find({ user: req.params.id });
 
+    const before = snapshot(user, ['name', 'email', 'phone', 'role', 'isActive']);
+
     if (userOrders.length > 0 || userReviews.length > 0) {
       // If user has orders/reviews, do soft delete to preserve data integrity
       user.isActive = false;
@@ -236,6 +404,15 @@ exports.deleteUser = async (req, res) => {
       user.phone = `deleted_${Date.now()}_${user.phone}`; // Make phone unique
       await user.save();
 
+      await recordAudit(req, {
+        action: 'user.deactivate',
+        targetType: 'User',
+        targetId: user._id,
+        targetLabel: before.email,
+        before,
+        after: snapshot(user, ['name', 'email', 'phone', 'role', 'isActive'])
+      });
+
       res.json({
         success: true,
         message: 'User deactivated successfully (soft delete due to existing orders/reviews)'
@@ -244,6 +421,15 @@ exports.deleteUser = async (req, res) => {
       // If no important data, do hard delete
       await User.findByIdAndDelete(req.params.id);
 
+      await recordAudit(req, {
+        action: 'user.delete',
+        targetType: 'User',
+        targetId: user._id,
+        targetLabel: before.email,
+        before,
+        after: null
+      });
+
       res.json({
         success: true,
         message: 'User deleted permanently'
@@ -292,9 +478,9 @@ exports.getAllProductsAdmin = async (req, res) => {
       query.isActive = req.query.isActive === 'true';
     }
 
-    // Stock filter
+    // Stock filter (at or below each product's reorder level)
     if (req.query.lowStock === 'true') {
-      query.stock = { $lt: 10 };
+      query.$expr = lowStockFilter().$expr;
     }
 
     // Sort
@@ -351,7 +537,156 @@ exports.getAllProductsAdmin = async (req, res) => {
   }
 };
 
-// @desc    Update order status
+// @desc    Get stock history for a product
+// @route   GET /api/admin/products/:id/stock-history
+// @access  Private/Admin
+exports.getStockHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const product = await Product.findById(req.params.id).select('name stock reorderLevel variants');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const query = { product: product._id };
+
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    if (req.query.variantId) {
+      query.variant = req.query.variantId;
+    }
+
+    const movements = await StockMovement.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await StockMovement.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        movements,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Restock or manually adjust product stock
+// @route   POST /api/admin/products/:id/stock
+// @access  Private/Admin
+exports.adjustProductStock = async (req, res) => {
+  try {
+    const { variantId, type = 'restock', note } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a whole number other than zero'
+      });
+    }
+
+    if (!['restock', 'manual_adjustment'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be restock or manual_adjustment'
+      });
+    }
+
+    if (type === 'restock' && quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restock quantity must be positive'
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select('variants');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Variant products are stocked per variant
+    const variant = product.variants.length > 0 ? product.findVariant(variantId) : null;
+    if (product.variants.length > 0 && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please specify a valid variant for this product'
+      });
+    }
+
+    const result = await adjustStock({
+      productId: product._id,
+      variantId: variant ? variant._id : undefined,
+      quantity,
+      type,
+      performedBy: req.user.id,
+      note
+    });
+
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: {
+        stock: result.product.stock,
+        movement: result.movement
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get low stock report
+// @route   GET /api/admin/inventory/low-stock
+// @access  Private/Admin
+exports.getLowStockReport = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const products = await getLowStockProducts({ limit });
+
+    res.json({
+      success: true,
+      data: {
+        products,
+        total: await Product.countDocuments(lowStockFilter())
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update order status and/or tracking number
 // @route   PUT /api/admin/orders/:id/status
 // @access  Private/Admin
 exports.updateOrderStatus = async (req, res) => {
@@ -367,22 +702,35 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
-    order.status = status;
-    
-    if (trackingNumber) {
-      order.trackingNumber = trackingNumber;
+    // Status changes go through the same transition rules and side effects
+    // (payment flags, stock, commissions, history) as the order routes
+    if (status && status !== order.status) {
+      return orderController.updateOrderStatus(req, res);
     }
 
-    if (status === 'shipped' && !order.isDelivered) {
-      // Auto-set delivery date for shipped orders (optional)
-      // order.estimatedDelivery = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    if (!trackingNumber) {
+      return res.status(400).json({
+        success: false,
+        message: `Order is already ${order.status}`
+      });
     }
 
+    const before = snapshot(order, ['trackingNumber']);
+    order.trackingNumber = trackingNumber;
     const updatedOrder = await order.save();
 
+    await recordAudit(req, {
+      action: 'order.tracking_update',
+      targetType: 'Order',
+      targetId: order._id,
+      targetLabel: order.orderNumber,
+      before,
+      after: snapshot(updatedOrder, ['trackingNumber'])
+    });
+
     res.json({
       success: true,
-      message: 'Order status updated successfully',
+      message: 'Tracking number updated successfully',
       data: { order: updatedOrder }
     });
   } catch (error) {
@@ -391,4 +739,135 @@ exports.updateOrderStatus = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Build the audit log filter shared by the list and export endpoints
+const buildAuditLogQuery = (query) => {
+  const filter = {};
+
+  if (query.actor && mongoose.Types.ObjectId.isValid(query.actor)) {
+    filter.actor = query.actor;
+  }
+
+  if (query.action) {
+    // 'payout' matches every payout.* action
+    filter.action = query.action.includes('.')
+      ? query.action
+      : { $regex: `^${query.action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` };
+  }
+
+  if (query.targetType) {
+    filter.targetType = query.targetType;
+  }
+
+  if (query.targetId && mongoose.Types.ObjectId.isValid(query.targetId)) {
+    filter.targetId = query.targetId;
+  }
+
+  if (query.startDate || query.endDate) {
+    filter.createdAt = {};
+    if (query.startDate) filter.createdAt.$gte = new Date(query.startDate);
+    if (query.endDate) filter.createdAt.$lte = new Date(query.endDate);
+  }
+
+  if (query.search) {
+    const pattern = { $regex: query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    filter.$or = [{ actorEmail: pattern }, { targetLabel: pattern }, { reason: pattern }];
+  }
+
+  return filter;
+};
+
+// @desc    Search the admin audit log
+// @route   GET /api/admin/audit-logs
+// @access  Private/Admin (audit.view)
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const filter = buildAuditLogQuery(req.query);
+
+    const logs = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const AUDIT_SHEET_COLUMNS = [
+  { header: 'Date', key: 'date', width: 22 },
+  { header: 'Actor', key: 'actor', width: 28 },
+  { header: 'Actor Role', key: 'actorRole', width: 22 },
+  { header: 'Action', key: 'action', width: 28 },
+  { header: 'Target Type', key: 'targetType', width: 16 },
+  { header: 'Target ID', key: 'targetId', width: 26 },
+  { header: 'Target', key: 'targetLabel', width: 28 },
+  { header: 'Changes', key: 'changes', width: 60 },
+  { header: 'Reason', key: 'reason', width: 30 },
+  { header: 'IP Address', key: 'ipAddress', width: 18 }
+];
+
+// @desc    Export the admin audit log (same filters as the list)
+// @route   GET /api/admin/audit-logs/export
+// @access  Private/Admin (audit.view)
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+
+    const logs = await AuditLog.find(buildAuditLogQuery(req.query))
+      .sort({ createdAt: -1 })
+      .limit(10000);
+
+    const rows = logs.map(log => ({
+      date: log.createdAt.toISOString(),
+      actor: log.actorEmail,
+      actorRole: log.actorRole,
+      action: log.action,
+      targetType: log.targetType,
+      targetId: log.targetId ? log.targetId.toString() : '',
+      targetLabel: log.targetLabel,
+      changes: log.changes
+        .map(change => `${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`)
+        .join('; '),
+      reason: log.reason,
+      ipAddress: log.ipAddress
+    }));
+
+    const buffer = await spreadsheetService.writeRows(AUDIT_SHEET_COLUMNS, rows, format, 'Audit Log');
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', format === 'csv'
+      ? 'text/csv'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    console.error('Export audit logs error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
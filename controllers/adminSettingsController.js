@@ -1,6 +1,7 @@
 // controllers/adminSettingsController.js
 const PayoutSettings = require('../models/PayoutSettings'); // You'll need to create this model
 const PayoutRequest = require('../models/PayoutRequest');
+const { recordAudit, snapshot } = require('../services/auditService');
 
 // @desc    Get payout settings
 // @route   GET /api/admin/payout-settings
@@ -31,6 +32,7 @@ exports.updatePayoutSettings = async (req, res) => {
     const adminUserId = req.user.id;
     
     let settings = await PayoutSettings.findOne({});
+    const before = settings ? settings.toObject() : null;
     
     if (!settings) {
       // Create new settings if none exist
@@ -66,6 +68,15 @@ exports.updatePayoutSettings = async (req, res) => {
       await settings.save();
     }
 
+    await recordAudit(req, {
+      action: 'payout_settings.update',
+      targetType: 'PayoutSettings',
+      targetId: settings._id,
+      before,
+      after: settings,
+      reason: updateData.modificationReason
+    });
+
     res.json({
       success: true,
       message: 'Payout settings updated successfully',
@@ -89,6 +100,7 @@ exports.setGlobalPayoutHold = async (req, res) => {
     const adminUserId = req.user.id;
     
     let settings = await PayoutSettings.findOne({});
+    const before = settings ? snapshot(settings, ['globalPayoutHold', 'holdReason']) : null;
     
     if (!settings) {
       settings = await PayoutSettings.create({
@@ -124,6 +136,15 @@ exports.setGlobalPayoutHold = async (req, res) => {
     }
 
     const action = isHeld ? 'enabled' : 'disabled';
+
+    await recordAudit(req, {
+      action: 'payout_settings.global_hold',
+      targetType: 'PayoutSettings',
+      targetId: settings._id,
+      before,
+      after: snapshot(settings, ['globalPayoutHold', 'holdReason']),
+      reason
+    });
     
     res.json({
       success: true,
@@ -214,6 +235,8 @@ exports.setAgentPayoutHold = async (req, res) => {
       });
     }
     
+    const before = snapshot(agent, ['payoutHold', 'payoutHoldReason']);
+
     agent.payoutHold = isHeld;
     if (reason) {
       agent.payoutHoldReason = reason;
@@ -221,6 +244,16 @@ exports.setAgentPayoutHold = async (req, res) => {
     await agent.save();
     
     const action = isHeld ? 'enabled' : 'disabled';
+
+    await recordAudit(req, {
+      action: 'agent.payout_hold',
+      targetType: 'User',
+      targetId: agent._id,
+      targetLabel: agent.email,
+      before,
+      after: snapshot(agent, ['payoutHold', 'payoutHoldReason']),
+      reason
+    });
     
     res.json({
       success: true,
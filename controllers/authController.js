@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const mongoose = require('mongoose');
 const OtpVerification = require('../models/OtpVerification');
 const smsService = require('../services/smsService');
 const crypto = require('crypto');
@@ -6,9 +7,40 @@ const nodemailer = require('nodemailer');
 const { sendPasswordResetEmail } = require('../utils/emailService');
 const jwt = require('jsonwebtoken');
 const { OAuth2Client } = require('google-auth-library');
+const totpService = require('../services/totpService');
+const { UNASSIGNED_ADMIN_ROLE } = require('../config/permissions');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSessions
+} = require('../services/sessionService');
 
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
+// 423 response for an account locked after too many failed attempts
+const sendAccountLocked = (res, user) => {
+  const minutes = Math.max(1, Math.ceil((user.lockUntil - Date.now()) / 60000));
+  return res.status(423).json({
+    success: false,
+    message: `Account is temporarily locked after too many failed attempts. Try again in ${minutes} minute(s) or reset your password.`
+  });
+};
+
+// Enrolled users finish signing in with a code at /api/auth/login/2fa instead of getting a session
+const sendTwoFactorChallenge = (res, user, message) => res.status(200).json({
+  success: true,
+  message,
+  requiresTwoFactor: true,
+  data: {
+    twoFactorToken: user.getTwoFactorChallengeToken()
+  }
+});
+
+// Phone formats an OtpVerification record may have been stored under
+const phoneVariants = (phone) => [...new Set([phone, smsService.formatPhoneNumber(phone)].filter(Boolean))];
+
 // @desc    Register user (Step 1 - Send OTP)
 // @route   POST /api/auth/register
 // @access  Public
@@ -128,7 +160,7 @@ exports.register = async (req, res) => {
       console.log(`Created new user: ${email}`);
     }
 
-    const token = user.getSignedJwtToken();
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -142,7 +174,8 @@ exports.register = async (req, res) => {
           phone: user.phone,
           verified: user.verified
         },
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -242,7 +275,7 @@ exports.verifyOTP = async (req, res) => {
     await OtpVerification.findByIdAndDelete(otpRecord._id);
 
     // Generate JWT token
-    const token = user.getSignedJwtToken();
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -256,7 +289,8 @@ exports.verifyOTP = async (req, res) => {
           phone: user.phone,
           verified: user.verified
         },
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -352,16 +386,35 @@ exports.login = async (req, res) => {
       });
     }
 
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
     const isMatch = await user.matchPassword(password);
     
     if (!isMatch) {
+      await user.incLoginAttempts();
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    const token = user.getSignedJwtToken();
+    // Enrolled users finish signing in with a code at /api/auth/login/2fa
+    // (failed attempts are only cleared once the second factor passes)
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        requiresTwoFactor: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorToken: user.getTwoFactorChallengeToken()
+        }
+      });
+    }
+
+    await user.resetLoginAttempts();
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
@@ -377,7 +430,125 @@ exports.login = async (req, res) => {
           isPhoneVerified: user.isPhoneVerified,
           pickupStation: user.pickupStation // This should now be populated
         },
-        token
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires the twoFactorToken from login)
+exports.verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code } = req.body;
+
+    if (!twoFactorToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor token and code are required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa_login') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session expired. Please sign in again.'
+      });
+    }
+
+    const user = await User.findOne({ _id: decoded.id, isActive: true })
+      .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes')
+      .populate('pickupStation', 'name address city state postalCode coordinates operatingHours capacity');
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session expired. Please sign in again.'
+      });
+    }
+
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
+    const result = await user.verifyTwoFactorCode(code);
+    if (!result.valid) {
+      await user.incLoginAttempts();
+      return res.status(401).json({
+        success: false,
+        message: result.reason || 'Invalid authentication code'
+      });
+    }
+
+    await user.resetLoginAttempts();
+    const { accessToken: token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          avatar: user.avatar,
+          verified: user.verified,
+          phone: user.phone,
+          isPhoneVerified: user.isPhoneVerified,
+          pickupStation: user.pickupStation
+        },
+        token,
+        refreshToken,
+        recoveryCodesRemaining: result.recoveryCodesRemaining
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Start two-factor enrolment (returns secret and otpauth URI)
+// @route   POST /api/auth/2fa/setup
+// @access  Private/Admin/Agent
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totpService.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totpService.buildOtpAuthUri(secret, user.email)
       }
     });
   } catch (error) {
@@ -388,6 +559,292 @@ exports.login = async (req, res) => {
   }
 };
 
+// @desc    Confirm enrolment with a code and enable two-factor authentication
+// @route   POST /api/auth/2fa/enable
+// @access  Private/Admin/Agent
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totpService.verifyToken(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    const recoveryCodes = user.generateTwoFactorRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private/Admin/Agent
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!password || !user.password || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const result = await user.verifyTwoFactorCode(code);
+    if (!result.valid) {
+      return res.status(401).json({
+        success: false,
+        message: result.reason || 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorEnabledAt = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Replace two-factor recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private/Admin/Agent
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+    const result = await user.verifyTwoFactorCode(req.body.code);
+    if (!result.valid) {
+      return res.status(401).json({
+        success: false,
+        message: result.reason || 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateTwoFactorRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (requires a refresh token)
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    let rotated;
+    try {
+      rotated = await rotateRefreshToken(refreshToken, req);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired. Please sign in again.'
+      });
+    }
+
+    const user = await User.findById(rotated.session.user);
+
+    if (!user || !user.isActive) {
+      await revokeSession(rotated.session.user, rotated.session._id, 'Account deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired. Please sign in again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: user.getSignedJwtToken(rotated.session._id),
+        refreshToken: rotated.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing session'
+    });
+  }
+};
+
+// @desc    Sign out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId, 'Signed out');
+
+    res.json({
+      success: true,
+      message: 'Signed out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while signing out'
+    });
+  }
+};
+
+// @desc    List the devices the user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+};
+
+// @desc    Sign out a single device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeUserSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const revoked = await revokeSession(req.user._id, req.params.id, 'Revoked by user');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+};
+
+// @desc    Sign out every other device
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user._id, 'Revoked by user', req.sessionId);
+
+    res.json({
+      success: true,
+      message: `Signed out of ${count} other session(s)`,
+      data: { revoked: count }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+};
+
 // @desc    Google Sign-In
 // @route   POST /api/auth/google-login
 // @access  Public
@@ -465,8 +922,21 @@ exports.googleLogin = async (req, res) => {
       });
     }
 
+    // Enrolled users finish signing in with a code at /api/auth/login/2fa
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        requirePhoneVerification: false,
+        requiresTwoFactor: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorToken: user.getTwoFactorChallengeToken()
+        }
+      });
+    }
+
     // Generate JWT token for fully verified user
-    const token = user.getSignedJwtToken();
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     return res.status(200).json({
       success: true,
@@ -482,7 +952,8 @@ exports.googleLogin = async (req, res) => {
           verified: user.verified,
           isPhoneVerified: user.isPhoneVerified
         },
-        token
+        token,
+        refreshToken
       },
       message: 'Google sign-in successful'
     });
@@ -532,6 +1003,10 @@ exports.verifyGooglePhone = async (req, res) => {
       });
     }
 
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
     // Check if phone is already taken by another user
     const formattedPhone = smsService.formatPhoneNumber(phone);
     const existingUser = await User.findOne({ 
@@ -620,8 +1095,8 @@ exports.completeGooglePhoneVerification = async (req, res) => {
       msisdn: verificationData?.msisdn 
     });
 
-    // Validate required fields
-    if (!phone || !verificationData?.verified || !userId) {
+    // Validate required fields (whether the phone was verified is checked on our own record below)
+    if (!phone || !userId) {
       return res.status(400).json({
         success: false,
         message: 'Missing required verification data'
@@ -630,7 +1105,7 @@ exports.completeGooglePhoneVerification = async (req, res) => {
 
     // Format phone numbers consistently
     const formattedPhone = smsService.formatPhoneNumber(phone);
-    const msisdn = verificationData.msisdn 
+    const msisdn = verificationData?.msisdn 
       ? smsService.formatPhoneNumber(verificationData.msisdn) 
       : formattedPhone;
 
@@ -757,8 +1232,18 @@ exports.completeGooglePhoneVerification = async (req, res) => {
       userData: tempRecord.userData
     });
 
+    // Only a record this user started and Termii has confirmed counts as verified
+    if (tempRecord.email !== user.email || !tempRecord.phoneVerifiedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone verification is required'
+      });
+    }
+
     // Update user with verified phone
-    user.phone = msisdn; // Use Termii's msisdn as canonical format
+    user.phone = tempRecord.verifiedMsisdn
+      ? smsService.formatPhoneNumber(tempRecord.verifiedMsisdn) // Use Termii's msisdn as canonical format
+      : tempRecord.phone;
     user.isPhoneVerified = true;
     await user.save();
 
@@ -768,8 +1253,12 @@ exports.completeGooglePhoneVerification = async (req, res) => {
     await OtpVerification.findByIdAndDelete(tempRecord._id);
     console.log('Cleaned up temp record');
 
+    if (user.twoFactorEnabled) {
+      return sendTwoFactorChallenge(res, user, 'Phone verified. Enter the code from your authenticator app');
+    }
+
     // Generate auth token
-    const token = user.getSignedJwtToken();
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
@@ -784,7 +1273,8 @@ exports.completeGooglePhoneVerification = async (req, res) => {
           role: user.role,
           verified: user.verified
         },
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -826,6 +1316,10 @@ exports.verifyPhoneAfterGoogle = async (req, res) => {
       });
     }
 
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
     // Find OTP record
     const otpRecord = await OtpVerification.findOne({ 
       phone, 
@@ -854,6 +1348,7 @@ exports.verifyPhoneAfterGoogle = async (req, res) => {
     if (otpRecord.otp !== otp) {
       otpRecord.attempts += 1;
       await otpRecord.save();
+      await user.incLoginAttempts();
       
       return res.status(400).json({
         success: false,
@@ -869,8 +1364,12 @@ exports.verifyPhoneAfterGoogle = async (req, res) => {
     // Clean up OTP record
     await OtpVerification.findByIdAndDelete(otpRecord._id);
 
+    if (user.twoFactorEnabled) {
+      return sendTwoFactorChallenge(res, user, 'Phone number verified. Enter the code from your authenticator app');
+    }
+
     // Generate JWT token
-    const token = user.getSignedJwtToken();
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
@@ -886,7 +1385,8 @@ exports.verifyPhoneAfterGoogle = async (req, res) => {
           verified: user.verified,
           isPhoneVerified: user.isPhoneVerified
         },
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -922,6 +1422,10 @@ exports.resendGooglePhoneOtp = async (req, res) => {
       });
     }
 
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
     // Find existing OTP record
     const otpRecord = await OtpVerification.findOne({ 
       phone, 
@@ -1006,6 +1510,12 @@ exports.sendOTP = async (req, res) => {
     // Send OTP using Termii's dedicated OTP endpoint
     const result = await smsService.sendOTPViaTermiiOTP(phone, userName);
 
+    // Remember which PIN belongs to the pending registration/verification for this phone
+    await OtpVerification.updateMany(
+      { phone: { $in: phoneVariants(phone) }, verified: false },
+      { $set: { termiiPinId: result.pinId }, $unset: { phoneVerifiedAt: 1, verifiedMsisdn: 1 } }
+    );
+
     res.status(200).json({
       success: true,
       message: 'OTP sent successfully',
@@ -1054,6 +1564,12 @@ exports.verifyTermiiOTP = async (req, res) => {
       });
     }
 
+    // The completion endpoints trust this record, never a verified flag sent by the client
+    await OtpVerification.updateMany(
+      { termiiPinId: pinId, verified: false },
+      { $set: { phoneVerifiedAt: new Date(), verifiedMsisdn: result.msisdn } }
+    );
+
     res.status(200).json({
       success: true,
       message: 'OTP verified successfully',
@@ -1077,9 +1593,9 @@ exports.verifyTermiiOTP = async (req, res) => {
 // @access  Public
 exports.completeRegistration = async (req, res) => {
   try {
-    const { phone, verificationData } = req.body;
+    const { phone } = req.body;
 
-    if (!phone || !verificationData || !verificationData.verified) {
+    if (!phone) {
       return res.status(400).json({
         success: false,
         message: 'Phone verification is required'
@@ -1099,6 +1615,14 @@ exports.completeRegistration = async (req, res) => {
       });
     }
 
+    // Set by verifyTermiiOTP once Termii confirmed the PIN for this phone
+    if (!tempRecord.phoneVerifiedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone verification is required'
+      });
+    }
+
     const { name, email, password, phone: userPhone } = tempRecord.userData;
 
     let user;
@@ -1140,8 +1664,13 @@ exports.completeRegistration = async (req, res) => {
     // Clean up temporary record
     await OtpVerification.findByIdAndDelete(tempRecord._id);
 
+    // A reactivated account keeps its two-factor enrolment
+    if (user.twoFactorEnabled) {
+      return sendTwoFactorChallenge(res, user, 'Registration completed. Enter the code from your authenticator app');
+    }
+
     // Generate JWT token
-    const token = user.getSignedJwtToken();
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -1156,7 +1685,8 @@ exports.completeRegistration = async (req, res) => {
           verified: user.verified,
           isPhoneVerified: user.isPhoneVerified
         },
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -1259,7 +1789,9 @@ exports.getProfile = async (req, res) => {
           addresses: user.addresses,
           verified: user.verified,
           isPhoneVerified: user.isPhoneVerified,
-          pickupStation: user.pickupStation // This should now be populated
+          pickupStation: user.pickupStation, // This should now be populated
+          adminRole: user.role === 'admin' ? (user.adminRole || UNASSIGNED_ADMIN_ROLE) : undefined,
+          permissions: user.getPermissions()
         }
       }
     });
@@ -1546,11 +2078,17 @@ exports.resetPassword = async (req, res) => {
     user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    // Proving control of the email address lifts any lockout
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
     
     await user.save();
 
     console.log('Password updated successfully for user:', user.email);
 
+    // Whoever had the old password is signed out everywhere
+    await revokeAllSessions(user._id, 'Password reset');
+
     // For agents, mark as verified since they've completed the setup
     if (user.role === 'agent' && !user.verified) {
       user.verified = true;
@@ -1567,14 +2105,27 @@ exports.resetPassword = async (req, res) => {
       userResponse = user;
     }
 
+    // Enrolled users still need their second factor before getting a session
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Password reset successful',
+        requiresTwoFactor: true,
+        data: {
+          twoFactorToken: user.getTwoFactorChallengeToken()
+        }
+      });
+    }
+
     // Generate new JWT token for immediate login
-    const authToken = user.getSignedJwtToken();
+    const { accessToken: authToken, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Password reset successful',
       data: {
         token: authToken,
+        refreshToken,
         user: {
           _id: userResponse._id,
           name: userResponse.name,
@@ -1659,6 +2210,9 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this one stays signed in
+    await revokeAllSessions(user._id, 'Password changed', req.sessionId);
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully'
@@ -2079,13 +2633,14 @@ exports.setupAgentPassword = async (req, res) => {
     console.log('Password setup completed successfully for agent:', user.email);
 
     // Generate new JWT token for immediate login
-    const authToken = user.getSignedJwtToken();
+    const { accessToken: authToken, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Password setup successful. Welcome to CessPlug!',
       data: {
         token: authToken,
+        refreshToken,
         user: {
           _id: user._id,
           name: user.name,
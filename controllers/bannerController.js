@@ -1,4 +1,5 @@
 const Banner = require('../models/Banner');
+const { syncReferences, releaseReferences } = require('../services/mediaService');
 
 // @desc    Get all banners
 // @route   GET /api/banners
@@ -91,6 +92,7 @@ exports.createBanner = async (req, res) => {
   try {
     req.body.createdBy = req.user.id;
     const banner = await Banner.create(req.body);
+    await syncReferences('Banner', banner);
 
     res.status(201).json({
       success: true,
@@ -126,6 +128,9 @@ exports.updateBanner = async (req, res) => {
       });
     }
 
+    // A replaced image is no longer referenced and will be cleaned up
+    await syncReferences('Banner', banner);
+
     res.json({
       success: true,
       message: 'Banner updated successfully',
@@ -180,6 +185,8 @@ exports.deleteBanner = async (req, res) => {
       });
     }
 
+    await releaseReferences('Banner', banner._id);
+
     res.json({
       success: true,
       message: 'Banner deleted successfully'
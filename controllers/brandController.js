@@ -1,4 +1,5 @@
 const Brand = require('../models/Brand');
+const { syncReferences, releaseReferences } = require('../services/mediaService');
 
 // @desc    Get all brands
 // @route   GET /api/brands
@@ -75,6 +76,7 @@ exports.getBrand = async (req, res) => {
 exports.createBrand = async (req, res) => {
   try {
     const brand = await Brand.create(req.body);
+    await syncReferences('Brand', brand);
 
     res.status(201).json({
       success: true,
@@ -128,6 +130,8 @@ exports.updateBrand = async (req, res) => {
       });
     }
 
+    await syncReferences('Brand', brand);
+
     res.json({
       success: true,
       message: 'Brand updated successfully',
@@ -181,6 +185,8 @@ exports.deleteBrand = async (req, res) => {
       });
     }
 
+    await releaseReferences('Brand', brand._id);
+
     res.json({
       success: true,
       message: 'Brand permanently deleted'
@@ -29,7 +29,7 @@ exports.getCart = async (req, res) => {
 // @access  Private
 exports.addToCart = async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     // Validate product
     const product = await Product.findById(productId);
@@ -40,7 +40,20 @@ exports.addToCart = async (req, res) => {
       });
     }
 
-    if (product.stock < quantity) {
+    // Products with variants must be added as a specific variant
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = product.findVariant(variantId);
+      if (!variant || !variant.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: variantId ? 'Selected variant is not available' : 'Please select product options'
+        });
+      }
+    }
+
+    const availableStock = variant ? variant.stock : product.stock;
+    if (availableStock < quantity) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient stock'
@@ -53,12 +66,13 @@ exports.addToCart = async (req, res) => {
       cart = await Cart.create({ user: req.user.id, items: [] });
     }
 
-    // Check if item already exists
+    // Check if item already exists (same product and variant)
     const existingItemIndex = cart.items.findIndex(
-      item => item.product.toString() === productId
+      item => item.product._id.toString() === productId &&
+        String(item.variant || '') === String(variant ? variant._id : '')
     );
 
-    const finalPrice = product.price * (1 - product.discount / 100);
+    const finalPrice = product.getSellingPrice(variant);
 
     if (existingItemIndex > -1) {
       // Update existing item
@@ -68,6 +82,9 @@ exports.addToCart = async (req, res) => {
       // Add new item
       cart.items.push({
         product: productId,
+        variant: variant ? variant._id : undefined,
+        sku: variant ? variant.sku : '',
+        variantOptions: variant ? variant.options : [],
         quantity,
         price: finalPrice
       });
@@ -111,9 +128,18 @@ exports.updateCartItem = async (req, res) => {
       });
     }
 
-    // Validate stock
+    // Validate stock (against the selected variant if there is one)
     const product = await Product.findById(item.product);
-    if (product.stock < quantity) {
+    const variant = item.variant ? product.findVariant(item.variant) : null;
+    if (item.variant && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Selected variant is no longer available'
+      });
+    }
+
+    const availableStock = variant ? variant.stock : product.stock;
+    if (availableStock < quantity) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient stock'
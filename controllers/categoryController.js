@@ -1,5 +1,6 @@
 const Category = require('../models/Category');
 const mongoose = require('mongoose');
+const { syncReferences, releaseReferences } = require('../services/mediaService');
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -220,6 +221,7 @@ exports.createCategory = async (req, res) => {
     };
 
     const category = await Category.create(categoryData);
+    await syncReferences('Category', category);
     
     // Populate parent for response
     await category.populate('parent', 'name slug');
@@ -325,6 +327,8 @@ exports.updateCategory = async (req, res) => {
       }
     ).populate('parent', 'name slug');
 
+    await syncReferences('Category', category);
+
     res.json({
       success: true,
       message: 'Category updated successfully',
@@ -385,6 +389,7 @@ exports.deleteCategory = async (req, res) => {
 
     // Hard delete - permanently remove from database
     await Category.findByIdAndDelete(id);
+    await releaseReferences('Category', category._id);
 
     res.json({
       success: true,
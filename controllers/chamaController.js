@@ -2,6 +2,7 @@ const ChamaGroup = require('../models/ChamaGroup');
 const ChamaContribution = require('../models/ChamaContribution');
 const User = require('../models/User');
 const chamaService = require('../services/chamaService');
+const { recordAudit, snapshot } = require('../services/auditService');
 
 // ============ ADMIN ENDPOINTS ============
 
@@ -229,6 +230,16 @@ exports.addMemberToChamaGroup = async (req, res) => {
 
     await user.save();
 
+    await recordAudit(req, {
+      action: 'chama.member_add',
+      targetType: 'ChamaGroup',
+      targetId: chamaGroup._id,
+      targetLabel: chamaGroup.name,
+      before: null,
+      after: { members: { [userId]: { position } } },
+      metadata: { userId, email: user.email }
+    });
+
     res.json({
       success: true,
       message: 'Member added successfully',
@@ -294,9 +305,20 @@ exports.updateMemberPosition = async (req, res) => {
       });
     }
 
+    const previousPosition = member.position;
     member.position = position;
     await chamaGroup.save();
 
+    await recordAudit(req, {
+      action: 'chama.member_position',
+      targetType: 'ChamaGroup',
+      targetId: chamaGroup._id,
+      targetLabel: chamaGroup.name,
+      before: { members: { [userId]: { position: previousPosition } } },
+      after: { members: { [userId]: { position } } },
+      metadata: { userId }
+    });
+
     // Update position in user's chamaGroups array as well
     const user = await User.findById(userId);
     if (user && user.chamaGroups) {
@@ -348,9 +370,22 @@ exports.removeMemberFromChamaGroup = async (req, res) => {
     }
 
     // Remove member
+    const removedMember = chamaGroup.members.find(m => m.userId.toString() === userId);
     chamaGroup.members = chamaGroup.members.filter(m => m.userId.toString() !== userId);
     await chamaGroup.save();
 
+    if (removedMember) {
+      await recordAudit(req, {
+        action: 'chama.member_remove',
+        targetType: 'ChamaGroup',
+        targetId: chamaGroup._id,
+        targetLabel: chamaGroup.name,
+        before: { members: { [userId]: { position: removedMember.position } } },
+        after: null,
+        metadata: { userId }
+      });
+    }
+
     // Remove group from user's chama groups
     const user = await User.findById(userId);
     if (user && user.chamaGroups) {
@@ -403,6 +438,8 @@ exports.activateChamaGroup = async (req, res) => {
       });
     }
 
+    const before = snapshot(chamaGroup, ['status', 'currentTurnPosition', 'currentWeek']);
+
     // Set to active
     chamaGroup.status = 'active';
     chamaGroup.activatedAt = new Date();
@@ -415,6 +452,15 @@ exports.activateChamaGroup = async (req, res) => {
 
     await chamaGroup.save();
 
+    await recordAudit(req, {
+      action: 'chama.activate',
+      targetType: 'ChamaGroup',
+      targetId: chamaGroup._id,
+      targetLabel: chamaGroup.name,
+      before,
+      after: snapshot(chamaGroup, ['status', 'currentTurnPosition', 'currentWeek'])
+    });
+
     res.json({
       success: true,
       message: 'Chama group activated successfully',
@@ -450,12 +496,23 @@ exports.pauseChamaGroup = async (req, res) => {
       });
     }
 
+    const previousStatus = chamaGroup.status;
+
     // Set to paused
     chamaGroup.status = 'paused';
     chamaGroup.pausedAt = new Date();
 
     await chamaGroup.save();
 
+    await recordAudit(req, {
+      action: 'chama.pause',
+      targetType: 'ChamaGroup',
+      targetId: chamaGroup._id,
+      targetLabel: chamaGroup.name,
+      before: { status: previousStatus },
+      after: { status: chamaGroup.status }
+    });
+
     res.json({
       success: true,
       message: 'Chama group paused successfully',
@@ -499,6 +556,8 @@ exports.markContributionPaid = async (req, res) => {
       chamaGroupId: req.params.id,
       weekNumber
     });
+    const contributionFields = ['amount', 'paymentMethod', 'transactionId', 'paid'];
+    const before = contribution ? snapshot(contribution, contributionFields) : null;
 
     if (!contribution) {
       contribution = new ChamaContribution({
@@ -523,6 +582,16 @@ exports.markContributionPaid = async (req, res) => {
 
     await contribution.save();
 
+    await recordAudit(req, {
+      action: 'chama.contribution_paid',
+      targetType: 'ChamaGroup',
+      targetId: chamaGroup._id,
+      targetLabel: chamaGroup.name,
+      before,
+      after: snapshot(contribution, contributionFields),
+      metadata: { userId, weekNumber, contributionId: contribution._id }
+    });
+
     // If this was the defaulter's missing contribution, resolve defaulter status
     const user = await User.findById(userId);
     if (user && user.chamaDefaulterGroups) {
@@ -556,6 +625,14 @@ exports.rotateToNextTurn = async (req, res) => {
   try {
     const group = await chamaService.rotateTurn(req.params.id);
 
+    await recordAudit(req, {
+      action: 'chama.next_turn',
+      targetType: 'ChamaGroup',
+      targetId: group._id,
+      targetLabel: group.name,
+      after: snapshot(group, ['currentTurnPosition', 'currentWeek'])
+    });
+
     res.json({
       success: true,
       message: 'Rotated to next turn',
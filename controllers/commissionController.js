@@ -1,8 +1,116 @@
 const Commission = require('../models/Commission');
 const PayoutRequest = require('../models/PayoutRequest');
+const PayoutSettings = require('../models/PayoutSettings');
+const { recordAudit, snapshot } = require('../services/auditService');
 const Order = require('../models/Order');
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const {
+  generateToken,
+  initiateB2CPaymentRequest,
+  formatPhoneNumber,
+  isB2CConfigured
+} = require('../services/mpesa');
+
+// Mark an agent's oldest pending commissions as paid against a payout request,
+// splitting the last commission if it is larger than the remaining amount
+const allocateCommissionsToPayout = async (payoutRequest, splitLabel = 'Split') => {
+  const agentId = payoutRequest.agentId._id || payoutRequest.agentId;
+
+  const pendingCommissions = await Commission.find({
+    agentId,
+    status: 'pending'
+  }).sort({ createdAt: 1 }); // Process oldest first
+
+  const totalPendingAmount = pendingCommissions.reduce((sum, commission) => sum + commission.amount, 0);
+
+  if (totalPendingAmount < payoutRequest.amount) {
+    return { success: false, totalPendingAmount, totalPaid: 0, paidCommissionIds: [] };
+  }
+
+  let remainingAmount = payoutRequest.amount;
+  const paidCommissionIds = [];
+  const commissionsToUpdate = [];
+
+  for (const commission of pendingCommissions) {
+    if (remainingAmount <= 0) break;
+
+    if (commission.amount <= remainingAmount) {
+      // Pay the entire commission
+      commissionsToUpdate.push(commission);
+      paidCommissionIds.push(commission._id);
+      remainingAmount -= commission.amount;
+    } else {
+      // Split the commission (create new commission for remaining amount)
+      const paidAmount = remainingAmount;
+      const remainingCommissionAmount = commission.amount - paidAmount;
+
+      const newCommission = await Commission.create({
+        orderId: commission.orderId,
+        agentId: commission.agentId,
+        type: commission.type,
+        amount: remainingCommissionAmount,
+        status: 'pending',
+        orderTotal: commission.orderTotal,
+        commissionRate: commission.commissionRate,
+        settingsVersion: commission.settingsVersion,
+        description: commission.description ? `${commission.description} (${splitLabel} - Remaining)` : `${commission.type} commission (${splitLabel} - Remaining)`
+      });
+
+      // Update original commission to paid with new amount
+      commission.amount = paidAmount;
+      commission.description = commission.description ? `${commission.description} (${splitLabel} - Paid)` : `${commission.type} commission (${splitLabel} - Paid)`;
+
+      commissionsToUpdate.push(commission);
+      paidCommissionIds.push(commission._id);
+      remainingAmount = 0;
+
+      console.log(`Split commission created: Original ${commission._id} (paid ${paidAmount}), New ${newCommission._id} (pending ${remainingCommissionAmount})`);
+      break;
+    }
+  }
+
+  // Update commissions to paid status
+  for (const commission of commissionsToUpdate) {
+    commission.status = 'paid';
+    commission.paidAt = new Date();
+    commission.payoutRequestId = payoutRequest._id;
+    await commission.save();
+  }
+
+  return {
+    success: true,
+    totalPendingAmount,
+    totalPaid: payoutRequest.amount - remainingAmount,
+    paidCommissionIds
+  };
+};
+
+// Whether a payout request should be paid out through M-Pesa B2C rather than by hand
+const usesB2C = (payoutRequest) => payoutRequest.method === 'mpesa' && isB2CConfigured();
+
+// Disbursements whose outcome an admin has to confirm ('timeout' is kept for requests
+// recorded before needs_check existed)
+const NEEDS_CHECK_DISBURSEMENT_STATUSES = ['needs_check', 'timeout'];
+// Disbursement states in which money may already have been sent; these are never sent again
+const LOCKED_DISBURSEMENT_STATUSES = ['initiated', 'completed', ...NEEDS_CHECK_DISBURSEMENT_STATUSES];
+// Disbursements still waiting for an outcome
+const OPEN_DISBURSEMENT_STATUSES = ['initiated', ...NEEDS_CHECK_DISBURSEMENT_STATUSES];
+
+// Move a disbursement out of one of fromStatuses in a single update, so a B2C result,
+// a repeated result and an admin resolving it can't all act on the same payout.
+// Resolves to the updated payout request, or null if someone else got there first.
+const claimDisbursement = (payoutRequest, fromStatuses, fields) => PayoutRequest.findOneAndUpdate(
+  { _id: payoutRequest._id, 'disbursement.status': { $in: fromStatuses } },
+  { $set: fields },
+  { new: true }
+);
+
+// How many distinct approvers a payout needs (two when manager approval applies to its amount)
+const getRequiredApprovals = async (payoutRequest) => {
+  const settings = await PayoutSettings.getCurrentSettings();
+  return settings.requiresManagerApproval(payoutRequest.amount) ? 2 : 1;
+};
 
 // @desc    Get agent's commissions
 // @route   GET /api/commissions
@@ -153,18 +261,18 @@ exports.getCommissionStats = async (req, res) => {
 // @desc    Create commission (internal function) - UPDATED to use dynamic rates
 // @route   Called internally when orders are completed
 // @access  Internal
-exports.createCommission = async (orderId, agentId, type) => {
+exports.createCommission = async (orderId, agentId, type, session = null) => {
   try {
     console.log(`Creating commission for order ${orderId}, agent ${agentId}, type ${type}`);
 
-    // Get order details
-    const order = await Order.findById(orderId);
+    // Get order details (read through the session so uncommitted orders are visible)
+    const order = await Order.findById(orderId).session(session);
     if (!order) {
       throw new Error('Order not found');
     }
 
     // Validate agent exists
-    const agent = await User.findById(agentId);
+    const agent = await User.findById(agentId).session(session);
     if (!agent || agent.role !== 'agent') {
       throw new Error('Invalid agent');
     }
@@ -174,7 +282,7 @@ exports.createCommission = async (orderId, agentId, type) => {
       orderId,
       agentId,
       type
-    });
+    }).session(session);
 
     if (existingCommission) {
       console.log('Commission already exists for this order:', existingCommission._id);
@@ -193,7 +301,7 @@ exports.createCommission = async (orderId, agentId, type) => {
     const commissionData = await Commission.calculateCommission(order.totalPrice, type, deliveryCount);
 
     // Create commission record with updated fields
-    const commission = await Commission.create({
+    const [commission] = await Commission.create([{
       orderId,
       agentId,
       type,
@@ -206,7 +314,7 @@ exports.createCommission = async (orderId, agentId, type) => {
       description: type === 'delivery' 
         ? `Delivery commission: KSh ${commissionData.rate.toLocaleString()} × ${deliveryCount} items = KSh ${commissionData.amount.toLocaleString()}`
         : `Agent order commission: ${(commissionData.rate * 100).toFixed(1)}% of KSh ${order.totalPrice.toLocaleString()} = KSh ${commissionData.amount.toLocaleString()}`
-    });
+    }], { session });
 
     console.log(`Commission created: ${commission._id}, amount: KSh ${commissionData.amount.toLocaleString()} (${type === 'delivery' ? 'fixed amount' : 'percentage rate'})`);
     return commission;
@@ -412,95 +520,30 @@ exports.createPayoutRequest = async (req, res) => {
     if (shouldAutoApprove) {
       try {
         console.log('Processing auto-approved payout payment...');
-        
-        // Get agent's pending commissions
-        const pendingCommissions = await Commission.find({
-          agentId: payoutRequest.agentId,
-          status: 'pending'
-        }).sort({ createdAt: 1 }); // Process oldest first
 
-        console.log(`Found ${pendingCommissions.length} pending commissions for auto-payment`);
-
-        // Check if agent has sufficient pending commissions
-        const totalPendingAmount = pendingCommissions.reduce((sum, commission) => sum + commission.amount, 0);
-        
-        if (totalPendingAmount >= payoutRequest.amount) {
-          // Process payment with commission splitting
-          let remainingAmount = payoutRequest.amount;
-          const paidCommissionIds = [];
-          const commissionsToUpdate = [];
-
-          for (const commission of pendingCommissions) {
-            if (remainingAmount <= 0) break;
-
-            if (commission.amount <= remainingAmount) {
-              // Pay the entire commission
-              commissionsToUpdate.push({
-                commission,
-                newStatus: 'paid',
-                amountPaid: commission.amount
-              });
-              paidCommissionIds.push(commission._id);
-              remainingAmount -= commission.amount;
-              
-              console.log(`Auto-paying commission ${commission._id}: ${commission.amount}`);
-            } else {
-              // Split the commission (create new commission for remaining amount)
-              const paidAmount = remainingAmount;
-              const remainingCommissionAmount = commission.amount - paidAmount;
-              
-              console.log(`Auto-splitting commission ${commission._id}: Paying ${paidAmount}, Remaining ${remainingCommissionAmount}`);
-              
-              // Create a new commission for the remaining amount
-              const newCommission = await Commission.create({
-                orderId: commission.orderId,
-                agentId: commission.agentId,
-                type: commission.type,
-                amount: remainingCommissionAmount,
-                status: 'pending',
-                orderTotal: commission.orderTotal,
-                commissionRate: commission.commissionRate,
-                settingsVersion: commission.settingsVersion,
-                description: commission.description ? `${commission.description} (Auto-Split - Remaining)` : `${commission.type} commission (Auto-Split - Remaining)`
-              });
-
-              // Update original commission to paid with new amount
-              commission.amount = paidAmount;
-              commission.description = commission.description ? `${commission.description} (Auto-Split - Paid)` : `${commission.type} commission (Auto-Split - Paid)`;
-              
-              commissionsToUpdate.push({
-                commission,
-                newStatus: 'paid',
-                amountPaid: paidAmount
-              });
-              paidCommissionIds.push(commission._id);
-              remainingAmount = 0;
-              
-              console.log(`Auto-split commission created: Original ${commission._id} (paid ${paidAmount}), New ${newCommission._id} (pending ${remainingCommissionAmount})`);
-              
-              break;
-            }
-          }
-
-          // Update commissions to paid status
-          for (const { commission, newStatus } of commissionsToUpdate) {
-            commission.status = newStatus;
-            commission.paidAt = new Date();
-            commission.payoutRequestId = payoutRequest._id;
-            await commission.save();
+        if (usesB2C(payoutRequest)) {
+          // Send the money via M-Pesa; commissions are settled when the B2C result arrives
+          const disbursement = await exports.disbursePayout(payoutRequest, agentId);
+          if (!disbursement.success) {
+            payoutRequest.notes = `Auto-approved but M-Pesa disbursement failed: ${disbursement.message}`;
+            await payoutRequest.save();
           }
+        } else {
+          const allocation = await allocateCommissionsToPayout(payoutRequest, 'Auto-Split');
 
-          // Update payout request to paid status
-          payoutRequest.status = 'paid';
-          payoutRequest.commissionIds = paidCommissionIds;
-          payoutRequest.notes = `Auto-approved and auto-paid. Processed ${paidCommissionIds.length} commission(s).`;
-          await payoutRequest.save();
+          if (allocation.success) {
+            // Update payout request to paid status
+            payoutRequest.status = 'paid';
+            payoutRequest.commissionIds = allocation.paidCommissionIds;
+            payoutRequest.notes = `Auto-approved and auto-paid. Processed ${allocation.paidCommissionIds.length} commission(s).`;
+            await payoutRequest.save();
 
-          console.log(`Auto-payment completed: KSh ${payoutRequest.amount.toLocaleString()} paid from ${paidCommissionIds.length} commission(s)`);
-        } else {
-          console.log('Insufficient commission balance for auto-payment, keeping as approved');
-          payoutRequest.notes = 'Auto-approved but insufficient commission balance for auto-payment';
-          await payoutRequest.save();
+            console.log(`Auto-payment completed: KSh ${payoutRequest.amount.toLocaleString()} paid from ${allocation.paidCommissionIds.length} commission(s)`);
+          } else {
+            console.log('Insufficient commission balance for auto-payment, keeping as approved');
+            payoutRequest.notes = 'Auto-approved but insufficient commission balance for auto-payment';
+            await payoutRequest.save();
+          }
         }
       } catch (autoPayError) {
         console.error('Auto-payment failed:', autoPayError);
@@ -538,6 +581,9 @@ exports.createPayoutRequest = async (req, res) => {
       if (finalPayoutRequest.status === 'paid') {
         response.autoPaid = true;
       }
+      if (finalPayoutRequest.disbursement?.status === 'initiated') {
+        response.disbursementInitiated = true;
+      }
     }
 
     res.status(201).json(response);
@@ -685,7 +731,7 @@ exports.getAllPayoutRequests = async (req, res) => {
 // @access  Private/Admin
 exports.processPayoutRequest = async (req, res) => {
   try {
-    const { action, notes, rejectionReason } = req.body; // action: 'approve', 'pay', 'reject', 'hold', 'release'
+    const { action, notes, rejectionReason } = req.body; // action: 'approve', 'pay', 'reject', 'hold', 'release', 'resolve_disbursement'
     
     console.log('Processing payout request:', req.params.id, 'action:', action);
 
@@ -700,10 +746,10 @@ exports.processPayoutRequest = async (req, res) => {
     }
 
     // Validate action
-    if (!['approve', 'pay', 'reject', 'hold', 'release'].includes(action)) {
+    if (!['approve', 'pay', 'reject', 'hold', 'release', 'resolve_disbursement'].includes(action)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid action. Use approve, pay, reject, hold, or release'
+        message: 'Invalid action. Use approve, pay, reject, hold, release, or resolve_disbursement'
       });
     }
 
@@ -722,6 +768,28 @@ exports.processPayoutRequest = async (req, res) => {
       });
     }
 
+    // Money is already in flight; wait for the B2C result before changing anything
+    if (payoutRequest.disbursement?.status === 'initiated') {
+      return res.status(400).json({
+        success: false,
+        message: 'An M-Pesa disbursement is in progress for this payout. Wait for the M-Pesa result.'
+      });
+    }
+
+    // M-Pesa may have paid the agent; only confirming the outcome is allowed
+    const needsCheck = NEEDS_CHECK_DISBURSEMENT_STATUSES.includes(payoutRequest.disbursement?.status);
+    if (needsCheck !== (action === 'resolve_disbursement')) {
+      return res.status(400).json({
+        success: false,
+        message: needsCheck
+          ? 'The M-Pesa disbursement for this payout has an unknown outcome. Check the M-Pesa statement and resolve it first.'
+          : 'This payout has no M-Pesa disbursement waiting to be checked'
+      });
+    }
+
+    const auditFields = ['status', 'approvals', 'notes', 'rejectionReason'];
+    const disbursementBefore = payoutRequest.disbursement?.status;
+    const before = snapshot(payoutRequest, auditFields);
     let updatedRequest;
     let message = '';
 
@@ -733,8 +801,26 @@ exports.processPayoutRequest = async (req, res) => {
             message: 'Only pending payout requests can be approved'
           });
         }
-        updatedRequest = await payoutRequest.approve(req.user.id);
+        const requiredApprovals = await getRequiredApprovals(payoutRequest);
+        const approval = await PayoutRequest.recordApproval(payoutRequest._id, req.user._id, requiredApprovals, notes);
+        updatedRequest = approval.payoutRequest;
+
+        if (!approval.approved) {
+          message = updatedRequest.status === 'pending'
+            ? `Approval ${updatedRequest.approvals.length} of ${requiredApprovals} recorded. A different approver must also approve this payout.`
+            : 'Payout request has already been approved';
+          break;
+        }
+
         message = 'Payout request approved successfully';
+
+        // Approving an M-Pesa payout sends the money straight away
+        if (usesB2C(updatedRequest)) {
+          const disbursement = await exports.disbursePayout(updatedRequest, req.user.id);
+          message = disbursement.success
+            ? 'Payout request approved and M-Pesa disbursement initiated'
+            : `Payout request approved but M-Pesa disbursement failed: ${disbursement.message}`;
+        }
         break;
       
       case 'pay':
@@ -745,104 +831,48 @@ exports.processPayoutRequest = async (req, res) => {
           });
         }
 
-        // Get agent's pending commissions
-        const pendingCommissions = await Commission.find({
-          agentId: payoutRequest.agentId._id,
-          status: 'pending'
-        }).sort({ createdAt: 1 }); // Process oldest first
-
-        console.log(`Found ${pendingCommissions.length} pending commissions for agent`);
-        console.log(`Total pending amount: ${pendingCommissions.reduce((sum, c) => sum + c.amount, 0)}`);
-        console.log(`Payout request amount: ${payoutRequest.amount}`);
-
-        // Check if agent has sufficient pending commissions
-        const totalPendingAmount = pendingCommissions.reduce((sum, commission) => sum + commission.amount, 0);
-        
-        if (totalPendingAmount < payoutRequest.amount) {
+        // Payouts under manager approval can't skip the second approver by going straight to pay
+        if (payoutRequest.status === 'pending' && await getRequiredApprovals(payoutRequest) > 1) {
           return res.status(400).json({
             success: false,
-            message: `Insufficient pending commissions. Available: KSh ${totalPendingAmount.toLocaleString()}, Requested: KSh ${payoutRequest.amount.toLocaleString()}`
+            message: 'This payout needs approval from two different approvers before it can be paid'
           });
         }
 
-        // Process payment with commission splitting
-        let remainingAmount = payoutRequest.amount;
-        const paidCommissionIds = [];
-        const commissionsToUpdate = [];
-
-        for (const commission of pendingCommissions) {
-          if (remainingAmount <= 0) break;
-
-          if (commission.amount <= remainingAmount) {
-            // Pay the entire commission
-            commissionsToUpdate.push({
-              commission,
-              newStatus: 'paid',
-              amountPaid: commission.amount
-            });
-            paidCommissionIds.push(commission._id);
-            remainingAmount -= commission.amount;
-            
-            console.log(`Marking commission ${commission._id} as fully paid: ${commission.amount}`);
-          } else {
-            // Split the commission (create new commission for remaining amount)
-            const paidAmount = remainingAmount;
-            const remainingCommissionAmount = commission.amount - paidAmount;
-            
-            console.log(`Splitting commission ${commission._id}: Original ${commission.amount}, Paying ${paidAmount}, Remaining ${remainingCommissionAmount}`);
-            
-            // Create a new commission for the remaining amount
-            const newCommission = await Commission.create({
-              orderId: commission.orderId,
-              agentId: commission.agentId,
-              type: commission.type,
-              amount: remainingCommissionAmount,
-              status: 'pending',
-              orderTotal: commission.orderTotal,
-              commissionRate: commission.commissionRate,
-              description: commission.description ? `${commission.description} (Split - Remaining)` : `${commission.type} commission (Split - Remaining)`
-            });
+        if (usesB2C(payoutRequest)) {
+          if (payoutRequest.status === 'pending') {
+            await payoutRequest.approve(req.user.id);
+          }
 
-            // Update original commission to paid with new amount
-            commission.amount = paidAmount;
-            commission.description = commission.description ? `${commission.description} (Split - Paid)` : `${commission.type} commission (Split - Paid)`;
-            
-            commissionsToUpdate.push({
-              commission,
-              newStatus: 'paid',
-              amountPaid: paidAmount
+          const disbursement = await exports.disbursePayout(payoutRequest, req.user.id);
+          if (!disbursement.success) {
+            return res.status(400).json({
+              success: false,
+              message: disbursement.message
             });
-            paidCommissionIds.push(commission._id);
-            remainingAmount = 0;
-            
-            console.log(`Split commission created: Original ${commission._id} (paid ${paidAmount}), New ${newCommission._id} (pending ${remainingCommissionAmount})`);
-            
-            break;
           }
-        }
 
-        // Update commissions to paid status
-        for (const { commission, newStatus } of commissionsToUpdate) {
-          commission.status = newStatus;
-          commission.paidAt = new Date();
-          commission.payoutRequestId = payoutRequest._id;
-          await commission.save();
+          updatedRequest = payoutRequest;
+          message = 'M-Pesa disbursement initiated. The payout will be marked as paid once M-Pesa confirms the transfer.';
+          break;
         }
 
-        const totalPaid = payoutRequest.amount - remainingAmount;
-        console.log(`Processed payment: Requested ${payoutRequest.amount}, Paid ${totalPaid}, Remaining unpaid ${remainingAmount}`);
+        // Mark the agent's pending commissions as paid (manual payout)
+        const allocation = await allocateCommissionsToPayout(payoutRequest);
+
+        console.log(`Payout request amount: ${payoutRequest.amount}, total pending commissions: ${allocation.totalPendingAmount}`);
 
-        if (totalPaid !== payoutRequest.amount) {
+        if (!allocation.success) {
           return res.status(400).json({
             success: false,
-            message: `Payment processing error: Could not process full amount. Paid: ${totalPaid}, Requested: ${payoutRequest.amount}`
+            message: `Insufficient pending commissions. Available: KSh ${allocation.totalPendingAmount.toLocaleString()}, Requested: KSh ${payoutRequest.amount.toLocaleString()}`
           });
         }
 
-        message = `Payout processed successfully. KSh ${totalPaid.toLocaleString()} paid from ${paidCommissionIds.length} commission(s).`;
+        message = `Payout processed successfully. KSh ${allocation.totalPaid.toLocaleString()} paid from ${allocation.paidCommissionIds.length} commission(s).`;
 
         // Update payout request with commission IDs and mark as paid
-        payoutRequest.commissionIds = paidCommissionIds;
+        payoutRequest.commissionIds = allocation.paidCommissionIds;
         updatedRequest = await payoutRequest.markAsPaid(req.user.id);
         break;
       
@@ -904,6 +934,47 @@ exports.processPayoutRequest = async (req, res) => {
         updatedRequest = await payoutRequest.save();
         message = 'Payout request released from hold successfully';
         break;
+
+      case 'resolve_disbursement': {
+        // outcome 'completed' with the M-Pesa receipt if the agent was paid, 'failed' if not
+        const { outcome, transactionId } = req.body;
+        if (!['completed', 'failed'].includes(outcome)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Outcome must be completed or failed'
+          });
+        }
+
+        if (outcome === 'completed') {
+          if (!transactionId || !String(transactionId).trim()) {
+            return res.status(400).json({
+              success: false,
+              message: 'M-Pesa transaction ID is required to confirm a completed disbursement'
+            });
+          }
+          updatedRequest = await exports.completePayoutDisbursement(payoutRequest, {
+            resultCode: 0,
+            resultDesc: `Confirmed manually${notes ? `: ${notes.trim()}` : ''}`,
+            transactionReceipt: String(transactionId).trim()
+          }, payoutRequest.disbursement.resultPayload, NEEDS_CHECK_DISBURSEMENT_STATUSES);
+          message = 'M-Pesa disbursement confirmed and payout marked as paid';
+        } else {
+          updatedRequest = await claimDisbursement(payoutRequest, NEEDS_CHECK_DISBURSEMENT_STATUSES, {
+            'disbursement.status': 'failed',
+            'disbursement.resultDesc': `Confirmed not sent${notes ? `: ${notes.trim()}` : ''}`
+          });
+          message = 'M-Pesa disbursement marked as failed. The payout can be sent again.';
+        }
+
+        // The M-Pesa result arrived (or another admin resolved it) while this was open
+        if (!updatedRequest) {
+          return res.status(409).json({
+            success: false,
+            message: 'This disbursement has already been resolved'
+          });
+        }
+        break;
+      }
     }
 
     // Add additional notes if provided and not already added
@@ -917,7 +988,23 @@ exports.processPayoutRequest = async (req, res) => {
     // Return populated payout request with fresh data
     const populatedRequest = await PayoutRequest.findById(updatedRequest._id)
       .populate('agentId', 'name email phone')
-      .populate('processedBy', 'name email');
+      .populate('processedBy', 'name email')
+      .populate('approvals.approvedBy', 'name email');
+
+    await recordAudit(req, {
+      action: `payout.${action}`,
+      targetType: 'PayoutRequest',
+      targetId: payoutRequest._id,
+      targetLabel: `${payoutRequest.agentId?.email || ''} KSh ${payoutRequest.amount}`.trim(),
+      before,
+      after: snapshot(updatedRequest, auditFields),
+      reason: action === 'reject' ? rejectionReason : notes,
+      metadata: {
+        amount: payoutRequest.amount,
+        method: payoutRequest.method,
+        disbursementStatus: { from: disbursementBefore, to: updatedRequest.disbursement?.status }
+      }
+    });
 
     res.json({
       success: true,
@@ -1086,16 +1173,16 @@ exports.createDeliveryCommission = async (orderId) => {
   }
 };
 
-exports.createAgentOrderCommission = async (orderId) => {
+exports.createAgentOrderCommission = async (orderId, session = null) => {
   try {
-    const order = await Order.findById(orderId);
+    const order = await Order.findById(orderId).session(session);
     
     if (!order || order.createdBy !== 'agent' || !order.agentId) {
       console.log('Order not eligible for agent commission');
       return null;
     }
 
-    return await exports.createCommission(orderId, order.agentId, 'agent_order');
+    return await exports.createCommission(orderId, order.agentId, 'agent_order', session);
   } catch (error) {
     console.error('Create agent order commission error:', error);
     throw error;
@@ -1103,7 +1190,7 @@ exports.createAgentOrderCommission = async (orderId) => {
 };
 
 // Utility function to cancel commissions for cancelled orders
-exports.cancelCommissionsForOrder = async (orderId) => {
+exports.cancelCommissionsForOrder = async (orderId, session = null) => {
   try {
     console.log('Cancelling commissions for order:', orderId);
     
@@ -1112,7 +1199,8 @@ exports.cancelCommissionsForOrder = async (orderId) => {
       { 
         status: 'cancelled', 
         cancelledAt: new Date() 
-      }
+      },
+      { session }
     );
 
     console.log(`Cancelled ${result.modifiedCount} commissions for order ${orderId}`);
@@ -1123,6 +1211,150 @@ exports.cancelCommissionsForOrder = async (orderId) => {
   }
 };
 
+// Send an approved M-Pesa payout to the agent via B2C (internal)
+// Commissions are only marked paid once the B2C result confirms the transfer
+exports.disbursePayout = async (payoutRequest, initiatedBy) => {
+  if (!usesB2C(payoutRequest)) {
+    return { success: false, message: 'M-Pesa B2C is not available for this payout' };
+  }
+
+  if (LOCKED_DISBURSEMENT_STATUSES.includes(payoutRequest.disbursement?.status)) {
+    return { success: false, message: 'An M-Pesa disbursement has already been sent for this payout' };
+  }
+
+  // Don't send money the agent hasn't earned
+  const agentId = payoutRequest.agentId._id || payoutRequest.agentId;
+  const pendingCommissions = await Commission.find({ agentId, status: 'pending' });
+  const totalPendingAmount = pendingCommissions.reduce((sum, commission) => sum + commission.amount, 0);
+
+  if (totalPendingAmount < payoutRequest.amount) {
+    return {
+      success: false,
+      message: `Insufficient pending commissions. Available: KSh ${totalPendingAmount.toLocaleString()}, Requested: KSh ${payoutRequest.amount.toLocaleString()}`
+    };
+  }
+
+  const phoneNumber = formatPhoneNumber(payoutRequest.accountDetails);
+  if (!phoneNumber) {
+    return { success: false, message: 'Payout account details are not a valid M-Pesa number' };
+  }
+
+  const amountToSend = payoutRequest.amount - (payoutRequest.metadata?.processingFee || 0);
+  if (amountToSend < 1) {
+    return { success: false, message: 'Payout amount after processing fee is too small to send' };
+  }
+
+  const token = await generateToken();
+  if (!token) {
+    return { success: false, message: 'Failed to authenticate with M-Pesa' };
+  }
+
+  // Claim the send so two admins (or an approval and a retry) can't both pay the agent
+  const claimed = await PayoutRequest.findOneAndUpdate(
+    { _id: payoutRequest._id, 'disbursement.status': { $nin: LOCKED_DISBURSEMENT_STATUSES } },
+    {
+      $set: {
+        'disbursement.status': 'initiated',
+        'disbursement.initiatedAt': new Date(),
+        'disbursement.initiatedBy': initiatedBy
+      }
+    }
+  );
+  if (!claimed) {
+    return { success: false, message: 'An M-Pesa disbursement has already been sent for this payout' };
+  }
+  payoutRequest.disbursement.status = 'initiated';
+
+  const b2cResponse = await initiateB2CPaymentRequest({
+    token,
+    phoneNumber,
+    amount: amountToSend,
+    remarks: `Commission payout ${payoutRequest._id.toString().slice(-8)}`,
+    occasion: 'Agent payout'
+  });
+
+  if (!b2cResponse.success) {
+    // Only a definite rejection frees the payout for another attempt
+    payoutRequest.disbursement.status = b2cResponse.uncertain ? 'needs_check' : 'failed';
+    payoutRequest.disbursement.resultDesc = b2cResponse.uncertain
+      ? `No response from M-Pesa (${b2cResponse.message}); check the M-Pesa statement before resending`
+      : b2cResponse.message;
+    payoutRequest.disbursement.attempts = (payoutRequest.disbursement.attempts || 0) + 1;
+    payoutRequest.disbursement.amountSent = Math.floor(amountToSend);
+    await payoutRequest.save();
+    return { success: false, message: payoutRequest.disbursement.resultDesc };
+  }
+
+  await payoutRequest.markDisbursementInitiated(b2cResponse.data, initiatedBy, Math.floor(amountToSend));
+  console.log(`B2C disbursement initiated for payout ${payoutRequest._id}: ${b2cResponse.data.ConversationID}`);
+
+  return { success: true, message: 'M-Pesa disbursement initiated' };
+};
+
+// Apply a B2C result to its payout request (internal, called from the M-Pesa result callback
+// and when an admin confirms the outcome). Returns null if the disbursement had already left fromStatuses.
+exports.completePayoutDisbursement = async (payoutRequest, result, payload, fromStatuses = OPEN_DISBURSEMENT_STATUSES) => {
+  const resultFields = {
+    'disbursement.resultCode': result.resultCode,
+    'disbursement.resultDesc': result.resultDesc,
+    'disbursement.resultPayload': payload
+  };
+
+  if (result.resultCode !== 0) {
+    const failed = await claimDisbursement(payoutRequest, fromStatuses, {
+      ...resultFields,
+      'disbursement.status': 'failed',
+      notes: payoutRequest.notes
+        ? `${payoutRequest.notes}; M-Pesa disbursement failed: ${result.resultDesc}`
+        : `M-Pesa disbursement failed: ${result.resultDesc}`
+    });
+    if (failed) {
+      console.log(`B2C disbursement failed for payout ${payoutRequest._id}: ${result.resultDesc}`);
+    }
+    return failed;
+  }
+
+  payoutRequest = await claimDisbursement(payoutRequest, fromStatuses, {
+    ...resultFields,
+    'disbursement.status': 'completed',
+    'disbursement.transactionId': result.transactionReceipt || result.transactionId,
+    'disbursement.receiverName': result.receiverName,
+    'disbursement.completedAt': new Date()
+  });
+  if (!payoutRequest) {
+    return null;
+  }
+
+  // Money has moved: now settle the agent's commissions against this payout
+  const allocation = await allocateCommissionsToPayout(payoutRequest);
+
+  payoutRequest.status = 'paid';
+  payoutRequest.processedAt = new Date();
+  payoutRequest.commissionIds = allocation.paidCommissionIds;
+  const paidNote = allocation.success
+    ? `Paid via M-Pesa B2C (${payoutRequest.disbursement.transactionId}). Processed ${allocation.paidCommissionIds.length} commission(s).`
+    : `Paid via M-Pesa B2C (${payoutRequest.disbursement.transactionId}) but pending commissions (KSh ${allocation.totalPendingAmount.toLocaleString()}) no longer cover the payout; review required.`;
+  payoutRequest.notes = payoutRequest.notes ? `${payoutRequest.notes}; ${paidNote}` : paidNote;
+  await payoutRequest.save();
+
+  console.log(`B2C disbursement completed for payout ${payoutRequest._id}: ${payoutRequest.disbursement.transactionId}`);
+  return payoutRequest;
+};
+
+// Record a B2C request that timed out in the M-Pesa queue (internal)
+// The payment may still go through, so it waits for an admin to confirm the outcome
+exports.markPayoutDisbursementTimeout = async (payoutRequest, payload) => {
+  const timedOut = await claimDisbursement(payoutRequest, ['initiated'], {
+    'disbursement.status': 'needs_check',
+    'disbursement.resultDesc': 'Request timed out in the M-Pesa queue; check the M-Pesa statement before resending',
+    'disbursement.resultPayload': payload
+  });
+  if (timedOut) {
+    console.log(`B2C disbursement timed out for payout ${payoutRequest._id}`);
+  }
+  return timedOut;
+};
+
 // @desc    Get payout statistics (enhanced version)
 // @route   GET /api/commissions/admin/payout-stats
 // @access  Private/Admin
@@ -1395,6 +1627,13 @@ exports.bulkProcessPayouts = async (req, res) => {
         }
       }
 
+      await recordAudit(req, {
+        action: 'payout.bulk_reject',
+        targetType: 'PayoutRequest',
+        reason: genericRejectionReason.trim(),
+        metadata: { payoutIds, processedCount, errors }
+      });
+
       let message = `${processedCount} payout requests rejected successfully`;
       if (errors.length > 0) {
         message += `. ${errors.length} requests could not be processed.`;
@@ -1411,6 +1650,83 @@ exports.bulkProcessPayouts = async (req, res) => {
       });
     }
 
+    let remainingPayoutIds = payoutIds;
+    let disbursedCount = 0;
+    const disbursementErrors = [];
+    const approvalErrors = [];
+    let awaitingApprovalCount = 0;
+
+    // Payouts under manager approval are signed off one approver at a time and
+    // never bulk-approved or bulk-paid straight from pending
+    const settings = await PayoutSettings.getCurrentSettings();
+    if (['approve', 'pay'].includes(action) && settings.requireManagerApproval) {
+      const dualApprovalPayouts = await PayoutRequest.find({
+        _id: { $in: payoutIds },
+        status: 'pending',
+        amount: { $gt: settings.autoApprovalThreshold }
+      });
+
+      const dualApprovalIds = dualApprovalPayouts.map(payout => payout._id.toString());
+      remainingPayoutIds = payoutIds.filter(id => !dualApprovalIds.includes(id.toString()));
+
+      for (const payoutRequest of dualApprovalPayouts) {
+        const label = `Payout ${payoutRequest._id.toString().slice(-8)}`;
+
+        if (action === 'pay') {
+          approvalErrors.push(`${label} needs approval from two different approvers before it can be paid`);
+          continue;
+        }
+
+        try {
+          const approval = await PayoutRequest.recordApproval(payoutRequest._id, req.user._id, 2, notes);
+          if (!approval.approved) {
+            awaitingApprovalCount++;
+            continue;
+          }
+
+          if (usesB2C(approval.payoutRequest)) {
+            const disbursement = await exports.disbursePayout(approval.payoutRequest, req.user.id);
+            if (disbursement.success) {
+              disbursedCount++;
+            } else {
+              disbursementErrors.push(`${label}: ${disbursement.message}`);
+            }
+          }
+        } catch (error) {
+          approvalErrors.push(`${label}: ${error.message}`);
+        }
+      }
+    }
+
+    // M-Pesa payouts being approved or paid go out individually via B2C
+    if (['approve', 'pay'].includes(action) && isB2CConfigured()) {
+      const mpesaPayouts = await PayoutRequest.find({
+        _id: { $in: remainingPayoutIds },
+        method: 'mpesa',
+        status: { $in: action === 'approve' ? ['pending'] : ['pending', 'approved'] }
+      });
+
+      const mpesaPayoutIds = mpesaPayouts.map(payout => payout._id.toString());
+      remainingPayoutIds = remainingPayoutIds.filter(id => !mpesaPayoutIds.includes(id.toString()));
+
+      for (const payoutRequest of mpesaPayouts) {
+        try {
+          if (payoutRequest.status === 'pending') {
+            await payoutRequest.approve(req.user.id);
+          }
+          const disbursement = await exports.disbursePayout(payoutRequest, req.user.id);
+          if (disbursement.success) {
+            disbursedCount++;
+          } else {
+            disbursementErrors.push(`Payout ${payoutRequest._id.toString().slice(-8)}: ${disbursement.message}`);
+          }
+        } catch (error) {
+          console.error(`Error disbursing payout ${payoutRequest._id}:`, error);
+          disbursementErrors.push(`Payout ${payoutRequest._id.toString().slice(-8)}: ${error.message}`);
+        }
+      }
+    }
+
     // For other actions, use the existing bulk update approach
     let updateData = {
       processedBy: req.user.id,
@@ -1446,8 +1762,10 @@ exports.bulkProcessPayouts = async (req, res) => {
 
     const result = await PayoutRequest.updateMany(
       { 
-        _id: { $in: payoutIds },
-        status: { $in: allowedStatuses[action] || [] }
+        _id: { $in: remainingPayoutIds },
+        status: { $in: allowedStatuses[action] || [] },
+        // Leave payouts whose M-Pesa disbursement is in flight or unconfirmed alone
+        'disbursement.status': { $nin: LOCKED_DISBURSEMENT_STATUSES }
       },
       updateData
     );
@@ -1455,7 +1773,7 @@ exports.bulkProcessPayouts = async (req, res) => {
     // Special handling for pay action - need to process commissions
     if (action === 'pay' && result.modifiedCount > 0) {
       const paidPayouts = await PayoutRequest.find({ 
-        _id: { $in: payoutIds },
+        _id: { $in: remainingPayoutIds },
         status: 'paid'
       });
       
@@ -1492,6 +1810,20 @@ exports.bulkProcessPayouts = async (req, res) => {
 
     console.log(`Bulk processed ${result.modifiedCount} payouts with action: ${action}`);
 
+    await recordAudit(req, {
+      action: `payout.bulk_${action}`,
+      targetType: 'PayoutRequest',
+      reason: notes,
+      metadata: {
+        payoutIds,
+        modifiedCount: result.modifiedCount,
+        disbursedCount,
+        awaitingApprovalCount,
+        approvalErrors,
+        disbursementErrors
+      }
+    });
+
     let message = `${result.modifiedCount} payout requests ${action}${action.endsWith('e') ? 'd' : action === 'pay' ? 'id' : 'ed'} successfully`;
     
     if (result.matchedCount > result.modifiedCount) {
@@ -1499,13 +1831,29 @@ exports.bulkProcessPayouts = async (req, res) => {
       message += `. ${skipped} requests were skipped (already processed or invalid status).`;
     }
 
+    if (disbursedCount > 0 || disbursementErrors.length > 0) {
+      message += ` M-Pesa disbursement initiated for ${disbursedCount} payout(s)`;
+      if (disbursementErrors.length > 0) {
+        message += `, ${disbursementErrors.length} failed`;
+      }
+      message += '.';
+    }
+
+    if (awaitingApprovalCount > 0) {
+      message += ` ${awaitingApprovalCount} payout(s) recorded your approval and need a second approver.`;
+    }
+
     res.json({
       success: true,
       message,
       data: {
         modifiedCount: result.modifiedCount,
         matchedCount: result.matchedCount,
-        skippedCount: result.matchedCount - result.modifiedCount
+        skippedCount: result.matchedCount - result.modifiedCount,
+        disbursedCount,
+        awaitingApprovalCount,
+        disbursementErrors: disbursementErrors.length > 0 ? disbursementErrors : undefined,
+        approvalErrors: approvalErrors.length > 0 ? approvalErrors : undefined
       }
     });
   } catch (error) {
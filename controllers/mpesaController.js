@@ -1,8 +1,99 @@
-const { generateToken, initiateSTKPushRequest } = require('../services/mpesa');
+const {
+  generateToken,
+  initiateSTKPushRequest,
+  settleTransaction,
+  reconcileTransaction,
+  reconcilePendingTransactions,
+  parseB2CResult,
+  registerC2BUrls,
+  markOrderPaid
+} = require('../services/mpesa');
 const Order = require('../models/Order');
+const MpesaTransaction = require('../models/MpesaTransaction');
+const PaymentException = require('../models/PaymentException');
+const PayoutRequest = require('../models/PayoutRequest');
+const MpesaC2BPayment = require('../models/MpesaC2BPayment');
+const Return = require('../models/Return');
+const { completeB2CRefund, markB2CRefundTimeout } = require('../services/returnService');
+const {
+  completePayoutDisbursement,
+  markPayoutDisbursementTimeout
+} = require('./commissionController');
 
-// Store pending payments in memory (in production, use Redis or database)
-const pendingPayments = new Map();
+// Order numbers generated by the Order pre-save hook, e.g. ORD-1712345678901-AB12
+const ORDER_NUMBER_PATTERN = /^(ORD|AGT)-\d+-[A-Z0-9]{4}$/;
+
+// Look up an order from the account reference a customer typed on their phone
+const findOrderByReference = async (reference) => {
+  const orderNumber = String(reference || '').replace(/\s+/g, '').toUpperCase();
+  if (!ORDER_NUMBER_PATTERN.test(orderNumber)) {
+    return null;
+  }
+  return Order.findOne({ orderNumber });
+};
+
+// Why a paybill payment can't be applied to an order (empty string if it can)
+const getSuspenseReason = (order, amount) => {
+  if (!order) return 'unknown_reference';
+  if (order.status === 'cancelled') return 'order_cancelled';
+  if (order.isPaid) return 'order_already_paid';
+  if (amount < Math.ceil(order.totalPrice)) return 'underpayment';
+  return '';
+};
+
+// Why an order turned down a payment it was checked against a moment ago
+const refusedPaymentReason = async (orderId, amount) => {
+  const order = await Order.findById(orderId);
+  return getSuspenseReason(order, amount) || 'order_already_paid';
+};
+
+// Callbacks must carry the shared secret appended to our callback URLs (when one is configured)
+const hasValidCallbackSecret = (req) => {
+  return !process.env.MPESA_CALLBACK_SECRET || req.query.secret === process.env.MPESA_CALLBACK_SECRET;
+};
+
+// Pull the payment details out of an STK callback's metadata items
+const extractCallbackMetadata = (callbackMetadata) => {
+  const details = {
+    mpesaReceiptNumber: '',
+    transactionDate: '',
+    paidPhone: '',
+    paidAmount: 0
+  };
+
+  if (callbackMetadata && callbackMetadata.Item) {
+    callbackMetadata.Item.forEach(item => {
+      switch (item.Name) {
+        case 'MpesaReceiptNumber':
+          details.mpesaReceiptNumber = item.Value;
+          break;
+        case 'TransactionDate':
+          details.transactionDate = item.Value;
+          break;
+        case 'PhoneNumber':
+          details.paidPhone = String(item.Value);
+          break;
+        case 'Amount':
+          details.paidAmount = Number(item.Value) || 0;
+          break;
+      }
+    });
+  }
+
+  return details;
+};
+
+// Compare phone numbers, allowing for the masked digits Safaricom may send (e.g. 2547****5678)
+const phonesMatch = (expected, actual) => {
+  if (!actual) return true;
+
+  const expectedDigits = String(expected).replace(/[^0-9]/g, '');
+  const actualClean = String(actual).replace(/[^0-9*]/g, '');
+
+  if (expectedDigits.length !== actualClean.length) return false;
+
+  return actualClean.split('').every((char, index) => char === '*' || char === expectedDigits[index]);
+};
 
 // @desc    Initiate STK Push
 // @route   POST /api/mpesa/stkpush
@@ -51,6 +142,22 @@ exports.initiateSTKPush = async (req, res) => {
       });
     }
 
+    // Cancelled orders (including unpaid orders whose stock hold expired) can't be paid
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has been cancelled. Please place a new order.'
+      });
+    }
+
+    // The amount requested from the customer must cover the order total
+    if (Math.ceil(amount) < Math.ceil(order.totalPrice)) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount must be at least the order total of KSh ${Math.ceil(order.totalPrice).toLocaleString()}`
+      });
+    }
+
     // Generate access token
     const token = await generateToken();
     if (!token) {
@@ -70,31 +177,19 @@ exports.initiateSTKPush = async (req, res) => {
     });
 
     if (stkResponse.success) {
-      // Store pending payment details
-      pendingPayments.set(stkResponse.data.CheckoutRequestID, {
+      // Persist the transaction so the callback can be matched after a restart
+      await MpesaTransaction.create({
         orderId,
         userId: req.user.id,
-        amount,
+        checkoutRequestId: stkResponse.data.CheckoutRequestID,
+        merchantRequestId: stkResponse.data.MerchantRequestID,
         phoneNumber: formattedPhone,
-        timestamp: new Date(),
-        status: 'pending'
+        amount: Math.ceil(amount),
+        accountReference: accountReference || `Order-${orderId}`,
+        requestPayload: stkResponse.request,
+        responsePayload: stkResponse.data
       });
 
-      // Set timeout to clean up pending payment after 5 minutes
-      setTimeout(() => {
-        if (pendingPayments.has(stkResponse.data.CheckoutRequestID)) {
-          const payment = pendingPayments.get(stkResponse.data.CheckoutRequestID);
-          if (payment.status === 'pending') {
-            // Update status to failed if still pending after timeout
-            pendingPayments.set(stkResponse.data.CheckoutRequestID, {
-              ...payment,
-              status: 'failed',
-              failureReason: 'Payment timeout - no response received'
-            });
-          }
-        }
-      }, 5 * 60 * 1000); // 5 minutes
-
       res.json({
         success: true,
         message: 'STK Push initiated successfully',
@@ -126,8 +221,22 @@ exports.handleMpesaCallback = async (req, res) => {
   try {
     console.log('M-Pesa Callback received:', JSON.stringify(req.body, null, 2));
 
-    const { Body } = req.body;
-    const { stkCallback } = Body;
+    // Reject callbacks that don't carry the shared secret from our callback URL
+    if (!hasValidCallbackSecret(req)) {
+      console.log('M-Pesa callback rejected: invalid or missing secret');
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+
+    const stkCallback = req.body && req.body.Body && req.body.Body.stkCallback;
+
+    if (!stkCallback || !stkCallback.CheckoutRequestID) {
+      await PaymentException.create({
+        type: 'invalid_callback',
+        description: 'Callback body is missing Body.stkCallback.CheckoutRequestID',
+        payload: req.body
+      });
+      return res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+    }
 
     const {
       MerchantRequestID,
@@ -137,79 +246,134 @@ exports.handleMpesaCallback = async (req, res) => {
       CallbackMetadata
     } = stkCallback;
 
-    // Find pending payment
-    const pendingPayment = pendingPayments.get(CheckoutRequestID);
+    // Find the stored transaction
+    const transaction = await MpesaTransaction.findOne({ checkoutRequestId: CheckoutRequestID });
     
-    if (!pendingPayment) {
-      console.log('No pending payment found for CheckoutRequestID:', CheckoutRequestID);
+    if (!transaction) {
+      console.log('No transaction found for CheckoutRequestID:', CheckoutRequestID);
+      await PaymentException.create({
+        type: 'unknown_checkout_request',
+        checkoutRequestId: CheckoutRequestID,
+        ...extractCallbackMetadata(CallbackMetadata),
+        description: `Callback received for unknown CheckoutRequestID (ResultCode ${ResultCode})`,
+        payload: req.body
+      });
       return res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
     }
 
+    // Duplicate callbacks: a settled or reviewed transaction is never processed twice,
+    // and a failure is only reopened by a later success. The status each outcome may
+    // come from is enforced again when the transaction is claimed below.
+    const claimableStatuses = ResultCode === 0 ? ['pending', 'failed'] : ['pending'];
+    const ignoreDuplicate = () => {
+      console.log(`Duplicate callback ignored for CheckoutRequestID ${CheckoutRequestID}`);
+      return res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+    };
+    if (!claimableStatuses.includes(transaction.status)) {
+      return ignoreDuplicate();
+    }
+
+    const callbackFields = {
+      callbackPayload: req.body,
+      merchantRequestId: !transaction.merchantRequestId ? MerchantRequestID : undefined
+    };
+
     if (ResultCode === 0) {
       // Payment successful
       console.log('Payment successful for CheckoutRequestID:', CheckoutRequestID);
 
-      // Extract payment details
-      let mpesaReceiptNumber = '';
-      let transactionDate = '';
-      let phoneNumber = '';
-      let amount = 0;
-
-      if (CallbackMetadata && CallbackMetadata.Item) {
-        CallbackMetadata.Item.forEach(item => {
-          switch (item.Name) {
-            case 'MpesaReceiptNumber':
-              mpesaReceiptNumber = item.Value;
-              break;
-            case 'TransactionDate':
-              transactionDate = item.Value;
-              break;
-            case 'PhoneNumber':
-              phoneNumber = item.Value;
-              break;
-            case 'Amount':
-              amount = item.Value;
-              break;
-          }
-        });
-      }
-
-      // Update pending payment status
-      pendingPayments.set(CheckoutRequestID, {
-        ...pendingPayment,
-        status: 'completed',
+      const { mpesaReceiptNumber, transactionDate, paidPhone, paidAmount } = extractCallbackMetadata(CallbackMetadata);
+      const details = {
+        ...callbackFields,
         mpesaReceiptNumber,
         transactionDate,
-        completedAt: new Date()
-      });
+        resultCode: ResultCode,
+        resultDesc: ResultDesc
+      };
+
+      const order = await Order.findById(transaction.orderId);
+      const expectedAmount = order ? Math.ceil(order.totalPrice) : transaction.amount;
+      const exceptionBase = {
+        transactionId: transaction._id,
+        orderId: transaction.orderId,
+        checkoutRequestId: CheckoutRequestID,
+        mpesaReceiptNumber,
+        expectedAmount,
+        paidAmount,
+        expectedPhone: transaction.phoneNumber,
+        paidPhone,
+        payload: req.body
+      };
 
-      // Update order status in database
-      const order = await Order.findById(pendingPayment.orderId);
-      if (order) {
-        order.isPaid = true;
-        order.paidAt = new Date();
-        order.status = 'processing';
-        order.paymentResult = {
-          id: mpesaReceiptNumber,
-          status: 'completed',
-          update_time: transactionDate || new Date().toISOString(),
-          email_address: ''
+      // Verify the payment before touching the order
+      let holdReason = null;
+      let exception = null;
+      if (!order) {
+        holdReason = 'Order no longer exists';
+      } else if (order.status === 'cancelled') {
+        // Stock and any chama or store credit were already released
+        exception = {
+          type: 'paid_after_cancellation',
+          description: `Order ${order.orderNumber} was cancelled before payment ${mpesaReceiptNumber} arrived; it needs a refund`
         };
-        await order.save();
-        console.log(`Order ${pendingPayment.orderId} updated to paid`);
+        holdReason = 'Order cancelled';
+      } else if (order.isPaid) {
+        exception = {
+          type: 'duplicate_payment',
+          description: `Order ${order.orderNumber} was already paid; payment ${mpesaReceiptNumber} needs a refund or reallocation`
+        };
+        holdReason = 'Order already paid';
+      } else if (paidAmount < expectedAmount) {
+        exception = {
+          type: 'underpayment',
+          description: `Paid KSh ${paidAmount.toLocaleString()} against an order total of KSh ${expectedAmount.toLocaleString()}`
+        };
+        holdReason = 'Underpayment';
+      } else if (!phonesMatch(transaction.phoneNumber, paidPhone)) {
+        exception = {
+          type: 'phone_mismatch',
+          description: `Payment came from ${paidPhone} but the STK push was sent to ${transaction.phoneNumber}`
+        };
+        holdReason = 'Phone number mismatch';
+      }
+
+      // Only the callback that claims the transaction records exceptions or updates the order
+      if (holdReason) {
+        if (!await transaction.markFlagged(holdReason, details, claimableStatuses)) {
+          return ignoreDuplicate();
+        }
+        if (exception) {
+          await PaymentException.create({ ...exceptionBase, ...exception });
+        }
+        console.log(`Payment for CheckoutRequestID ${CheckoutRequestID} held for review: ${holdReason}`);
+        return res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+      }
+
+      // Update transaction and order status
+      if (!await settleTransaction(transaction, details, claimableStatuses)) {
+        return ignoreDuplicate();
+      }
+
+      if (paidAmount > expectedAmount) {
+        await PaymentException.create({
+          ...exceptionBase,
+          type: 'overpayment',
+          description: `Paid KSh ${paidAmount.toLocaleString()} against an order total of KSh ${expectedAmount.toLocaleString()}; excess needs a refund`
+        });
       }
 
     } else {
       // Payment failed
       console.log('Payment failed for CheckoutRequestID:', CheckoutRequestID, 'Reason:', ResultDesc);
       
-      // Update pending payment status
-      pendingPayments.set(CheckoutRequestID, {
-        ...pendingPayment,
-        status: 'failed',
-        failureReason: ResultDesc,
-        failedAt: new Date()
-      });
+      // Update transaction status
+      if (!await transaction.markFailed(ResultDesc, {
+        ...callbackFields,
+        resultCode: ResultCode,
+        resultDesc: ResultDesc
+      }, claimableStatuses)) {
+        return ignoreDuplicate();
+      }
     }
 
     res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
@@ -223,6 +387,115 @@ exports.handleMpesaCallback = async (req, res) => {
   }
 };
 
+// Match a B2C request by either of its IDs; missing IDs are left out so they can't match unrelated records
+const b2cConversationFilter = (prefix, conversationId, originatorConversationId) => {
+  const conditions = [];
+  if (conversationId) conditions.push({ [`${prefix}.conversationId`]: conversationId });
+  if (originatorConversationId) conditions.push({ [`${prefix}.originatorConversationId`]: originatorConversationId });
+  return { $or: conditions };
+};
+
+// @desc    Handle M-Pesa B2C result callback
+// @route   POST /api/mpesa/b2c/result
+// @access  Public (M-Pesa service)
+exports.handleB2CResult = async (req, res) => {
+  try {
+    console.log('M-Pesa B2C result received:', JSON.stringify(req.body, null, 2));
+
+    if (!hasValidCallbackSecret(req)) {
+      console.log('M-Pesa B2C result rejected: invalid or missing secret');
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+
+    const result = req.body && req.body.Result;
+    if (!result || !result.ConversationID) {
+      console.log('M-Pesa B2C result missing Result.ConversationID');
+      return res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+    }
+
+    const parsed = parseB2CResult(result);
+
+    const payoutRequest = await PayoutRequest.findOne(
+      b2cConversationFilter('disbursement', parsed.conversationId, parsed.originatorConversationId)
+    );
+
+    if (!payoutRequest) {
+      // B2C is also used to refund returns
+      const returnDoc = await Return.findOne(
+        b2cConversationFilter('refund', parsed.conversationId, parsed.originatorConversationId)
+      );
+
+      if (!returnDoc) {
+        console.log('No payout request or return found for B2C ConversationID:', parsed.conversationId);
+      } else if (!['processing', 'needs_check'].includes(returnDoc.refund.status) ||
+        !await completeB2CRefund(returnDoc, parsed)) {
+        console.log(`Duplicate B2C result ignored for return ${returnDoc.returnNumber}`);
+      }
+      return res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+    }
+
+    // Repeated results, and results for a payout an admin has already resolved, are ignored
+    if (!await completePayoutDisbursement(payoutRequest, parsed, req.body)) {
+      console.log(`B2C result ignored for payout ${payoutRequest._id}: disbursement already resolved`);
+    }
+
+    res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+  } catch (error) {
+    console.error('M-Pesa B2C result error:', error);
+    res.status(200).json({
+      ResultCode: 1,
+      ResultDesc: 'Failed to process result'
+    });
+  }
+};
+
+// @desc    Handle M-Pesa B2C queue timeout callback
+// @route   POST /api/mpesa/b2c/timeout
+// @access  Public (M-Pesa service)
+exports.handleB2CTimeout = async (req, res) => {
+  try {
+    console.log('M-Pesa B2C timeout received:', JSON.stringify(req.body, null, 2));
+
+    if (!hasValidCallbackSecret(req)) {
+      console.log('M-Pesa B2C timeout rejected: invalid or missing secret');
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+
+    const result = (req.body && req.body.Result) || req.body || {};
+    const conversationId = result.ConversationID;
+    const originatorConversationId = result.OriginatorConversationID;
+
+    if (!conversationId && !originatorConversationId) {
+      return res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+    }
+
+    const payoutRequest = await PayoutRequest.findOne(
+      b2cConversationFilter('disbursement', conversationId, originatorConversationId)
+    );
+
+    if (payoutRequest && payoutRequest.disbursement.status === 'initiated') {
+      await markPayoutDisbursementTimeout(payoutRequest, req.body);
+    }
+
+    if (!payoutRequest) {
+      const returnDoc = await Return.findOne(
+        b2cConversationFilter('refund', conversationId, originatorConversationId)
+      );
+      if (returnDoc && returnDoc.refund.status === 'processing') {
+        await markB2CRefundTimeout(returnDoc);
+      }
+    }
+
+    res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+  } catch (error) {
+    console.error('M-Pesa B2C timeout error:', error);
+    res.status(200).json({
+      ResultCode: 1,
+      ResultDesc: 'Failed to process timeout'
+    });
+  }
+};
+
 // @desc    Check payment status
 // @route   GET /api/mpesa/payment-status/:checkoutRequestId
 // @access  Private
@@ -230,9 +503,9 @@ exports.checkPaymentStatus = async (req, res) => {
   try {
     const { checkoutRequestId } = req.params;
     
-    const pendingPayment = pendingPayments.get(checkoutRequestId);
+    let transaction = await MpesaTransaction.findOne({ checkoutRequestId });
     
-    if (!pendingPayment) {
+    if (!transaction) {
       return res.status(404).json({
         success: false,
         message: 'Payment request not found or expired'
@@ -240,26 +513,34 @@ exports.checkPaymentStatus = async (req, res) => {
     }
 
     // Verify the payment belongs to the requesting user
-    if (pendingPayment.userId !== req.user.id) {
+    if (transaction.userId.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    // Ask M-Pesa directly if the callback hasn't arrived within the timeout window
+    if (transaction.isExpired) {
+      const result = await reconcileTransaction(transaction);
+      if (result.status !== 'pending') {
+        transaction = await MpesaTransaction.findById(transaction._id);
+      }
+    }
+
     res.json({
       success: true,
       data: {
-        status: pendingPayment.status,
-        orderId: pendingPayment.orderId,
-        amount: pendingPayment.amount,
-        phoneNumber: pendingPayment.phoneNumber,
-        mpesaReceiptNumber: pendingPayment.mpesaReceiptNumber || null,
-        transactionDate: pendingPayment.transactionDate || null,
-        failureReason: pendingPayment.failureReason || null,
-        timestamp: pendingPayment.timestamp,
-        completedAt: pendingPayment.completedAt || null,
-        failedAt: pendingPayment.failedAt || null
+        status: transaction.status,
+        orderId: transaction.orderId,
+        amount: transaction.amount,
+        phoneNumber: transaction.phoneNumber,
+        mpesaReceiptNumber: transaction.mpesaReceiptNumber || null,
+        transactionDate: transaction.transactionDate || null,
+        failureReason: transaction.failureReason || null,
+        timestamp: transaction.createdAt,
+        completedAt: transaction.completedAt || null,
+        failedAt: transaction.failedAt || null
       }
     });
 
@@ -277,10 +558,9 @@ exports.checkPaymentStatus = async (req, res) => {
 // @access  Private/Admin
 exports.getPendingPayments = async (req, res) => {
   try {
-    const payments = Array.from(pendingPayments.entries()).map(([checkoutRequestId, payment]) => ({
-      checkoutRequestId,
-      ...payment
-    }));
+    const payments = await MpesaTransaction.find({ status: 'pending' })
+      .sort({ createdAt: -1 })
+      .select('-requestPayload -responsePayload -callbackPayload');
 
     res.json({
       success: true,
@@ -294,4 +574,463 @@ exports.getPendingPayments = async (req, res) => {
       message: 'Internal server error'
     });
   }
+};
+
+// @desc    Reconcile pending M-Pesa payments for an order via STK Query
+// @route   POST /api/mpesa/reconcile/:orderId
+// @access  Private/Admin
+exports.reconcileOrderPayments = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const results = await reconcilePendingTransactions({ orderId });
+
+    if (results.length === 0) {
+      return res.json({
+        success: true,
+        message: 'No pending M-Pesa transactions found for this order',
+        data: { results, isPaid: order.isPaid }
+      });
+    }
+
+    const updatedOrder = await Order.findById(orderId);
+
+    res.json({
+      success: true,
+      message: `Reconciled ${results.filter(result => result.changed).length} of ${results.length} pending transaction(s)`,
+      data: {
+        results,
+        isPaid: updatedOrder.isPaid,
+        paymentResult: updatedOrder.paymentResult
+      }
+    });
+  } catch (error) {
+    console.error('Reconcile order payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get M-Pesa payment exceptions for review
+// @route   GET /api/mpesa/exceptions
+// @access  Private/Admin
+exports.getPaymentExceptions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'open', type } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (type) query.type = type;
+
+    const exceptions = await PaymentException.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await PaymentException.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        exceptions,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payment exceptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Resolve or dismiss a payment exception
+// @route   PUT /api/mpesa/exceptions/:id/resolve
+// @access  Private/Admin
+exports.resolvePaymentException = async (req, res) => {
+  try {
+    const { action, notes } = req.body; // action: 'accept' settles the held payment, 'dismiss' closes it
+
+    if (!['accept', 'dismiss'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid action. Use accept or dismiss'
+      });
+    }
+
+    const exception = await PaymentException.findById(req.params.id);
+
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment exception not found'
+      });
+    }
+
+    if (exception.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Payment exception has already been ${exception.status}`
+      });
+    }
+
+    if (action === 'accept') {
+      const transaction = exception.transactionId
+        ? await MpesaTransaction.findById(exception.transactionId)
+        : null;
+
+      if (!transaction || transaction.status !== 'flagged') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only payments held for review can be accepted'
+        });
+      }
+
+      const order = await Order.findById(transaction.orderId).select('status');
+      if (order && order.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: 'The order has been cancelled. Refund the payment and dismiss this exception'
+        });
+      }
+
+      const settled = await settleTransaction(transaction, {
+        mpesaReceiptNumber: transaction.mpesaReceiptNumber,
+        transactionDate: transaction.transactionDate,
+        note: `Accepted by admin after ${exception.type} review`
+      }, ['flagged']);
+
+      if (!settled) {
+        return res.status(409).json({
+          success: false,
+          message: 'This payment has already been processed'
+        });
+      }
+    }
+
+    await exception.resolve(action === 'accept' ? 'resolved' : 'dismissed', req.user.id, notes && notes.trim());
+
+    res.json({
+      success: true,
+      message: action === 'accept'
+        ? 'Payment accepted and order marked as paid'
+        : 'Payment exception dismissed',
+      data: { exception }
+    });
+  } catch (error) {
+    console.error('Resolve payment exception error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Register C2B confirmation and validation URLs with M-Pesa
+// @route   POST /api/mpesa/c2b/register
+// @access  Private/Admin
+exports.registerC2B = async (req, res) => {
+  try {
+    const { responseType = 'Completed' } = req.body;
+
+    if (!['Completed', 'Cancelled'].includes(responseType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid response type. Use Completed or Cancelled'
+      });
+    }
+
+    const token = await generateToken();
+    if (!token) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to authenticate with M-Pesa'
+      });
+    }
+
+    const registerResponse = await registerC2BUrls({ token, responseType });
+
+    if (!registerResponse.success) {
+      return res.status(400).json({
+        success: false,
+        message: registerResponse.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'C2B URLs registered successfully',
+      data: registerResponse.data
+    });
+  } catch (error) {
+    console.error('Register C2B URLs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Validate a C2B paybill/till payment before M-Pesa completes it
+// @route   POST /api/mpesa/c2b/validation
+// @access  Public (M-Pesa service)
+exports.validateC2BPayment = async (req, res) => {
+  try {
+    console.log('M-Pesa C2B validation received:', JSON.stringify(req.body, null, 2));
+
+    if (!hasValidCallbackSecret(req)) {
+      return res.status(200).json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+    }
+
+    const { BillRefNumber, TransAmount } = req.body;
+    const order = await findOrderByReference(BillRefNumber);
+
+    // Unknown references are accepted and parked in suspense; only a short payment
+    // against an open order is turned away so the customer can pay the right amount
+    if (order && !order.isPaid && order.status !== 'cancelled' &&
+        Number(TransAmount) < Math.ceil(order.totalPrice)) {
+      console.log(`C2B validation rejected for ${order.orderNumber}: KSh ${TransAmount} < KSh ${Math.ceil(order.totalPrice)}`);
+      return res.status(200).json({ ResultCode: 'C2B00013', ResultDesc: 'Rejected' });
+    }
+
+    res.status(200).json({ ResultCode: '0', ResultDesc: 'Accepted' });
+  } catch (error) {
+    console.error('M-Pesa C2B validation error:', error);
+    // Let the payment through; the confirmation handler will park it if needed
+    res.status(200).json({ ResultCode: '0', ResultDesc: 'Accepted' });
+  }
+};
+
+// @desc    Record a completed C2B paybill/till payment and apply it to its order
+// @route   POST /api/mpesa/c2b/confirmation
+// @access  Public (M-Pesa service)
+exports.confirmC2BPayment = async (req, res) => {
+  try {
+    console.log('M-Pesa C2B confirmation received:', JSON.stringify(req.body, null, 2));
+
+    if (!hasValidCallbackSecret(req)) {
+      console.log('M-Pesa C2B confirmation rejected: invalid or missing secret');
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+
+    const {
+      TransactionType,
+      TransID,
+      TransTime,
+      TransAmount,
+      BusinessShortCode,
+      BillRefNumber,
+      MSISDN,
+      FirstName,
+      MiddleName,
+      LastName
+    } = req.body;
+
+    if (!TransID) {
+      console.log('M-Pesa C2B confirmation missing TransID');
+      return res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+    }
+
+    // Repeated confirmations for the same M-Pesa transaction are ignored
+    const existingPayment = await MpesaC2BPayment.findOne({ transId: TransID });
+    if (existingPayment) {
+      console.log(`Duplicate C2B confirmation ignored for ${TransID}`);
+      return res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+    }
+
+    const amount = Number(TransAmount) || 0;
+    const order = await findOrderByReference(BillRefNumber);
+    const suspenseReason = getSuspenseReason(order, amount);
+
+    const payment = await MpesaC2BPayment.create({
+      transId: TransID,
+      transactionType: TransactionType || '',
+      transTime: TransTime ? String(TransTime) : '',
+      amount,
+      businessShortCode: BusinessShortCode ? String(BusinessShortCode) : '',
+      billRefNumber: BillRefNumber || '',
+      msisdn: MSISDN ? String(MSISDN) : '',
+      payerName: [FirstName, MiddleName, LastName].filter(Boolean).join(' '),
+      orderId: order ? order._id : undefined,
+      status: suspenseReason ? 'suspense' : 'allocated',
+      suspenseReason,
+      allocatedAt: suspenseReason ? undefined : new Date(),
+      payload: req.body
+    });
+
+    if (suspenseReason) {
+      console.log(`C2B payment ${TransID} parked in suspense: ${suspenseReason}`);
+    } else if (!await markOrderPaid(order, { receiptNumber: TransID, transactionDate: payment.transTime })) {
+      // Paid or cancelled since it was looked up
+      const reason = await refusedPaymentReason(order._id, amount);
+      await payment.returnToSuspense(reason);
+      console.log(`C2B payment ${TransID} parked in suspense: ${reason}`);
+    }
+
+    res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+  } catch (error) {
+    console.error('M-Pesa C2B confirmation error:', error);
+    res.status(200).json({
+      ResultCode: 1,
+      ResultDesc: 'Failed to process confirmation'
+    });
+  }
+};
+
+// @desc    Get C2B payments waiting in suspense
+// @route   GET /api/mpesa/c2b/suspense
+// @access  Private/Admin
+exports.getSuspensePayments = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, reason, search } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query
+    const query = { status: 'suspense' };
+    if (reason) query.suspenseReason = reason;
+    if (search) {
+      query.$or = [
+        { transId: { $regex: search, $options: 'i' } },
+        { billRefNumber: { $regex: search, $options: 'i' } },
+        { msisdn: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const payments = await MpesaC2BPayment.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await MpesaC2BPayment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get suspense payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Allocate a suspense C2B payment to an order
+// @route   PUT /api/mpesa/c2b/payments/:id/allocate
+// @access  Private/Admin
+exports.allocateC2BPayment = async (req, res) => {
+  try {
+    const { orderId, orderNumber, notes } = req.body;
+
+    if (!orderId && !orderNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order ID or order number is required'
+      });
+    }
+
+    const payment = await MpesaC2BPayment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'C2B payment not found'
+      });
+    }
+
+    if (payment.status !== 'suspense') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only payments in suspense can be allocated'
+      });
+    }
+
+    const order = orderId
+      ? await Order.findById(orderId)
+      : await findOrderByReference(orderNumber);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const suspenseReason = getSuspenseReason(order, payment.amount);
+    if (suspenseReason) {
+      const reasons = {
+        order_cancelled: 'Order has been cancelled',
+        order_already_paid: 'Order is already paid',
+        underpayment: `Payment of KSh ${payment.amount.toLocaleString()} does not cover the order total of KSh ${Math.ceil(order.totalPrice).toLocaleString()}`
+      };
+      return res.status(400).json({
+        success: false,
+        message: reasons[suspenseReason]
+      });
+    }
+
+    // Take the payment out of suspense first so it can only be allocated once
+    const allocated = await payment.allocate(order._id, req.user.id, notes && notes.trim());
+    if (!allocated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This payment has already been allocated'
+      });
+    }
+
+    if (!await markOrderPaid(order, { receiptNumber: payment.transId, transactionDate: payment.transTime })) {
+      // The order was paid or cancelled since it was checked: the payment goes back to suspense
+      const reason = await refusedPaymentReason(order._id, payment.amount);
+      await allocated.returnToSuspense(reason, payment.notes);
+      return res.status(409).json({
+        success: false,
+        message: `Order ${order.orderNumber} changed while the payment was being allocated (${reason.replace(/_/g, ' ')}); the payment is back in suspense`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Payment ${payment.transId} allocated to order ${order.orderNumber}`,
+      data: { payment: allocated }
+    });
+  } catch (error) {
+    console.error('Allocate C2B payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
 };
\ No newline at end of file
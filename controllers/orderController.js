@@ -1,10 +1,20 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
-const Product = require('../models/Product');
 const User = require('../models/User');
 const PickupStation = require('../models/PickupStation');
 const NodeCache = require('node-cache');
 const chamaService = require('../services/chamaService');
+const { reserveStock, restoreStock } = require('../services/inventoryService');
+const { getReservationExpiry } = require('../services/orderReservationService');
+const { reconcilePendingTransactions } = require('../services/mpesa');
+const { recordAudit, snapshot } = require('../services/auditService');
+const { isStoredUrl } = require('../services/storageService');
+const { recordUploads, discardUploads, syncReferences } = require('../services/mediaService');
+const pickupCodeService = require('../services/pickupCodeService');
+const orderEditService = require('../services/orderEditService');
+const pricingService = require('../services/pricingService');
+const storeCreditService = require('../services/storeCreditService');
 const { 
   createDeliveryCommission, 
   createAgentOrderCommission, 
@@ -22,10 +32,6 @@ exports.createOrder = async (req, res) => {
       orderItems,
       shippingAddress,
       paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
       deliveryMethod = 'home_delivery',
       pickupStation,
       pickupInstructions,
@@ -34,7 +40,8 @@ exports.createOrder = async (req, res) => {
       isAgentOrder = false,
       // NEW: Chama redemption fields
       chamaGroupId,
-      useChamaCredit = false
+      useChamaCredit = false,
+      useStoreCredit = false
     } = req.body;
 
     console.log('Create order request body:', {
@@ -43,6 +50,7 @@ exports.createOrder = async (req, res) => {
       isAgentOrder,
       useChamaCredit,
       chamaGroupId,
+      useStoreCredit,
       userRole: req.user.role
     });
 
@@ -80,26 +88,6 @@ exports.createOrder = async (req, res) => {
       console.log('Validated pickup station:', station.name);
     }
 
-    // Transform cart items to order items format
-    const transformedOrderItems = orderItems.map(item => ({
-      product: item.productId || item.product,
-      name: item.productName || item.name,
-      quantity: item.quantity,
-      price: item.price,
-      image: item.image
-    }));
-
-    // Validate stock availability for all items
-    for (const item of transformedOrderItems) {
-      const product = await Product.findById(item.product);
-      if (!product || product.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for product: ${item.name}`
-        });
-      }
-    }
-
     // Determine if this is an agent order
     const createdBy = (req.user.role === 'agent' && isAgentOrder) ? 'agent' : 'customer';
     
@@ -137,6 +125,49 @@ exports.createOrder = async (req, res) => {
       console.log('Chama redemption validated for user:', req.user._id, 'Amount:', chamaContext.maxRedemptionAmount);
     }
 
+    // Customers can spend store credit from refunds; an agent's own balance isn't used for their customers
+    const storeCreditAvailable = useStoreCredit && createdBy === 'customer'
+      ? await storeCreditService.getBalance(req.user._id)
+      : 0;
+
+    // Price the order from the catalogue; the client's figures are only checked against it
+    let quote;
+    try {
+      quote = await pricingService.quoteOrder({
+        orderItems,
+        deliveryMethod,
+        shippingAddress,
+        chamaMaxRedemption: chamaContext ? chamaContext.maxRedemptionAmount : 0,
+        storeCreditAvailable
+      });
+    } catch (pricingError) {
+      return res.status(400).json({
+        success: false,
+        message: pricingError.message
+      });
+    }
+
+    const mismatches = pricingService.findPriceMismatches(quote, req.body);
+    if (mismatches.length > 0) {
+      console.log('Order totals differ from server quote:', mismatches);
+      return res.status(409).json({
+        success: false,
+        message: 'Prices have changed since checkout was loaded. Please review the updated total.',
+        data: { quote, mismatches }
+      });
+    }
+
+    const transformedOrderItems = quote.items.map(item => ({
+      product: item.product,
+      variant: item.variant,
+      sku: item.sku,
+      variantOptions: item.variantOptions,
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      image: item.image
+    }));
+
     // Find and assign agent if pickup station is specified
     let assignedAgent = null;
     if (pickupStation) {
@@ -156,10 +187,11 @@ exports.createOrder = async (req, res) => {
       orderItems: transformedOrderItems,
       shippingAddress,
       paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
+      itemsPrice: quote.itemsPrice,
+      taxPrice: quote.taxPrice,
+      shippingPrice: quote.shippingPrice,
+      totalPrice: quote.totalPrice,
+      vat: quote.vat,
       deliveryMethod,
       pickupInstructions: pickupInstructions || '',
       createdBy,
@@ -167,7 +199,10 @@ exports.createOrder = async (req, res) => {
       customerInfo: createdBy === 'agent' ? customerInfo : undefined,
       useChamaCredit: !!chamaContext,
       chamaGroupId: chamaContext ? chamaContext.chamaGroupId : undefined,
-      chamaAmountRedeemed: chamaContext ? Math.min(itemsPrice, chamaContext.maxRedemptionAmount) : 0
+      chamaAmountRedeemed: quote.chamaAmountRedeemed,
+      storeCreditApplied: quote.storeCreditApplied,
+      // Unpaid M-Pesa orders only hold their stock for a limited time
+      reservationExpiresAt: getReservationExpiry(paymentMethod, quote.totalPrice)
     };
 
     // Add pickup-specific fields if applicable
@@ -184,54 +219,69 @@ exports.createOrder = async (req, res) => {
       createdBy: orderData.createdBy
     });
 
-    const order = await Order.create(orderData);
+    // Create the order, take stock and record commission/chama redemption atomically
+    let order;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        [order] = await Order.create([orderData], { session });
+
+        // Conditional decrements: fails (and rolls back) if any item has sold out
+        await reserveStock(transformedOrderItems, session, { order: order._id, performedBy: req.user._id });
+
+        // Fails (and rolls back) if the balance was spent elsewhere since the quote
+        if (quote.storeCreditApplied > 0) {
+          await storeCreditService.spendCredit(req.user._id, quote.storeCreditApplied, session);
+
+          // Nothing left to pay: the order is paid in full with store credit
+          if (quote.totalPrice === 0) {
+            order.isPaid = true;
+            order.paidAt = new Date();
+            order.paymentResult = {
+              id: `store_credit_${order.orderNumber}`,
+              status: 'completed',
+              update_time: new Date().toISOString(),
+              email_address: ''
+            };
+            order.transitionTo('processing', { note: 'Paid with store credit' });
+            await order.save({ session });
+          }
+        }
 
-    // Update product stock
-    for (const item of transformedOrderItems) {
-      const product = await Product.findById(item.product);
-      product.stock -= item.quantity;
-      await product.save();
-    }
+        // Create agent order commission if this is an agent-created order
+        if (createdBy === 'agent') {
+          await createAgentOrderCommission(order._id, session);
+          console.log('Agent order commission created for order:', order._id);
+        }
 
-    // NEW: Create agent order commission if this is an agent-created order
-    if (createdBy === 'agent') {
-      try {
-        await createAgentOrderCommission(order._id);
-        console.log('Agent order commission created for order:', order._id);
-      } catch (commissionError) {
-        console.error('Failed to create agent order commission:', commissionError);
-        // Don't fail the order creation if commission creation fails
-      }
+        // Record chama redemption if applicable
+        if (chamaContext && useChamaCredit) {
+          // amountRedeemed = how much chama credit was used against the items
+          // amountOutsideChama = what the user still pays via M-Pesa (i.e. totalPrice)
+          const amountRedeemed = quote.chamaAmountRedeemed;
+          const amountOutsideChama = quote.totalPrice;
+
+          await chamaService.createChamaRedemption({
+            userId: req.user._id,
+            chamaGroupId: chamaContext.chamaGroupId,
+            orderId: order._id,
+            weekNumber: chamaContext.group.currentWeek,
+            amountRedeemed,
+            amountOutsideChama,
+            notes: `Order redemption via chama group ${chamaContext.group.name}`
+          }, session);
+
+          console.log('Chama redemption recorded for order:', order._id, {
+            amountRedeemed,
+            amountOutsideChama
+          });
+        }
+      });
+    } finally {
+      await session.endSession();
     }
 
-    // NEW: Record chama redemption if applicable
-    if (chamaContext && useChamaCredit) {
-      try {
-        // itemsPrice = original order total; totalPrice = remaining after chama deduction (0 for full chama)
-        // amountRedeemed = how much chama credit was actually used
-        // amountOutsideChama = what the user still pays via M-Pesa (i.e. totalPrice)
-        let amountRedeemed = Math.min(itemsPrice, chamaContext.maxRedemptionAmount);
-        let amountOutsideChama = totalPrice;
-
-        await chamaService.createChamaRedemption({
-          userId: req.user._id,
-          chamaGroupId: chamaContext.chamaGroupId,
-          orderId: order._id,
-          weekNumber: chamaContext.group.currentWeek,
-          amountRedeemed,
-          amountOutsideChama,
-          notes: `Order redemption via chama group ${chamaContext.group.name}`
-        });
-
-        console.log('Chama redemption recorded for order:', order._id, {
-          amountRedeemed,
-          amountOutsideChama
-        });
-      } catch (chamaError) {
-        console.error('Failed to record chama redemption:', chamaError);
-        // Don't fail the order creation if chama recording fails
-      }
-    }
+    await syncReferences('Order', order);
 
     // Clear user cart only if it's a customer order
     if (createdBy === 'customer') {
@@ -262,6 +312,52 @@ exports.createOrder = async (req, res) => {
   }
 };
 
+// @desc    Price an order before it is placed (what createOrder will charge)
+// @route   POST /api/orders/quote
+// @access  Private
+exports.getOrderQuote = async (req, res) => {
+  try {
+    const { orderItems, deliveryMethod = 'home_delivery', shippingAddress, chamaGroupId, useChamaCredit = false, useStoreCredit = false } = req.body;
+
+    // Chama credit is only applied if the customer could redeem it right now
+    let chama = null;
+    if (useChamaCredit && chamaGroupId) {
+      const eligibility = await chamaService.checkChamaEligibility(req.user._id, chamaGroupId);
+      chama = {
+        eligible: eligibility.eligible,
+        reason: eligibility.reason,
+        maxRedemptionAmount: eligibility.eligible ? eligibility.maxRedemptionAmount : 0
+      };
+    }
+
+    const quote = await pricingService.quoteOrder({
+      orderItems,
+      deliveryMethod,
+      shippingAddress,
+      chamaMaxRedemption: chama ? chama.maxRedemptionAmount : 0,
+      storeCreditAvailable: useStoreCredit ? await storeCreditService.getBalance(req.user._id) : 0
+    });
+
+    res.json({
+      success: true,
+      data: { quote: { ...quote, chama } }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Customers see what happened and when, but not which staff member did it
+const forCustomer = (order) => {
+  const plain = order.toObject();
+  plain.statusHistory = (plain.statusHistory || []).map(({ changedBy, ...entry }) => entry);
+  plain.editHistory = (plain.editHistory || []).map(({ editedBy, ...entry }) => entry);
+  return plain;
+};
+
 // @desc    Get user orders
 // @route   GET /api/orders/my
 // @access  Private
@@ -271,7 +367,7 @@ exports.getMyOrders = async (req, res) => {
 
     res.json({
       success: true,
-      data: { orders }
+      data: { orders: orders.map(forCustomer) }
     });
   } catch (error) {
     res.status(400).json({
@@ -306,9 +402,25 @@ exports.getOrderById = async (req, res) => {
       });
     }
 
+    if (req.user.role === 'user') {
+      return res.json({
+        success: true,
+        data: { order: forCustomer(order) }
+      });
+    }
+
+    await order.populate([
+      { path: 'statusHistory.changedBy', select: 'name role' },
+      { path: 'editHistory.editedBy', select: 'name role' }
+    ]);
+
     res.json({
       success: true,
-      data: { order }
+      data: {
+        order,
+        // Statuses this staff member can move the order to next
+        allowedStatuses: order.getAllowedTransitions(req.user)
+      }
     });
   } catch (error) {
     res.status(400).json({
@@ -318,7 +430,7 @@ exports.getOrderById = async (req, res) => {
   }
 };
 
-// @desc    Update order to paid
+// @desc    Check an order's M-Pesa payment and mark it paid if M-Pesa confirms it
 // @route   PUT /api/orders/:id/pay
 // @access  Private
 exports.updateOrderToPaid = async (req, res) => {
@@ -332,29 +444,24 @@ exports.updateOrderToPaid = async (req, res) => {
       });
     }
 
-    if (order.user.toString() !== req.user.id) {
+    if ((order.user._id || order.user).toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this order'
       });
     }
 
-    order.isPaid = true;
-    order.paidAt = Date.now();
-    order.status = 'processing';
-    order.paymentResult = {
-      id: req.body.id,
-      status: req.body.status,
-      update_time: req.body.update_time,
-      email_address: req.body.email_address
-    };
+    // Only M-Pesa's own answer marks the order paid; the request body is not trusted
+    if (!order.isPaid) {
+      await reconcilePendingTransactions({ orderId: order._id });
+    }
 
-    const updatedOrder = await order.save();
+    const updatedOrder = await Order.findById(order._id);
 
     res.json({
       success: true,
-      message: 'Order updated to paid',
-      data: { order: updatedOrder }
+      message: updatedOrder.isPaid ? 'Order is paid' : 'No confirmed payment found for this order yet',
+      data: { order: forCustomer(updatedOrder) }
     });
   } catch (error) {
     res.status(400).json({
@@ -368,49 +475,86 @@ exports.updateOrderToPaid = async (req, res) => {
 // @route   PUT /api/orders/:id/status
 // @access  Private/Admin/Agent
 exports.updateOrderStatus = async (req, res) => {
+  // A delivery photo is uploaded before the order is checked; a refused update deletes it again
+  const reject = async (status, message, extra = {}) => {
+    await discardUploads([req.file]);
+    return res.status(status).json({
+      success: false,
+      message,
+      ...extra
+    });
+  };
+
+  let updatedOrder;
   try {
-    const { status, deliveryProofUrl, deliveryProofPublicId } = req.body;
+    const { status, deliveryProofUrl, deliveryProofPublicId, note, trackingNumber, pickupCode, pickupOtp } = req.body;
     const order = await Order.findById(req.params.id)
       .populate('pickupStation')
       .populate('assignedAgent');
 
     if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found'
-      });
+      return reject(404, 'Order not found');
     }
 
     // EXISTING permission checks...
     if (req.user.role === 'agent') {
       if (!req.user.pickupStation || 
           order.pickupStation._id.toString() !== req.user.pickupStation.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only update orders for your assigned pickup station'
-        });
+        return reject(403, 'You can only update orders for your assigned pickup station');
       }
-      
-      const allowedAgentStatuses = ['arrived_at_station', 'delivered'];
-      if (!allowedAgentStatuses.includes(status)) {
-        return res.status(403).json({
-          success: false,
-          message: 'Agents can only mark orders as arrived at station or delivered'
-        });
+    }
+
+    // Only moves allowed by the transition table (config/orderStatus.js) for this role
+    const transitionError = order.getTransitionError(status, req.user);
+    if (transitionError) {
+      return reject(400, transitionError, { allowedStatuses: order.getAllowedTransitions(req.user) });
+    }
+
+    // Delivery proof - uploaded with this request, or already uploaded to our storage
+    let proof = null;
+    if (status === 'delivered') {
+      if (req.file) {
+        proof = { url: req.file.path, publicId: req.file.filename };
+      } else if (deliveryProofUrl) {
+        if (!isStoredUrl(deliveryProofUrl, req)) {
+          return reject(400, 'Delivery proof must be uploaded through the image upload endpoint');
+        }
+        proof = { url: deliveryProofUrl, publicId: deliveryProofPublicId };
       }
     }
 
-    // Validate status
-    const validStatuses = ['pending', 'processing', 'shipped', 'arrived_at_station', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status'
-      });
+    // Pickup station handovers need the customer's pickup code (or a collection OTP sent to
+    // their phone); admins can hand over without one if they record why
+    let collectedWith;
+    if (status === 'delivered' && order.deliveryMethod === 'pickup_station') {
+      if (order.pickupCode && order.pickupCode.collectedAt) {
+        return reject(400, 'Order has already been collected');
+      }
+
+      if (req.user.role === 'admin' && !pickupCode && !pickupOtp) {
+        if (!note) {
+          return reject(400, 'Enter the pickup code, or a note explaining why the order was handed over without one');
+        }
+        collectedWith = 'admin_override';
+      } else {
+        const check = await pickupCodeService.verifyPickup(order, { pickupCode, pickupOtp });
+        if (!check.valid) {
+          return reject(400, check.message);
+        }
+        collectedWith = check.method;
+      }
     }
 
-    // Update order status
-    order.status = status;
+    const before = snapshot(order, ['status', 'isPaid', 'isDelivered', 'trackingNumber']);
+    const previousStatus = order.status;
+    let cancelledCommissions = 0;
+
+    // Update order status and record it in the history
+    order.transitionTo(status, { user: req.user, note, proofUrl: proof ? proof.url : undefined });
+
+    if (trackingNumber && req.user.role === 'admin') {
+      order.trackingNumber = trackingNumber;
+    }
 
     // Update related fields based on status
     switch (status) {
@@ -434,64 +578,148 @@ exports.updateOrderStatus = async (req, res) => {
         }
         
         // Save delivery proof if provided
-        if (deliveryProofUrl) {
-          order.deliveryProofUrl = deliveryProofUrl;
-        }
-        if (deliveryProofPublicId) {
-          order.deliveryProofPublicId = deliveryProofPublicId;
-        }
-
-        // NEW: Create delivery commission when order is delivered
-        if (order.assignedAgent || (req.user.role === 'agent' && order.pickupStation)) {
-          try {
-            const agentId = order.assignedAgent?._id || req.user.id;
-            await createDeliveryCommission(order._id);
-            console.log('Delivery commission created for order:', order._id);
-          } catch (commissionError) {
-            console.error('Failed to create delivery commission:', commissionError);
-            // Don't fail the status update if commission creation fails
+        if (proof) {
+          order.deliveryProofUrl = proof.url;
+          if (proof.publicId) {
+            order.deliveryProofPublicId = proof.publicId;
           }
         }
         break;
         
       case 'cancelled':
-        // Restore product stock if order is cancelled
-        for (const item of order.orderItems) {
-          const product = await Product.findById(item.product);
-          if (product) {
-            product.stock += item.quantity;
-            await product.save();
+        // Stock, commissions, chama redemptions and store credit are handled in the transaction below
+        break;
+    }
+
+    if (status === 'cancelled') {
+      // Cancel the order, restore stock and cancel commissions atomically
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          // Only the request that actually moves the order to cancelled restores stock
+          const transition = await Order.updateOne(
+            { _id: order._id, status: previousStatus },
+            { $set: { status: 'cancelled' } },
+            { session }
+          );
+
+          if (transition.modifiedCount === 0) {
+            throw new Error('Order status was changed by someone else, please reload and try again');
           }
-        }
 
-        // NEW: Cancel any existing commissions for this order
+          await restoreStock(order.orderItems, session, {
+            type: 'cancellation',
+            order: order._id,
+            performedBy: req.user._id,
+            note: note || 'Order cancelled'
+          });
+          const commissionResult = await cancelCommissionsForOrder(order._id, session);
+          cancelledCommissions = commissionResult.modifiedCount;
+          await chamaService.cancelChamaRedemptionsForOrder(order._id, note || 'Order cancelled', session);
+          await storeCreditService.restoreOrderCredit(order, session);
+          console.log('Restored stock and cancelled commissions for order:', order._id);
+
+          updatedOrder = await order.save({ session });
+        });
+      } finally {
+        await session.endSession();
+      }
+    } else if (collectedWith) {
+      // The code is used up together with the handover, so it's only spent if the order is saved
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const collected = await pickupCodeService.markCollected(order, collectedWith, req.user, session);
+          if (!collected) {
+            throw new Error('Order has already been collected');
+          }
+          updatedOrder = await order.save({ session });
+        });
+      } finally {
+        await session.endSession();
+      }
+    } else {
+      updatedOrder = await order.save();
+    }
+
+    // Keep the photo only if it became the delivery proof
+    if (proof && req.file) {
+      await recordUploads(req, [req.file]);
+    } else if (req.file) {
+      await discardUploads([req.file]);
+    }
+
+    if (status === 'delivered') {
+      await syncReferences('Order', updatedOrder);
+
+      // Delivery commission only once the handover has been saved
+      if (order.assignedAgent || (req.user.role === 'agent' && order.pickupStation)) {
         try {
-          await cancelCommissionsForOrder(order._id);
-          console.log('Cancelled commissions for order:', order._id);
+          await createDeliveryCommission(order._id);
+          console.log('Delivery commission created for order:', order._id);
         } catch (commissionError) {
-          console.error('Failed to cancel commissions:', commissionError);
-          // Don't fail the status update if commission cancellation fails
+          console.error('Failed to create delivery commission:', commissionError);
+          // Don't fail the status update if commission creation fails
         }
-        break;
+      }
     }
 
-    const updatedOrder = await order.save();
+    // The customer gets a one-time pickup code once the order is at the station
+    let pickupCodeSent = null;
+    if (status === 'arrived_at_station') {
+      try {
+        const result = await pickupCodeService.issuePickupCode(updatedOrder);
+        pickupCodeSent = result.sent;
+      } catch (pickupError) {
+        console.error('Failed to issue pickup code:', pickupError);
+      }
+    }
+
+    // Agents moving their own station's orders along is routine; admin changes are overrides
+    if (req.user.role === 'admin') {
+      await recordAudit(req, {
+        action: 'order.status_override',
+        targetType: 'Order',
+        targetId: order._id,
+        targetLabel: order.orderNumber,
+        before,
+        after: snapshot(updatedOrder, ['status', 'isPaid', 'isDelivered', 'trackingNumber'])
+      });
+    }
+
+    if (cancelledCommissions > 0) {
+      await recordAudit(req, {
+        action: 'commission.cancel',
+        targetType: 'Order',
+        targetId: order._id,
+        targetLabel: order.orderNumber,
+        reason: 'Order cancelled',
+        metadata: { cancelledCommissions }
+      });
+    }
 
     // Create appropriate success message
     let successMessage = `Order status updated to ${status}`;
     if (status === 'arrived_at_station') {
       successMessage = 'Order marked as arrived at pickup station';
-    } else if (status === 'delivered' && deliveryProofUrl) {
+    } else if (status === 'delivered' && proof) {
       successMessage = 'Order marked as delivered with delivery proof';
     }
 
     res.json({
       success: true,
       message: successMessage,
-      data: { order: updatedOrder }
+      data: {
+        order: updatedOrder,
+        ...(pickupCodeSent && { pickupCodeSent })
+      }
     });
   } catch (error) {
     console.error('Error updating order status:', error);
+    // Once the order is saved its delivery photo is in use
+    if (!updatedOrder) {
+      return reject(400, error.message);
+    }
     res.status(400).json({
       success: false,
       message: error.message
@@ -499,6 +727,204 @@ exports.updateOrderStatus = async (req, res) => {
   }
 };
 
+// Admins, or the agent at the order's pickup station
+const isStationStaff = (user, order) => user.role === 'admin' ||
+  (user.role === 'agent' && user.pickupStation && order.pickupStation &&
+    (order.pickupStation._id || order.pickupStation).toString() === user.pickupStation.toString());
+
+const isOrderOwner = (user, order) => order.user && (order.user._id || order.user).toString() === user.id;
+
+// Load a pickup station order that is waiting at the station, or send the error response
+const findOrderAwaitingPickup = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+    return null;
+  }
+
+  if (order.deliveryMethod !== 'pickup_station' || order.status !== 'arrived_at_station') {
+    res.status(400).json({
+      success: false,
+      message: 'Order is not waiting for pickup at a station'
+    });
+    return null;
+  }
+
+  return order;
+};
+
+// @desc    Get the pickup code and QR code for an order waiting at its station
+// @route   GET /api/orders/:id/pickup-code
+// @access  Private (order owner)
+exports.getPickupCode = async (req, res) => {
+  try {
+    const order = await findOrderAwaitingPickup(req, res);
+    if (!order) return;
+
+    if (!isOrderOwner(req.user, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
+    }
+
+    const pickup = await pickupCodeService.getPickupCodeForCustomer(order);
+
+    if (!pickup) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active pickup code for this order'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: pickup
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Change item quantities or remove items before the order is shipped
+// @route   PUT /api/orders/:id/items
+// @access  Private (order owner, agent who placed it, admin)
+exports.editOrderItems = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const placedByAgent = req.user.role === 'agent' && order.agentId &&
+      (order.agentId._id || order.agentId).toString() === req.user.id;
+
+    if (req.user.role !== 'admin' && !isOrderOwner(req.user, order) && !placedByAgent) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this order'
+      });
+    }
+
+    let { items } = req.body;
+    if (typeof items === 'string') {
+      items = JSON.parse(items);
+    }
+
+    const { order: updatedOrder, edit } = await orderEditService.editOrderItems(order._id, { items, note: req.body.note }, req.user);
+    await syncReferences('Order', updatedOrder);
+
+    if (req.user.role === 'admin') {
+      await recordAudit(req, {
+        action: 'order.edit',
+        targetType: 'Order',
+        targetId: updatedOrder._id,
+        targetLabel: updatedOrder.orderNumber,
+        before: { totalPrice: edit.totalPrice.from },
+        after: { totalPrice: edit.totalPrice.to },
+        reason: edit.note,
+        metadata: { items: edit.items, refundDue: edit.refundDue }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: edit.refundDue > 0
+        ? `Order updated. KSh ${edit.refundDue.toLocaleString()} has been added to the customer's store credit.`
+        : 'Order updated',
+      data: {
+        order: req.user.role === 'user' ? forCustomer(updatedOrder) : updatedOrder,
+        edit: req.user.role === 'user' ? { ...edit, editedBy: undefined } : edit
+      }
+    });
+  } catch (error) {
+    console.error('Edit order items error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Send the pickup code to the customer again (staff get a new code if the old one was locked)
+// @route   POST /api/orders/:id/pickup-code/resend
+// @access  Private (order owner, station agent, admin)
+exports.resendPickupCode = async (req, res) => {
+  try {
+    const order = await findOrderAwaitingPickup(req, res);
+    if (!order) return;
+
+    if (!isOrderOwner(req.user, order) && !isStationStaff(req.user, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this order'
+      });
+    }
+
+    const regenerate = isStationStaff(req.user, order) && req.body.regenerate === true;
+    const result = await pickupCodeService.issuePickupCode(order, { regenerate });
+
+    if (!result.sent.sms && !result.sent.email) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send the pickup code, please try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Pickup code sent by ${[result.sent.sms && 'SMS', result.sent.email && 'email'].filter(Boolean).join(' and ')}`,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Send a collection OTP to the customer's phone when they can't find their pickup code
+// @route   POST /api/orders/:id/pickup-otp
+// @access  Private (station agent, admin)
+exports.sendPickupOtp = async (req, res) => {
+  try {
+    const order = await findOrderAwaitingPickup(req, res);
+    if (!order) return;
+
+    if (!isStationStaff(req.user, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update orders for your assigned pickup station'
+      });
+    }
+
+    const result = await pickupCodeService.sendPickupOtp(order);
+    console.log(`Collection OTP for order ${order.orderNumber} sent by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Collection code sent to ${result.phone}`,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
 
 // @desc    Get all orders
 // @route   GET /api/orders
@@ -550,9 +976,26 @@ exports.updateOrderToDelivered = async (req, res) => {
       });
     }
 
+    // Station handovers need the customer's pickup code, which goes through the status endpoint
+    if (order.deliveryMethod === 'pickup_station') {
+      return res.status(400).json({
+        success: false,
+        message: 'Pickup station orders are marked delivered through PUT /api/orders/:id/status with the pickup code'
+      });
+    }
+
+    const transitionError = order.getTransitionError('delivered', req.user);
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError,
+        allowedStatuses: order.getAllowedTransitions(req.user)
+      });
+    }
+
     order.isDelivered = true;
     order.deliveredAt = Date.now();
-    order.status = 'delivered';
+    order.transitionTo('delivered', { user: req.user });
 
     const updatedOrder = await order.save();
 
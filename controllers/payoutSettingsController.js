@@ -1,6 +1,7 @@
 // controllers/payoutSettingsController.js
 const PayoutSettings = require('../models/PayoutSettings');
 const User = require('../models/User');
+const { recordAudit, snapshot } = require('../services/auditService');
 
 // @desc    Get payout settings
 // @route   GET /api/admin/payout-settings
@@ -86,6 +87,7 @@ exports.updatePayoutSettings = async (req, res) => {
 
     // Find existing settings or create new
     let settings = await PayoutSettings.findOne();
+    const before = settings ? settings.toObject() : null;
     
     if (!settings) {
       settings = new PayoutSettings();
@@ -102,6 +104,14 @@ exports.updatePayoutSettings = async (req, res) => {
 
     await settings.save();
 
+    await recordAudit(req, {
+      action: 'payout_settings.update',
+      targetType: 'PayoutSettings',
+      targetId: settings._id,
+      before,
+      after: settings
+    });
+
     res.json({
       success: true,
       message: 'Payout settings updated successfully',
@@ -124,6 +134,7 @@ exports.setGlobalPayoutHold = async (req, res) => {
     const { isHeld, reason } = req.body;
 
     let settings = await PayoutSettings.findOne();
+    const before = settings ? snapshot(settings, ['globalPayoutHold', 'holdReason']) : null;
     
     if (!settings) {
       settings = new PayoutSettings();
@@ -136,6 +147,15 @@ exports.setGlobalPayoutHold = async (req, res) => {
 
     await settings.save();
 
+    await recordAudit(req, {
+      action: 'payout_settings.global_hold',
+      targetType: 'PayoutSettings',
+      targetId: settings._id,
+      before,
+      after: snapshot(settings, ['globalPayoutHold', 'holdReason']),
+      reason
+    });
+
     res.json({
       success: true,
       message: `Global payout hold ${isHeld ? 'enabled' : 'disabled'} successfully`
@@ -166,6 +186,8 @@ exports.setAgentPayoutHold = async (req, res) => {
       });
     }
 
+    const before = snapshot(agent, ['payoutHold']);
+
     agent.payoutHold = {
       isHeld,
       reason: reason || '',
@@ -175,6 +197,16 @@ exports.setAgentPayoutHold = async (req, res) => {
 
     await agent.save();
 
+    await recordAudit(req, {
+      action: 'agent.payout_hold',
+      targetType: 'User',
+      targetId: agent._id,
+      targetLabel: agent.email,
+      before,
+      after: snapshot(agent, ['payoutHold']),
+      reason
+    });
+
     res.json({
       success: true,
       message: `Agent payout hold ${isHeld ? 'enabled' : 'disabled'} successfully`
@@ -608,6 +640,14 @@ exports.updateAutoApprovalSettings = async (req, res) => {
 
     await settings.save();
 
+    await recordAudit(req, {
+      action: 'payout_settings.auto_approval',
+      targetType: 'PayoutSettings',
+      targetId: settings._id,
+      before: originalValues,
+      after: snapshot(settings, ['autoApprovalThreshold', 'requireManagerApproval'])
+    });
+
     res.json({
       success: true,
       message: 'Auto-approval settings updated successfully',
@@ -3,6 +3,10 @@ const Category = require('../models/Category');
 const Brand = require('../models/Brand');
 const Review = require('../models/Review');
 const mongoose = require('mongoose');
+const multer = require('multer');
+const { recordMovement, recordProductStockEdits } = require('../services/inventoryService');
+const spreadsheetService = require('../services/spreadsheetService');
+const { syncReferences, releaseReferences } = require('../services/mediaService');
 
 // Helper function to convert category slug/id to ObjectId
 const getCategoryId = async (categoryParam) => {
@@ -12,7 +16,12 @@ const getCategoryId = async (categoryParam) => {
     if (mongoose.Types.ObjectId.isValid(categoryParam)) {
       return new mongoose.Types.ObjectId(categoryParam);
     } else {
-      const category = await Category.findOne({ slug: categoryParam });
+      const category = await Category.findOne({
+        $or: [
+          { slug: categoryParam },
+          { name: { $regex: new RegExp(`^${escapeRegex(categoryParam)}$`, 'i') } }
+        ]
+      });
       return category ? category._id : null;
     }
   } catch (error) {
@@ -66,6 +75,24 @@ const getBrandIds = async (brandParam) => {
   }
 };
 
+// Helper function to parse variant fields sent as JSON strings (multipart form uploads)
+const parseVariantFields = (body) => {
+  for (const field of ['variantOptions', 'variants']) {
+    if (typeof body[field] === 'string') {
+      try {
+        body[field] = JSON.parse(body[field]);
+      } catch (parseError) {
+        return `Invalid ${field} format. Must be a valid JSON array.`;
+      }
+    }
+
+    if (body[field] !== undefined && !Array.isArray(body[field])) {
+      return `${field} must be an array`;
+    }
+  }
+  return null;
+};
+
 // Helper function for fuzzy search scoring
 const calculateFuzzyScore = (searchTerm, productName) => {
   const search = searchTerm.toLowerCase();
@@ -296,13 +323,27 @@ exports.getProducts = async (req, res) => {
           const trimmedValue = decodedValue.trim();
           
           if (trimmedValue !== '') {
+            const nameRegex = new RegExp(`^${escapeRegex(key)}$`, 'i');
+            const valueRegex = new RegExp(`^${escapeRegex(trimmedValue)}$`, 'i');
+
+            // Match either a fixed specification or an active, in-stock variant option
             specFilters.push({
-              specifications: {
-                $elemMatch: {
-                  name: { $regex: new RegExp(`^${escapeRegex(key)}$`, 'i') },
-                  value: { $regex: new RegExp(`^${escapeRegex(trimmedValue)}$`, 'i') }
+              $or: [
+                {
+                  specifications: {
+                    $elemMatch: { name: nameRegex, value: valueRegex }
+                  }
+                },
+                {
+                  variants: {
+                    $elemMatch: {
+                      isActive: true,
+                      stock: { $gt: 0 },
+                      options: { $elemMatch: { name: nameRegex, value: valueRegex } }
+                    }
+                  }
                 }
-              }
+              ]
             });
           }
         } catch (error) {
@@ -459,6 +500,94 @@ const escapeRegex = (string) => {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
+// Helper function to build the admin product list filter and sort (shared by the list and export)
+// Returns null when a category/brand filter matches nothing
+const buildAdminProductQuery = async (query) => {
+  // Build filter object
+  const filter = {};
+  
+  // Status filter
+  if (query.status) {
+    filter.status = query.status;
+  }
+  
+  // Category filter
+  if (query.category) {
+    if (mongoose.Types.ObjectId.isValid(query.category)) {
+      filter.category = query.category;
+    } else {
+      const category = await Category.findOne({ slug: query.category });
+      if (category) {
+        filter.category = category._id;
+      } else {
+        return null;
+      }
+    }
+  }
+  
+  // Brand filter
+  if (query.brand) {
+    if (mongoose.Types.ObjectId.isValid(query.brand)) {
+      filter.brand = query.brand;
+    } else {
+      const brand = await Brand.findOne({ 
+        $or: [
+          { slug: query.brand },
+          { name: { $regex: new RegExp(`^${query.brand}$`, 'i') } }
+        ]
+      });
+      if (brand) {
+        filter.brand = brand._id;
+      } else {
+        return null;
+      }
+    }
+  }
+  
+  // Search filter
+  if (query.search) {
+    const searchTerm = query.search.trim();
+    filter.$or = [
+      { name: { $regex: searchTerm, $options: 'i' } },
+      { description: { $regex: searchTerm, $options: 'i' } }
+    ];
+  }
+
+  // Sort
+  let sortBy = {};
+  if (query.sortBy) {
+    switch (query.sortBy) {
+      case 'name':
+        sortBy.name = 1;
+        break;
+      case 'price_low':
+        sortBy.price = 1;
+        break;
+      case 'price_high':
+        sortBy.price = -1;
+        break;
+      case 'newest':
+        sortBy.createdAt = -1;
+        break;
+      case 'oldest':
+        sortBy.createdAt = 1;
+        break;
+      case 'stock_low':
+        sortBy.stock = 1;
+        break;
+      case 'stock_high':
+        sortBy.stock = -1;
+        break;
+      default:
+        sortBy.createdAt = -1;
+    }
+  } else {
+    sortBy.createdAt = -1;
+  }
+
+  return { filter, sortBy };
+};
+
 // @desc    Get products for admin (including inactive) - UPDATED WITH BETTER PAGINATION
 // @route   GET /api/admin/products
 // @access  Private/Admin
@@ -469,99 +598,17 @@ exports.getAdminProducts = async (req, res) => {
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = {};
-    
-    // Status filter
-    if (req.query.status) {
-      filter.status = req.query.status;
-    }
-    
-    // Category filter
-    if (req.query.category) {
-      if (mongoose.Types.ObjectId.isValid(req.query.category)) {
-        filter.category = req.query.category;
-      } else {
-        const category = await Category.findOne({ slug: req.query.category });
-        if (category) {
-          filter.category = category._id;
-        } else {
-          return res.json({
-            success: true,
-            data: {
-              products: [],
-              pagination: { page, limit, total: 0, pages: 0 }
-            }
-          });
-        }
-      }
-    }
-    
-    // Brand filter
-    if (req.query.brand) {
-      if (mongoose.Types.ObjectId.isValid(req.query.brand)) {
-        filter.brand = req.query.brand;
-      } else {
-        const brand = await Brand.findOne({ 
-          $or: [
-            { slug: req.query.brand },
-            { name: { $regex: new RegExp(`^${req.query.brand}$`, 'i') } }
-          ]
-        });
-        if (brand) {
-          filter.brand = brand._id;
-        } else {
-          return res.json({
-            success: true,
-            data: {
-              products: [],
-              pagination: { page, limit, total: 0, pages: 0 }
-            }
-          });
+    const adminQuery = await buildAdminProductQuery(req.query);
+    if (!adminQuery) {
+      return res.json({
+        success: true,
+        data: {
+          products: [],
+          pagination: { page, limit, total: 0, pages: 0 }
         }
-      }
-    }
-    
-    // Search filter
-    if (req.query.search) {
-      const searchTerm = req.query.search.trim();
-      filter.$or = [
-        { name: { $regex: searchTerm, $options: 'i' } },
-        { description: { $regex: searchTerm, $options: 'i' } }
-      ];
-    }
-
-    // Sort
-    let sortBy = {};
-    if (req.query.sortBy) {
-      switch (req.query.sortBy) {
-        case 'name':
-          sortBy.name = 1;
-          break;
-        case 'price_low':
-          sortBy.price = 1;
-          break;
-        case 'price_high':
-          sortBy.price = -1;
-          break;
-        case 'newest':
-          sortBy.createdAt = -1;
-          break;
-        case 'oldest':
-          sortBy.createdAt = 1;
-          break;
-        case 'stock_low':
-          sortBy.stock = 1;
-          break;
-        case 'stock_high':
-          sortBy.stock = -1;
-          break;
-        default:
-          sortBy.createdAt = -1;
-      }
-    } else {
-      sortBy.createdAt = -1;
+      });
     }
+    const { filter, sortBy } = adminQuery;
 
     const products = await Product.find(filter)
       .sort(sortBy)
@@ -611,6 +658,15 @@ exports.getProduct = async (req, res) => {
       });
     }
 
+    // Customers only see variants that are on sale
+    product.variants = product.variants.filter(variant => variant.isActive);
+
+    // Products reviewed before rating breakdowns were stored get theirs filled in once
+    if (product.numReviews > 0 && !(product.ratingSummary && product.ratingSummary.updatedAt)) {
+      const summary = await Review.updateProductRating(product._id);
+      product.ratingSummary = summary.ratingSummary;
+    }
+
     res.json({
       success: true,
       data: { product }
@@ -690,6 +746,20 @@ exports.createProduct = async (req, res) => {
       // Keep specifications as is for backward compatibility
     }
 
+    // Variant options/variants may arrive as JSON strings from form uploads
+    const variantError = parseVariantFields(req.body);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError
+      });
+    }
+
+    // Stock is derived from the variants when there are any
+    if (req.body.variants && req.body.variants.length > 0) {
+      req.body.stock = Product.sumVariantStock(req.body.variants);
+    }
+
     // Ensure status is set to active if not provided
     if (!req.body.status) {
       req.body.status = 'active';
@@ -699,6 +769,29 @@ exports.createProduct = async (req, res) => {
     req.body.isActive = req.body.status === 'active';
 
     const product = await Product.create(req.body);
+    await syncReferences('Product', product);
+
+    // Opening stock is the first entry in the product's stock history
+    try {
+      const openingStock = product.variants.length > 0
+        ? product.variants.map(variant => ({ variant: variant._id, sku: variant.sku, stock: variant.stock }))
+        : [{ stock: product.stock }];
+
+      for (const entry of openingStock.filter(entry => entry.stock > 0)) {
+        await recordMovement({
+          product: product._id,
+          variant: entry.variant,
+          sku: entry.sku || '',
+          type: 'restock',
+          quantity: entry.stock,
+          balanceAfter: entry.stock,
+          performedBy: req.user.id,
+          note: 'Opening stock'
+        });
+      }
+    } catch (movementError) {
+      console.error('Failed to record opening stock:', movementError);
+    }
 
     res.status(201).json({
       success: true,
@@ -721,7 +814,7 @@ exports.createProduct = async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
-        message: 'Product with this slug already exists'
+        message: 'Product with this slug or SKU already exists'
       });
     }
 
@@ -765,6 +858,42 @@ exports.updateProduct = async (req, res) => {
       req.body.isActive = req.body.status === 'active';
     }
 
+    const variantError = parseVariantFields(req.body);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError
+      });
+    }
+
+    // findByIdAndUpdate skips the model's variant checks, so validate against the merged product
+    let existingProduct = null;
+    if (req.body.variants !== undefined || req.body.variantOptions !== undefined || req.body.stock !== undefined) {
+      existingProduct = await Product.findById(req.params.id).select('variantOptions variants stock');
+      if (!existingProduct) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const variantOptions = req.body.variantOptions !== undefined ? req.body.variantOptions : existingProduct.variantOptions;
+      const variants = req.body.variants !== undefined ? req.body.variants : existingProduct.variants;
+
+      const validationError = Product.validateVariants(variantOptions, variants);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      // Product stock always mirrors the variant total for variant products
+      if (variants.length > 0) {
+        req.body.stock = Product.sumVariantStock(variants);
+      }
+    }
+
     const product = await Product.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -782,6 +911,18 @@ exports.updateProduct = async (req, res) => {
       });
     }
 
+    // Images removed from the product (or its variants) become eligible for cleanup
+    await syncReferences('Product', product);
+
+    // Stock edited directly on the product is logged as a manual adjustment
+    if (existingProduct) {
+      try {
+        await recordProductStockEdits(existingProduct, product, req.user.id);
+      } catch (movementError) {
+        console.error('Failed to record stock edits:', movementError);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -803,7 +944,7 @@ exports.updateProduct = async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
-        message: 'Product with this slug already exists'
+        message: 'Product with this slug or SKU already exists'
       });
     }
 
@@ -832,8 +973,9 @@ exports.deleteProduct = async (req, res) => {
     const hardDelete = req.query.hard === 'true';
 
     if (hardDelete) {
-      // Perform hard delete
-      await product.remove();
+      // Perform hard delete; its images are left for the cleanup job
+      await product.deleteOne();
+      await releaseReferences('Product', product._id);
     } else {
       // Perform soft delete (default)
       product.isActive = false;
@@ -854,6 +996,333 @@ exports.deleteProduct = async (req, res) => {
   }
 };
 
+// Spreadsheet columns used for product import and export (header, product field, accepted aliases)
+const PRODUCT_SHEET_COLUMNS = [
+  { header: 'Name', key: 'name', width: 40 },
+  { header: 'Slug', key: 'slug', width: 40 },
+  { header: 'Description', key: 'description', width: 60 },
+  { header: 'Price', key: 'price', width: 12 },
+  { header: 'Original Price', key: 'originalPrice', width: 14 },
+  { header: 'Discount', key: 'discount', width: 10 },
+  { header: 'Stock', key: 'stock', width: 10 },
+  { header: 'Brand', key: 'brand', width: 20 },
+  { header: 'Category', key: 'category', width: 20 },
+  { header: 'Specifications', key: 'specifications', width: 50, aliases: ['specs'] },
+  { header: 'Images', key: 'images', width: 60, aliases: ['image urls', 'image url', 'image'] },
+  { header: 'Tags', key: 'tags', width: 30 },
+  { header: 'Status', key: 'status', width: 10 }
+];
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Helper function to map spreadsheet headers (any case/spacing) to product fields
+const normaliseSheetRow = (values) => {
+  const row = {};
+  const headerKey = (header) => header.toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+
+  for (const [header, value] of Object.entries(values)) {
+    const key = headerKey(header);
+    const column = PRODUCT_SHEET_COLUMNS.find(col =>
+      headerKey(col.header) === key || headerKey(col.key) === key || (col.aliases || []).includes(key)
+    );
+    if (column) {
+      row[column.key] = value;
+    }
+  }
+  return row;
+};
+
+// Helper function to split a multi-value cell ("a; b; c" or one per line)
+const splitCell = (value) => (value || '')
+  .split(/[;\n]/)
+  .map(part => part.trim())
+  .filter(Boolean);
+
+// Helper function to turn a spreadsheet row into product data, collecting validation errors
+const parseProductRow = async (row) => {
+  const errors = [];
+  const data = {};
+
+  for (const field of ['name', 'description', 'brand', 'category']) {
+    if (!row[field]) {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  if (row.name) {
+    data.name = row.name;
+    if (row.name.length > 100) {
+      errors.push('name cannot be more than 100 characters');
+    }
+  }
+  if (row.description) {
+    data.description = row.description;
+  }
+
+  const numberFields = [
+    { key: 'price', required: true },
+    { key: 'stock', required: true, integer: true },
+    { key: 'originalPrice' },
+    { key: 'discount', max: 100 }
+  ];
+  for (const field of numberFields) {
+    if (row[field.key] === undefined || row[field.key] === '') {
+      if (field.required) errors.push(`${field.key} is required`);
+      continue;
+    }
+    const value = Number(row[field.key]);
+    const invalid = isNaN(value) || value < 0 ||
+      (field.integer && !Number.isInteger(value)) ||
+      (field.max !== undefined && value > field.max);
+    if (invalid) {
+      errors.push(`${field.key} must be ${field.integer ? 'a whole number' : 'a number'} of 0 or more${field.max !== undefined ? ` and at most ${field.max}` : ''}`);
+      continue;
+    }
+    data[field.key] = value;
+  }
+
+  if (row.brand) {
+    data.brand = await getBrandId(row.brand);
+    if (!data.brand) errors.push(`brand "${row.brand}" not found`);
+  }
+  if (row.category) {
+    data.category = await getCategoryId(row.category);
+    if (!data.category) errors.push(`category "${row.category}" not found`);
+  }
+
+  // Specifications as "Name: Value; Name: Value"
+  if (row.specifications) {
+    data.specifications = [];
+    for (const pair of splitCell(row.specifications)) {
+      const separator = pair.indexOf(':');
+      const name = separator > 0 ? pair.slice(0, separator).trim() : '';
+      const value = separator > 0 ? pair.slice(separator + 1).trim() : '';
+      if (!name || !value) {
+        errors.push(`specification "${pair}" must be in the form Name: Value`);
+      } else {
+        data.specifications.push({ name, value });
+      }
+    }
+  }
+
+  if (row.images) {
+    data.images = splitCell(row.images).flatMap(part => part.split(',').map(url => url.trim()).filter(Boolean));
+    const invalid = data.images.filter(url => !/^https?:\/\/\S+$/i.test(url));
+    if (invalid.length > 0) {
+      errors.push(`invalid image URL(s): ${invalid.join(', ')}`);
+    }
+  }
+
+  if (row.tags) {
+    data.tags = splitCell(row.tags).flatMap(part => part.split(',').map(tag => tag.trim()).filter(Boolean));
+  }
+
+  if (row.status) {
+    const status = row.status.toLowerCase();
+    if (!['active', 'inactive'].includes(status)) {
+      errors.push('status must be active or inactive');
+    } else {
+      data.status = status;
+      data.isActive = status === 'active';
+    }
+  }
+
+  // Same slug rule as the Product model; an explicit slug column targets an existing product
+  data.slug = (row.slug || row.name || '')
+    .toLowerCase()
+    .replace(/[^a-zA-Z0-9]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  return { data, errors };
+};
+
+// Spreadsheet upload (kept in memory; only CSV/XLSX accepted)
+exports.uploadProductSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    if (spreadsheetService.getFormat(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV or XLSX files are allowed'));
+  }
+}).single('file');
+
+// @desc    Import products from a CSV/XLSX spreadsheet
+// @route   POST /api/products/admin/import?dryRun=true&upsert=true
+// @access  Private/Admin
+exports.importProducts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or XLSX file'
+      });
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === 'true';
+    const upsert = String(req.query.upsert ?? req.body.upsert) === 'true';
+
+    const rows = await spreadsheetService.readRows(req.file.buffer, spreadsheetService.getFormat(req.file.originalname));
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The spreadsheet has no product rows'
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A maximum of ${MAX_IMPORT_ROWS} rows can be imported at once`
+      });
+    }
+
+    const results = [];
+    const seenSlugs = new Set();
+
+    for (const { rowNumber, values } of rows) {
+      const { data, errors } = await parseProductRow(normaliseSheetRow(values));
+      const result = { row: rowNumber, name: data.name || '', slug: data.slug, errors, warnings: [] };
+      results.push(result);
+
+      if (data.slug && seenSlugs.has(data.slug)) {
+        errors.push('duplicate of an earlier row in this file');
+      }
+      seenSlugs.add(data.slug);
+
+      const existing = data.slug ? await Product.findOne({ slug: data.slug }).select('stock variants') : null;
+      if (existing && !upsert) {
+        errors.push('a product with this slug already exists (enable upsert to update it)');
+      }
+
+      if (errors.length > 0) {
+        result.status = 'error';
+        continue;
+      }
+
+      // Variant products are stocked per variant, not from the sheet
+      if (existing && existing.variants.length > 0) {
+        delete data.stock;
+        result.warnings.push('stock ignored: product has variants');
+      }
+
+      if (dryRun) {
+        result.status = existing ? 'would_update' : 'would_create';
+        continue;
+      }
+
+      try {
+        if (existing) {
+          const product = await Product.findByIdAndUpdate(existing._id, data, { new: true, runValidators: true });
+          await recordProductStockEdits(existing, product, req.user.id);
+          await syncReferences('Product', product);
+          result.status = 'updated';
+          result.productId = product._id;
+        } else {
+          const product = await Product.create({
+            ...data,
+            createdBy: req.user.id,
+            status: data.status || 'active',
+            isActive: data.status ? data.isActive : true
+          });
+          await syncReferences('Product', product);
+          if (product.stock > 0) {
+            await recordMovement({
+              product: product._id,
+              type: 'restock',
+              quantity: product.stock,
+              balanceAfter: product.stock,
+              performedBy: req.user.id,
+              note: 'Opening stock (spreadsheet import)'
+            });
+          }
+          result.status = 'created';
+          result.productId = product._id;
+        }
+      } catch (rowError) {
+        result.status = 'error';
+        result.errors.push(rowError.code === 11000 ? 'a product with this slug already exists' : rowError.message);
+      }
+    }
+
+    const count = (...statuses) => results.filter(result => statuses.includes(result.status)).length;
+    const summary = {
+      total: results.length,
+      created: count('created', 'would_create'),
+      updated: count('updated', 'would_update'),
+      failed: count('error')
+    };
+
+    console.log(`Product import${dryRun ? ' (dry run)' : ''} by ${req.user.id}:`, summary);
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${summary.created} to create, ${summary.updated} to update, ${summary.failed} with errors`
+        : `Imported ${summary.created} new and ${summary.updated} updated products, ${summary.failed} failed`,
+      data: { dryRun, upsert, summary, results }
+    });
+  } catch (error) {
+    console.error('Error in importProducts:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Export the filtered admin product list as CSV/XLSX
+// @route   GET /api/products/admin/export?format=csv|xlsx
+// @access  Private/Admin
+exports.exportProducts = async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+
+    // Same filters and sort as the admin product list, without pagination
+    const adminQuery = await buildAdminProductQuery(req.query);
+    const products = adminQuery
+      ? await Product.find(adminQuery.filter)
+        .sort(adminQuery.sortBy)
+        .populate('brand', 'name slug logo')
+        .populate('category', 'name slug')
+      : [];
+
+    const rows = products.map(product => ({
+      name: product.name,
+      slug: product.slug,
+      description: product.description,
+      price: product.price,
+      originalPrice: product.originalPrice,
+      discount: product.discount,
+      stock: product.stock,
+      brand: product.brand ? product.brand.name : '',
+      category: product.category ? product.category.name : '',
+      specifications: (product.specifications || []).map(spec => `${spec.name}: ${spec.value}`).join('; '),
+      images: (product.images || []).join('; '),
+      tags: (product.tags || []).join('; '),
+      status: product.status
+    }));
+
+    const buffer = await spreadsheetService.writeRows(PRODUCT_SHEET_COLUMNS, rows, format, 'Products');
+    const fileName = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', format === 'csv'
+      ? 'text/csv'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    console.error('Error in exportProducts:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // Add this function to your productController.js
 
 // @desc    Get new arrival products
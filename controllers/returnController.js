@@ -0,0 +1,609 @@
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const PickupStation = require('../models/PickupStation');
+const returnService = require('../services/returnService');
+const smsService = require('../services/smsService');
+const { isStoredUrl } = require('../services/storageService');
+const { recordUploads, discardUploads, syncReferences } = require('../services/mediaService');
+const { recordAudit, snapshot } = require('../services/auditService');
+const { hasPermission, PERMISSIONS } = require('../config/permissions');
+
+const MAX_RETURN_IMAGES = 5;
+
+// Photos for a return: files uploaded with the request, or URLs from an earlier upload
+const collectReturnImages = (req) => {
+  const uploaded = (req.files || []).map(file => ({
+    url: file.path,
+    publicId: file.filename
+  }));
+
+  let provided = req.body.images || [];
+  if (typeof provided === 'string') {
+    provided = JSON.parse(provided);
+  }
+  if (!Array.isArray(provided)) {
+    throw new Error('Images must be an array');
+  }
+
+  const linked = provided.map(image => {
+    const url = typeof image === 'string' ? image : image && image.url;
+    if (!isStoredUrl(url, req)) {
+      throw new Error('Return photos must be uploaded through the image upload endpoint');
+    }
+    return {
+      url,
+      publicId: (image && (image.publicId || image.public_id)) || undefined
+    };
+  });
+
+  const images = [...uploaded, ...linked];
+  if (images.length > MAX_RETURN_IMAGES) {
+    throw new Error(`A return can have at most ${MAX_RETURN_IMAGES} photos`);
+  }
+  return images;
+};
+
+const isReturnOwner = (user, returnDoc) => (returnDoc.user._id || returnDoc.user).toString() === user.id;
+
+// The agent at the station the items are being brought back to
+const isReturnStationAgent = (user, returnDoc) => user.role === 'agent' && user.pickupStation &&
+  (returnDoc.pickupStation._id || returnDoc.pickupStation).toString() === user.pickupStation.toString();
+
+// Customers don't see internal notes, commission adjustments or who handled each step
+const forCustomer = (returnDoc) => {
+  const plain = returnDoc.toObject();
+  delete plain.adminNotes;
+  delete plain.commissionClawbacks;
+  plain.statusHistory = (plain.statusHistory || []).map(({ changedBy, ...entry }) => entry);
+  if (plain.refund) {
+    delete plain.refund.processedBy;
+    delete plain.refund.conversationId;
+    delete plain.refund.originatorConversationId;
+  }
+  return plain;
+};
+
+// Text the customer about their return; failures are logged, not thrown
+const notifyCustomer = async (returnDoc, message) => {
+  const phone = returnDoc.user && returnDoc.user.phone;
+  if (!phone) return;
+  try {
+    await smsService.sendMessage(phone, message);
+  } catch (error) {
+    console.error(`Return SMS failed for ${returnDoc.returnNumber}:`, error.message);
+  }
+};
+
+const findReturn = async (req, res) => {
+  const returnDoc = await Return.findById(req.params.id);
+  if (!returnDoc) {
+    res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+    return null;
+  }
+  return returnDoc;
+};
+
+// @desc    Items on an order that can still be returned
+// @route   GET /api/returns/order/:orderId/items
+// @access  Private (order owner)
+exports.getReturnableItems = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if ((order.user._id || order.user).toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to return items from this order'
+      });
+    }
+
+    const deadline = returnService.getReturnDeadline(order);
+    const items = await returnService.getReturnableItems(order);
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        returnDeadline: deadline,
+        canReturn: !!deadline && deadline >= new Date() && order.isPaid && items.some(item => item.returnable > 0),
+        reasons: Return.RETURN_REASONS
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Ask to return items from a delivered order
+// @route   POST /api/returns
+// @access  Private
+exports.createReturn = async (req, res) => {
+  // The order is only known once the multipart body has been read, so photos are uploaded
+  // before it can be checked; a refused request deletes them again
+  const reject = async (status, message) => {
+    await discardUploads(req.files);
+    return res.status(status).json({
+      success: false,
+      message
+    });
+  };
+
+  let returnDoc = null;
+  try {
+    const { orderId, notes } = req.body;
+    let { items } = req.body;
+
+    // Multipart requests send the item list as JSON text
+    if (typeof items === 'string') {
+      items = JSON.parse(items);
+    }
+
+    const images = collectReturnImages(req);
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return reject(404, 'Order not found');
+    }
+
+    if ((order.user._id || order.user).toString() !== req.user.id) {
+      return reject(403, 'Not authorized to return items from this order');
+    }
+
+    // Items go back to the order's own station unless the customer picks another
+    const stationId = req.body.pickupStation || (order.pickupStation && (order.pickupStation._id || order.pickupStation));
+    if (!stationId) {
+      return reject(400, 'Choose the pickup station you will bring the items to');
+    }
+
+    const station = await PickupStation.findOne({ _id: stationId, isActive: true });
+    if (!station) {
+      return reject(400, 'Pickup station not found or not active');
+    }
+
+    returnDoc = await returnService.createReturn(order, {
+      items,
+      images,
+      notes: notes || '',
+      pickupStation: station._id
+    }, req.user);
+
+    await recordUploads(req, req.files);
+
+    await syncReferences('Return', returnDoc);
+
+    console.log(`Return ${returnDoc.returnNumber} requested for order ${order.orderNumber}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested. We will let you know once it has been reviewed.',
+      data: { return: forCustomer(await Return.findById(returnDoc._id)) }
+    });
+  } catch (error) {
+    // Once the return exists its photos are in use
+    if (!returnDoc) {
+      return reject(400, error.message);
+    }
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the current user's returns
+// @route   GET /api/returns/my
+// @access  Private
+exports.getMyReturns = async (req, res) => {
+  try {
+    const returns = await Return.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { returns: returns.map(forCustomer) }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a return
+// @route   GET /api/returns/:id
+// @access  Private (owner, agent at the return station, admin)
+exports.getReturn = async (req, res) => {
+  try {
+    const returnDoc = await findReturn(req, res);
+    if (!returnDoc) return;
+
+    const isStaff = (req.user.role === 'admin' && hasPermission(req.user, PERMISSIONS.ORDERS_VIEW)) ||
+      isReturnStationAgent(req.user, returnDoc);
+
+    if (!isStaff && !isReturnOwner(req.user, returnDoc)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this return'
+      });
+    }
+
+    if (!isStaff) {
+      return res.json({
+        success: true,
+        data: { return: forCustomer(returnDoc) }
+      });
+    }
+
+    await returnDoc.populate([
+      { path: 'statusHistory.changedBy', select: 'name role' },
+      { path: 'receivedBy', select: 'name' },
+      { path: 'reviewedBy', select: 'name' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { return: returnDoc }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Cancel a return request
+// @route   PUT /api/returns/:id/cancel
+// @access  Private (owner)
+exports.cancelReturn = async (req, res) => {
+  try {
+    const returnDoc = await findReturn(req, res);
+    if (!returnDoc) return;
+
+    if (!isReturnOwner(req.user, returnDoc)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this return'
+      });
+    }
+
+    if (!['requested', 'approved'].includes(returnDoc.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${returnDoc.status} return can no longer be cancelled`
+      });
+    }
+
+    returnDoc.setStatus('cancelled', req.user, req.body.reason || 'Cancelled by customer');
+    await returnDoc.save();
+
+    res.json({
+      success: true,
+      message: 'Return cancelled',
+      data: { return: forCustomer(returnDoc) }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approved returns waiting to be handed in at the agent's station
+// @route   GET /api/returns/station
+// @access  Private/Agent
+exports.getStationReturns = async (req, res) => {
+  try {
+    if (!req.user.pickupStation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Agent does not have an assigned pickup station'
+      });
+    }
+
+    const filter = { pickupStation: req.user.pickupStation };
+    filter.status = req.query.status && Return.RETURN_STATUSES.includes(req.query.status)
+      ? req.query.status
+      : 'approved';
+
+    const returns = await Return.find(filter).sort({ reviewedAt: 1 });
+
+    res.json({
+      success: true,
+      data: { returns }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Record returned items as received at the station and restock them
+// @route   PUT /api/returns/:id/receive
+// @access  Private (agent at the return station, admin)
+exports.receiveReturn = async (req, res) => {
+  try {
+    const returnDoc = await findReturn(req, res);
+    if (!returnDoc) return;
+
+    if (req.user.role === 'agent' && !isReturnStationAgent(req.user, returnDoc)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This return is being handed in at a different station'
+      });
+    }
+
+    if (returnDoc.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: returnDoc.status === 'requested'
+          ? 'This return has not been approved yet'
+          : `A ${returnDoc.status} return cannot be received`
+      });
+    }
+
+    const { items, notes } = req.body;
+    const updated = await returnService.receiveReturn(returnDoc, { items, notes }, req.user);
+
+    if (req.user.role === 'admin') {
+      await recordAudit(req, {
+        action: 'return.receive',
+        targetType: 'Return',
+        targetId: updated._id,
+        targetLabel: updated.returnNumber,
+        after: snapshot(updated, ['status', 'receivedAt']),
+        metadata: { items: updated.items.map(item => ({ name: item.name, condition: item.condition, restocked: item.restockedQuantity })) }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Return received',
+      data: { return: updated }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get all returns
+// @route   GET /api/returns/admin/all
+// @access  Private/Admin
+exports.getAllReturns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status && Return.RETURN_STATUSES.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+    if (req.query.refundStatus) {
+      filter['refund.status'] = req.query.refundStatus;
+    }
+    if (req.query.pickupStation) {
+      filter.pickupStation = req.query.pickupStation;
+    }
+
+    const returns = await Return.find(filter)
+      .sort({ createdAt: req.query.status === 'requested' ? 1 : -1 }) // Oldest requests first in the review queue
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Return.countDocuments(filter);
+
+    const counts = await Return.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        returns,
+        stats: counts.reduce((stats, row) => ({ ...stats, [row._id]: row.count }), {}),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approve or reject a return request
+// @route   PUT /api/returns/admin/:id/review
+// @access  Private/Admin
+exports.reviewReturn = async (req, res) => {
+  try {
+    const { action, notes, pickupStation } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be approve or reject'
+      });
+    }
+
+    if (action === 'reject' && !notes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give a reason for rejecting the return'
+      });
+    }
+
+    const returnDoc = await findReturn(req, res);
+    if (!returnDoc) return;
+
+    if (returnDoc.status !== 'requested') {
+      return res.status(400).json({
+        success: false,
+        message: `Return has already been ${returnDoc.status}`
+      });
+    }
+
+    const before = snapshot(returnDoc, ['status', 'pickupStation']);
+
+    // Admins can send the items to a different station than the customer chose
+    if (action === 'approve' && pickupStation) {
+      const station = await PickupStation.findOne({ _id: pickupStation, isActive: true });
+      if (!station) {
+        return res.status(400).json({
+          success: false,
+          message: 'Pickup station not found or not active'
+        });
+      }
+      returnDoc.pickupStation = station._id;
+    }
+
+    const status = action === 'approve' ? 'approved' : 'rejected';
+    returnDoc.reviewedBy = req.user._id;
+    returnDoc.reviewedAt = new Date();
+    returnDoc.adminNotes = notes || '';
+    returnDoc.setStatus(status, req.user, notes);
+    await returnDoc.save();
+    await returnDoc.populate('pickupStation', 'name address city');
+
+    await recordAudit(req, {
+      action: `return.${action}`,
+      targetType: 'Return',
+      targetId: returnDoc._id,
+      targetLabel: returnDoc.returnNumber,
+      before,
+      after: snapshot(returnDoc, ['status', 'pickupStation']),
+      reason: notes
+    });
+
+    await notifyCustomer(returnDoc, action === 'approve'
+      ? `Your return ${returnDoc.returnNumber} has been approved. Please bring the items to ${returnDoc.pickupStation.name}.`
+      : `Your return ${returnDoc.returnNumber} was not approved: ${notes}`);
+
+    res.json({
+      success: true,
+      message: `Return ${status}`,
+      data: { return: returnDoc }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Refund a received return (M-Pesa B2C, a recorded M-Pesa reversal, or store credit)
+// @route   PUT /api/returns/admin/:id/refund
+// @access  Private/Admin
+exports.refundReturn = async (req, res) => {
+  try {
+    const returnDoc = await findReturn(req, res);
+    if (!returnDoc) return;
+
+    if (returnDoc.status !== 'received') {
+      return res.status(400).json({
+        success: false,
+        message: returnDoc.status === 'refunded'
+          ? 'Return has already been refunded'
+          : 'Items must be received back before the return is refunded'
+      });
+    }
+
+    const { method, amount, reference, phoneNumber, notes } = req.body;
+    const updated = await returnService.refundReturn(returnDoc, { method, amount, reference, phoneNumber, notes }, req.user);
+
+    await recordAudit(req, {
+      action: 'return.refund',
+      targetType: 'Return',
+      targetId: updated._id,
+      targetLabel: updated.returnNumber,
+      after: snapshot(updated, ['status', 'refund']),
+      reason: notes,
+      metadata: { commissionClawbacks: updated.commissionClawbacks }
+    });
+
+    if (updated.refund.status === 'completed') {
+      await notifyCustomer(updated, updated.refund.method === 'store_credit'
+        ? `KSh ${updated.refund.amount.toLocaleString()} has been added to your CessPlug store credit for return ${updated.returnNumber}.`
+        : `Your refund of KSh ${updated.refund.amount.toLocaleString()} for return ${updated.returnNumber} has been processed (${updated.refund.reference}).`);
+    }
+
+    res.json({
+      success: true,
+      message: updated.refund.status === 'completed' ? 'Return refunded' : 'M-Pesa refund initiated',
+      data: { return: updated }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Confirm the outcome of an M-Pesa refund that may or may not have been sent
+// @route   PUT /api/returns/admin/:id/refund/resolve
+// @access  Private/Admin
+exports.resolveRefundCheck = async (req, res) => {
+  try {
+    const returnDoc = await findReturn(req, res);
+    if (!returnDoc) return;
+
+    const { outcome, reference, notes } = req.body;
+    const before = snapshot(returnDoc, ['status', 'refund']);
+    const updated = await returnService.resolveRefundCheck(returnDoc, { outcome, reference, notes }, req.user);
+
+    await recordAudit(req, {
+      action: 'return.refund_resolve',
+      targetType: 'Return',
+      targetId: updated._id,
+      targetLabel: updated.returnNumber,
+      before,
+      after: snapshot(updated, ['status', 'refund']),
+      reason: notes,
+      metadata: { outcome }
+    });
+
+    if (updated.refund.status === 'completed') {
+      await notifyCustomer(updated, `Your refund of KSh ${updated.refund.amount.toLocaleString()} for return ${updated.returnNumber} has been processed (${updated.refund.reference}).`);
+    }
+
+    res.json({
+      success: true,
+      message: updated.refund.status === 'completed'
+        ? 'Refund confirmed and return closed'
+        : 'Refund marked as not sent. It can be refunded again.',
+      data: { return: updated }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,71 +1,193 @@
 const Review = require('../models/Review');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const { isStoredUrl } = require('../services/storageService');
+const reviewModeration = require('../services/reviewModerationService');
+const { recordUploads, discardUploads, syncReferences, releaseReferences } = require('../services/mediaService');
+
+const MAX_REVIEW_IMAGES = 5;
+
+// Photos for a new review: files uploaded with the request, or URLs from an earlier upload
+const collectReviewImages = (req) => {
+  const uploaded = (req.files || []).map(file => ({
+    url: file.path,
+    publicId: file.filename
+  }));
+
+  let provided = req.body.images || [];
+  if (typeof provided === 'string') {
+    provided = JSON.parse(provided);
+  }
+  if (!Array.isArray(provided)) {
+    throw new Error('Images must be an array');
+  }
+
+  const linked = provided.map(image => {
+    const url = typeof image === 'string' ? image : image && image.url;
+    if (!isStoredUrl(url, req)) {
+      throw new Error('Review images must be uploaded through the image upload endpoint');
+    }
+    return {
+      url,
+      publicId: (image && (image.publicId || image.public_id)) || undefined
+    };
+  });
+
+  const images = [...uploaded, ...linked];
+  if (images.length > MAX_REVIEW_IMAGES) {
+    throw new Error(`A review can have at most ${MAX_REVIEW_IMAGES} photos`);
+  }
+  return images;
+};
+
+// Product rating, count and breakdown for review listings; products reviewed
+// before breakdowns were stored get theirs calculated on first request
+const getRatingSummary = async (productId) => {
+  const product = await Product.findById(productId).select('rating numReviews ratingSummary');
+  if (!product) {
+    return null;
+  }
+
+  if (!product.ratingSummary || !product.ratingSummary.updatedAt) {
+    return Review.updateProductRating(product._id);
+  }
+
+  return {
+    rating: product.rating,
+    numReviews: product.numReviews,
+    ratingSummary: product.ratingSummary
+  };
+};
+
+// Why this user can't review this product, or null if they can
+const reviewBlocker = async (req) => {
+  const productId = req.params.productId;
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    return { status: 404, message: 'Product not found' };
+  }
+
+  // Check if user has purchased this product
+  const hasPurchased = await Order.findOne({
+    user: req.user.id,
+    'orderItems.product': productId,
+    isPaid: true,
+    status: { $in: ['processing', 'shipped', 'delivered'] }
+  });
+  if (!hasPurchased) {
+    return { status: 403, message: 'You can only review products you have purchased' };
+  }
+
+  // Check if user already reviewed this product
+  const existingReview = await Review.findOne({
+    product: productId,
+    user: req.user.id
+  });
+  if (existingReview) {
+    return { status: 400, message: 'You have already reviewed this product' };
+  }
+
+  return null;
+};
+
+// Runs before the photo upload so a review that will be refused never stores its files
+exports.checkCanReview = async (req, res, next) => {
+  try {
+    const blocker = await reviewBlocker(req);
+    if (blocker) {
+      return res.status(blocker.status).json({
+        success: false,
+        message: blocker.message
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Sort options for the public review list
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpful: -1, createdAt: -1 },
+  photos: { createdAt: -1 }
+};
 
 // @desc    Create product review
 // @route   POST /api/reviews/:productId
 // @access  Private
 exports.createReview = async (req, res) => {
+  let review = null;
   try {
     const { rating, comment, title } = req.body;
     const productId = req.params.productId;
+    const images = collectReviewImages(req);
 
-    // Check if product exists
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
-      });
-    }
-
-    // Check if user has purchased this product
-    const hasPurchased = await Order.findOne({
-      user: req.user.id,
-      'orderItems.product': productId,
-      isPaid: true,
-      status: { $in: ['processing', 'shipped', 'delivered'] }
-    });
-
-    if (!hasPurchased) {
-      return res.status(403).json({
+    // Checked again: another review may have been posted while the photos uploaded
+    const blocker = await reviewBlocker(req);
+    if (blocker) {
+      await discardUploads(req.files);
+      return res.status(blocker.status).json({
         success: false,
-        message: 'You can only review products you have purchased'
+        message: blocker.message
       });
     }
 
-    // Check if user already reviewed this product
-    const existingReview = await Review.findOne({
+    // Suspect reviews are held for an admin instead of going live
+    const moderationFlags = await reviewModeration.screenReview({
+      user: req.user._id,
       product: productId,
-      user: req.user.id
+      title,
+      comment
     });
+    const held = moderationFlags.length > 0;
 
-    if (existingReview) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already reviewed this product'
-      });
-    }
-
-    const review = await Review.create({
+    review = await Review.create({
       product: productId,
       user: req.user.id,
       name: req.user.name,
       rating,
       comment,
       title,
-      verified: true // Mark as verified purchase since we checked
+      images,
+      verified: true, // Mark as verified purchase since we checked
+      moderationStatus: held ? 'pending' : 'approved',
+      moderationFlags,
+      contentHash: reviewModeration.contentHash(comment) || undefined
     });
 
+    await recordUploads(req, req.files);
+    await syncReferences('Review', review);
+
+    if (held) {
+      console.log(`Review ${review._id} held for moderation: ${moderationFlags.map(flag => flag.reason).join(', ')}`);
+    }
+
     // Update product rating
     await updateProductRating(productId);
 
     res.status(201).json({
       success: true,
-      message: 'Review created successfully',
-      data: { review }
+      message: held
+        ? 'Thanks for your review. It will appear once it has been checked by our team'
+        : 'Review created successfully',
+      data: {
+        review: {
+          ...review.toObject(),
+          moderationFlags: undefined,
+          contentHash: undefined
+        }
+      }
     });
   } catch (error) {
+    // Once the review exists its photos are in use
+    if (!review) {
+      await discardUploads(req.files);
+    }
     res.status(400).json({
       success: false,
       message: error.message
@@ -74,33 +196,39 @@ exports.createReview = async (req, res) => {
 };
 
 // @desc    Get product reviews
-// @route   GET /api/reviews/:productId
+// @route   GET /api/reviews/:productId?sort=newest|helpful|photos
 // @access  Public
 exports.getProductReviews = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
+    const sort = REVIEW_SORTS[req.query.sort] ? req.query.sort : 'newest';
 
-    const reviews = await Review.find({ 
+    const filter = {
       product: req.params.productId,
-      visible: { $ne: false } // Only show visible reviews to public
-    })
+      ...Review.PUBLIC_FILTER // Only show visible, approved reviews to public
+    };
+    if (sort === 'photos') {
+      filter['images.0'] = { $exists: true };
+    }
+
+    const reviews = await Review.find(filter)
       .populate('user', 'name avatar')
       .populate('product', 'name images')
-      .sort({ createdAt: -1 })
+      .sort(REVIEW_SORTS[sort])
       .skip(skip)
       .limit(limit);
 
-    const total = await Review.countDocuments({ 
-      product: req.params.productId,
-      visible: { $ne: false }
-    });
+    const total = await Review.countDocuments(filter);
+    const summary = await getRatingSummary(req.params.productId);
 
     res.json({
       success: true,
       data: {
         reviews,
+        summary,
+        sort,
         pagination: {
           page,
           limit,
@@ -167,6 +295,15 @@ exports.getAllReviews = async (req, res) => {
         case 'flagged':
           filter.flagged = true;
           break;
+        case 'pending':
+          filter.moderationStatus = 'pending';
+          break;
+        case 'rejected':
+          filter.moderationStatus = 'rejected';
+          break;
+        case 'reported':
+          filter.reportCount = { $gt: 0 };
+          break;
       }
     }
 
@@ -247,12 +384,17 @@ exports.getReviewStats = async (req, res) => {
       breakdown[item._id] = item.count;
     });
 
+    const pendingModeration = await Review.countDocuments({ moderationStatus: 'pending' });
+    const reportedReviews = await Review.countDocuments({ reportCount: { $gt: 0 }, flagged: true });
+
     res.json({
       success: true,
       data: {
         totalReviews,
         averageRating: ratingStats.length > 0 ? Math.round(ratingStats[0].averageRating * 10) / 10 : 0,
-        ratingBreakdown: breakdown
+        ratingBreakdown: breakdown,
+        pendingModeration,
+        reportedReviews
       }
     });
   } catch (error) {
@@ -284,6 +426,9 @@ exports.updateReviewVisibility = async (req, res) => {
       });
     }
 
+    // Hidden reviews drop out of the product's rating and breakdown
+    await updateProductRating(review.product._id || review.product);
+
     res.json({
       success: true,
       message: 'Review visibility updated successfully',
@@ -345,8 +490,9 @@ exports.deleteReviewAdmin = async (req, res) => {
       });
     }
 
-    const productId = review.product;
+    const productId = review.product._id || review.product;
     await Review.findByIdAndDelete(req.params.reviewId);
+    await releaseReferences('Review', review._id);
 
     // Update product rating
     await updateProductRating(productId);
@@ -427,15 +573,16 @@ exports.deleteReview = async (req, res) => {
     }
 
     // Check if user owns the review or is admin
-    if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if ((review.user._id || review.user).toString() !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this review'
       });
     }
 
-    const productId = review.product;
+    const productId = review.product._id || review.product;
     await Review.findByIdAndDelete(req.params.reviewId);
+    await releaseReferences('Review', review._id);
 
     // Update product rating
     await updateProductRating(productId);
@@ -452,24 +599,369 @@ exports.deleteReview = async (req, res) => {
   }
 };
 
-// Helper function to update product rating
-const updateProductRating = async (productId) => {
-  const reviews = await Review.find({ 
-    product: productId,
-    visible: { $ne: false } // Only count visible reviews
-  });
-  
-  if (reviews.length === 0) {
-    await Product.findByIdAndUpdate(productId, {
-      rating: 0,
-      numReviews: 0
-    });
-  } else {
-    const averageRating = reviews.reduce((acc, review) => acc + review.rating, 0) / reviews.length;
-    
-    await Product.findByIdAndUpdate(productId, {
-      rating: Math.round(averageRating * 10) / 10,
-      numReviews: reviews.length
+// @desc    Vote a review helpful or not helpful (one vote per user, can be changed)
+// @route   POST /api/reviews/:reviewId/vote
+// @access  Private
+exports.voteReview = async (req, res) => {
+  try {
+    const { helpful } = req.body;
+
+    if (typeof helpful !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'helpful must be true or false'
+      });
+    }
+
+    const review = await Review.findOne({ _id: req.params.reviewId, ...Review.PUBLIC_FILTER })
+      .select('+votes');
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if ((review.user._id || review.user).toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vote on your own review'
+      });
+    }
+
+    const existingVote = review.votes.find(vote => vote.user.toString() === req.user.id);
+    let updated;
+
+    if (!existingVote) {
+      // Conditional on the user not having voted, so a double submit only counts once
+      updated = await Review.findOneAndUpdate(
+        { _id: review._id, 'votes.user': { $ne: req.user._id } },
+        {
+          $push: { votes: { user: req.user._id, helpful, votedAt: new Date() } },
+          $inc: helpful ? { helpful: 1 } : { notHelpful: 1 }
+        },
+        { new: true }
+      );
+    } else if (existingVote.helpful !== helpful) {
+      // Switch an existing vote, moving it from one counter to the other
+      updated = await Review.findOneAndUpdate(
+        { _id: review._id, votes: { $elemMatch: { user: req.user._id, helpful: !helpful } } },
+        {
+          $set: { 'votes.$.helpful': helpful, 'votes.$.votedAt': new Date() },
+          $inc: helpful ? { helpful: 1, notHelpful: -1 } : { helpful: -1, notHelpful: 1 }
+        },
+        { new: true }
+      );
+    }
+
+    // Nothing changed (same vote again, or a concurrent request got there first)
+    if (!updated) {
+      updated = await Review.findById(review._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Vote recorded',
+      data: {
+        helpful: updated.helpful,
+        notHelpful: updated.notHelpful,
+        userVote: helpful ? 'helpful' : 'not_helpful'
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove the user's vote from a review
+// @route   DELETE /api/reviews/:reviewId/vote
+// @access  Private
+exports.removeVote = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.reviewId).select('+votes');
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const existingVote = review.votes.find(vote => vote.user.toString() === req.user.id);
+    let updated = null;
+
+    if (existingVote) {
+      updated = await Review.findOneAndUpdate(
+        { _id: review._id, votes: { $elemMatch: { user: req.user._id, helpful: existingVote.helpful } } },
+        {
+          $pull: { votes: { user: req.user._id } },
+          $inc: existingVote.helpful ? { helpful: -1 } : { notHelpful: -1 }
+        },
+        { new: true }
+      );
+    }
+
+    if (!updated) {
+      updated = await Review.findById(review._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Vote removed',
+      data: {
+        helpful: updated.helpful,
+        notHelpful: updated.notHelpful,
+        userVote: null
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Report a review
+// @route   POST /api/reviews/:reviewId/report
+// @access  Private
+exports.reportReview = async (req, res) => {
+  try {
+    const { reason, details } = req.body;
+
+    if (!Review.REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${Review.REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    const review = await Review.findOne({ _id: req.params.reviewId, ...Review.PUBLIC_FILTER });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if ((review.user._id || review.user).toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own review'
+      });
+    }
+
+    const result = await reviewModeration.reportReview(review._id, req.user._id, reason, details);
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    if (result.queued) {
+      console.log(`Review ${review._id} moved to moderation queue after ${result.review.reportCount} reports`);
+      await updateProductRating(review.product._id || review.product);
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks, our team will look into this review'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get reviews waiting for moderation (held by screening or reported by customers)
+// @route   GET /api/reviews/admin/moderation-queue
+// @access  Private/Admin
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      $or: [
+        { moderationStatus: 'pending' },
+        { flagged: true, reportCount: { $gt: 0 }, moderationStatus: { $ne: 'rejected' } }
+      ]
+    };
+
+    if (req.query.reason) {
+      filter['moderationFlags.reason'] = req.query.reason;
+    }
+
+    const reviews = await Review.find(filter)
+      .select('+reports')
+      .populate('reports.user', 'name email')
+      .sort({ createdAt: 1 }) // Oldest first
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Review.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Approve or reject a review from the moderation queue
+// @route   PATCH /api/reviews/admin/:reviewId/moderate
+// @access  Private/Admin
+exports.moderateReview = async (req, res) => {
+  try {
+    const { action, notes } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be approve or reject'
+      });
+    }
+
+    const review = await Review.findByIdAndUpdate(
+      req.params.reviewId,
+      {
+        moderationStatus: action === 'approve' ? 'approved' : 'rejected',
+        flagged: false,
+        moderatedBy: req.user._id,
+        moderatedAt: new Date(),
+        moderationNotes: notes || ''
+      },
+      { new: true }
+    );
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await updateProductRating(review.product._id || review.product);
+
+    console.log(`Review ${review._id} ${action === 'approve' ? 'approved' : 'rejected'} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Review ${action === 'approve' ? 'approved' : 'rejected'} successfully`,
+      data: { review }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Reply to a review on behalf of the shop
+// @route   POST /api/reviews/admin/:reviewId/replies
+// @access  Private/Admin
+exports.addReviewReply = async (req, res) => {
+  try {
+    const { comment, name } = req.body;
+
+    if (!comment || !comment.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply comment is required'
+      });
+    }
+
+    const review = await Review.findByIdAndUpdate(
+      req.params.reviewId,
+      {
+        $push: {
+          replies: {
+            user: req.user._id,
+            name: (name && name.trim()) || 'CessPlug',
+            authorRole: 'admin',
+            comment: comment.trim()
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    console.log(`Reply added to review ${review._id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply added successfully',
+      data: { review }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete a reply from a review
+// @route   DELETE /api/reviews/admin/:reviewId/replies/:replyId
+// @access  Private/Admin
+exports.deleteReviewReply = async (req, res) => {
+  try {
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.reviewId, 'replies._id': req.params.replyId },
+      { $pull: { replies: { _id: req.params.replyId } } },
+      { new: true }
+    );
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review or reply not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply deleted successfully',
+      data: { review }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Helper function to update product rating (only visible reviews count)
+const updateProductRating = (productId) => Review.updateProductRating(productId);
\ No newline at end of file
@@ -1,33 +1,15 @@
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const multer = require('multer');
 const path = require('path');
+const storageService = require('../services/storageService');
+const mediaService = require('../services/mediaService');
+const Media = require('../models/Media');
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// Create storage engine for Cloudinary
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: (req) => {
-      // Use folder from body or query params, default to 'general_uploads'
-      return req.body?.folder || req.query?.folder || 'general_uploads';
-    },
-    public_id: (req, file) => {
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-      return file.fieldname + '-' + uniqueSuffix;
-    },
-    transformation: [
-      { width: 1200, height: 800, crop: 'limit' }, // Better size for banners
-      { quality: 'auto' }
-    ],
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif']
-  }
+// Storage engine for general uploads (Cloudinary or local disk, see services/storageService.js)
+const storage = storageService.createImageStorage({
+  // Use folder from body or query params, default to 'general_uploads'
+  folder: (req) => req.body?.folder || req.query?.folder || 'general_uploads',
+  maxWidth: 1200,
+  maxHeight: 800 // Better size for banners
 });
 
 // File filter
@@ -56,6 +38,47 @@ exports.uploadImage = upload.single('file');
 // Multiple files upload handler
 exports.uploadImages = upload.array('files', 5); // Max 5 files
 
+// Review photos always go to their own folder, whatever the client sends
+const reviewUpload = multer({
+  storage: storageService.createImageStorage({
+    folder: 'review_images',
+    prefix: 'review'
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: fileFilter
+});
+
+// Optional photos on a review (multipart field 'images'); JSON requests pass straight through
+exports.uploadReviewImages = reviewUpload.array('images', 5);
+
+// Optional photos of returned items (multipart field 'images')
+exports.uploadReturnImages = multer({
+  storage: storageService.createImageStorage({
+    folder: 'return_images',
+    prefix: 'return'
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: fileFilter
+}).array('images', 5);
+
+// Optional delivery photo sent with an order status update (multipart field 'deliveryProof')
+exports.uploadDeliveryProof = multer({
+  storage: storageService.createImageStorage({
+    folder: 'delivery_proofs',
+    prefix: 'proof'
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+  fileFilter: fileFilter
+}).single('deliveryProof');
+
+// Upload response for one stored file
+const describeFile = (file) => ({
+  url: file.path,
+  public_id: file.filename,
+  secure_url: file.path.replace('http://', 'https://'),
+  variants: file.variants || storageService.getVariantUrls(file.filename, file.path)
+});
+
 // Controller function to handle upload response
 exports.handleUpload = async (req, res) => {
   try {
@@ -66,26 +89,21 @@ exports.handleUpload = async (req, res) => {
       });
     }
 
+    // Track the uploads so unused ones can be cleaned up later
+    await mediaService.recordUploads(req, req.file ? [req.file] : req.files);
+
     // Single file upload response
     if (req.file) {
       return res.status(200).json({
         success: true,
         message: 'File uploaded successfully',
-        data: {
-          url: req.file.path,
-          public_id: req.file.filename,
-          secure_url: req.file.path.replace('http://', 'https://')
-        }
+        data: describeFile(req.file)
       });
     }
 
     // Multiple files upload response
     if (req.files) {
-      const files = req.files.map(file => ({
-        url: file.path,
-        public_id: file.filename,
-        secure_url: file.path.replace('http://', 'https://')
-      }));
+      const files = req.files.map(describeFile);
 
       return res.status(200).json({
         success: true,
@@ -103,7 +121,7 @@ exports.handleUpload = async (req, res) => {
   }
 };
 
-// Delete image from Cloudinary
+// Delete image from storage
 exports.deleteImage = async (req, res) => {
   try {
     const { public_id } = req.body;
@@ -115,7 +133,35 @@ exports.deleteImage = async (req, res) => {
       });
     }
 
-    const result = await cloudinary.uploader.destroy(public_id);
+    const media = await Media.findOne({ publicId: public_id, status: 'active' });
+
+    // Files uploaded before tracking started have no record; only admins can remove those
+    if (!media && req.user.role !== 'admin') {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    if (media && !media.canBeDeletedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete images you uploaded'
+      });
+    }
+
+    if (media && media.references.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Image is still used by ${media.references.map(ref => ref.model).join(', ')}`
+      });
+    }
+
+    const result = media
+      ? await mediaService.deleteMedia(media)
+      : await storageService.deleteFile(public_id);
+
+    console.log(`Image ${public_id} deleted by ${req.user.email}`);
     
     res.status(200).json({
       success: true,
@@ -130,4 +176,58 @@ exports.deleteImage = async (req, res) => {
       error: err.message
     });
   }
-};
\ No newline at end of file
+};
+// @desc    List uploads nothing has used for longer than the threshold
+// @route   GET /api/upload/admin/orphans?olderThanHours=48
+// @access  Private/Admin
+exports.getOrphanedMedia = async (req, res) => {
+  try {
+    const olderThanHours = parseInt(req.query.olderThanHours) || undefined;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const orphans = await mediaService.findOrphans({ olderThanHours, limit });
+
+    res.json({
+      success: true,
+      data: {
+        orphans,
+        count: orphans.length
+      }
+    });
+  } catch (err) {
+    console.error('Orphaned media error:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Delete orphaned uploads now (the background job does this periodically)
+// @route   POST /api/upload/admin/cleanup
+// @access  Private/Admin
+exports.cleanupOrphanedMedia = async (req, res) => {
+  try {
+    const olderThanHours = parseInt(req.body.olderThanHours) || undefined;
+    const limit = Math.min(parseInt(req.body.limit) || 200, 500);
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const summary = await mediaService.cleanupOrphans({ olderThanHours, limit, dryRun });
+
+    console.log(`Media cleanup by ${req.user.email}${dryRun ? ' (dry run)' : ''}: ${summary.checked} orphaned, ${summary.deleted} deleted`);
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${summary.checked} orphaned upload(s) would be deleted`
+        : `${summary.deleted} orphaned upload(s) deleted`,
+      data: summary
+    });
+  } catch (err) {
+    console.error('Media cleanup error:', err);
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
@@ -1,6 +1,8 @@
 //middlewares/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
+const { PERMISSIONS, UNASSIGNED_ADMIN_ROLE } = require('../config/permissions');
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -19,6 +21,16 @@ exports.protect = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. the 2FA login challenge) are not access tokens,
+    // and every access token must belong to a session
+    if (decoded.purpose || !decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
     req.user = await User.findById(decoded.id);
     
     if (!req.user) {
@@ -28,6 +40,22 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    if (!req.user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
+    // Signed out, revoked or expired sessions can't keep using their access token
+    if (!(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -60,4 +88,76 @@ exports.admin = (req, res, next) => {
       message: 'Admin access required'
     });
   }
-};
\ No newline at end of file
+};
+
+// Require admin staff to hold at least one of the given permissions (config/permissions.js)
+// Only narrows access for admins - use after authorize(), which decides which roles get in at all
+exports.requirePermission = (...permissions) => {
+  const unknown = permissions.filter(permission => !Object.values(PERMISSIONS).includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (req.user.role !== 'admin' || permissions.some(permission => req.user.hasPermission(permission))) {
+      return next();
+    }
+    return res.status(403).json({
+      success: false,
+      message: `Your admin role (${req.user.adminRole || UNASSIGNED_ADMIN_ROLE}) does not have permission to perform this action`
+    });
+  };
+};
+
+// Check the two-factor code sent with a request (X-2FA-Code header or twoFactorCode in the body)
+// Returns null when the code is valid, otherwise { status, message } describing the failure
+exports.checkTwoFactorCode = async (req) => {
+  const user = await User.findById(req.user._id)
+    .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+  if (!user || !user.twoFactorEnabled) {
+    return {
+      status: 403,
+      message: 'Two-factor authentication must be enabled on your account for this action'
+    };
+  }
+
+  const code = req.headers['x-2fa-code'] || (req.body && req.body.twoFactorCode);
+  if (!code) {
+    return {
+      status: 401,
+      message: 'Two-factor authentication code required'
+    };
+  }
+
+  const result = await user.verifyTwoFactorCode(code);
+  if (!result.valid) {
+    return {
+      status: 401,
+      message: result.reason || 'Invalid two-factor authentication code'
+    };
+  }
+
+  return null;
+};
+
+// Require a valid two-factor code for sensitive actions
+exports.requireTwoFactor = async (req, res, next) => {
+  try {
+    const failure = await exports.checkTwoFactorCode(req);
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        twoFactorRequired: true,
+        message: failure.message
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Two-factor check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Could not verify two-factor authentication code'
+    });
+  }
+};
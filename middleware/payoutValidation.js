@@ -3,6 +3,7 @@
 const PayoutSettings = require('../models/PayoutSettings');
 const PayoutRequest = require('../models/PayoutRequest');
 const Commission = require('../models/Commission');
+const { checkTwoFactorCode } = require('./auth');
 
 // Middleware to validate payout requests against admin settings
 exports.validatePayoutRequest = async (req, res, next) => {
@@ -153,6 +154,19 @@ exports.validatePayoutRequest = async (req, res, next) => {
       });
     }
 
+    // 10. Large payouts need a two-factor code (checked last so a code isn't spent on a rejected request)
+    if (settings.requireTwoFactorForLargePayouts && amount > settings.twoFactorThreshold) {
+      const failure = await checkTwoFactorCode(req);
+      if (failure) {
+        return res.status(failure.status).json({
+          success: false,
+          twoFactorRequired: true,
+          message: `${failure.message} (payouts above KSh ${settings.twoFactorThreshold.toLocaleString()})`,
+          warnings
+        });
+      }
+    }
+
     // Attach validation results to request object for use in controller
     req.payoutValidation = {
       settings,
@@ -0,0 +1,106 @@
+//middlewares/rateLimiter.js
+const rateLimit = require('express-rate-limit');
+const jwt = require('jsonwebtoken');
+
+const bodyValue = (req, field) => req.body && req.body[field];
+
+// Key requests by an account identifier from the body (email, phone, ...) so an
+// attacker rotating IPs still hits the same bucket; falls back to the client IP
+// (req.ip is the real client because server.js sets 'trust proxy')
+const keyByBody = (...fields) => (req) => {
+  for (const field of fields) {
+    const value = bodyValue(req, field);
+    if (value) {
+      return `${field}:${String(value).replace(/[\s+-]/g, '').toLowerCase()}`;
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+// requireKey skips requests that carry none of the keyFields instead of counting them per IP
+const createLimiter = ({ windowMinutes, max, keyFields, keyGenerator, requireKey = false, failedOnly = false, message }) => rateLimit({
+  windowMs: windowMinutes * 60 * 1000,
+  max,
+  keyGenerator: keyGenerator || (keyFields ? keyByBody(...keyFields) : undefined),
+  skip: requireKey ? (req) => !keyFields.some(field => bodyValue(req, field)) : undefined,
+  // Verification endpoints only count failures, so a user who gets it right isn't penalised
+  skipSuccessfulRequests: failedOnly,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message
+  }
+});
+
+// Password login, per account
+exports.loginLimiter = createLimiter({
+  windowMinutes: 15,
+  max: 10,
+  keyFields: ['email'],
+  failedOnly: true,
+  message: 'Too many failed login attempts for this account, please try again later'
+});
+
+// Second login step, per account in the pending-login token. Tokens that don't verify are
+// keyed by themselves; the controller rejects them anyway.
+exports.twoFactorLoginLimiter = createLimiter({
+  windowMinutes: 15,
+  max: 10,
+  keyGenerator: (req) => {
+    const token = String(bodyValue(req, 'twoFactorToken') || '');
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded && decoded.purpose === '2fa_login') {
+        return `2fa:${decoded.id}`;
+      }
+    } catch (error) {
+      // fall through
+    }
+    return `2fa-token:${token}`;
+  },
+  failedOnly: true,
+  message: 'Too many incorrect codes for this account, please sign in again later'
+});
+
+// OTP / PIN checks, per phone number (or Termii pin ID / Google user)
+exports.otpVerifyLimiter = createLimiter({
+  windowMinutes: 15,
+  max: 5,
+  keyFields: ['phone', 'pinId', 'userId'],
+  failedOnly: true,
+  message: 'Too many incorrect codes for this phone number, please try again later'
+});
+
+// Sending OTP SMS, per phone number (requests without a phone send no SMS and aren't counted)
+exports.otpSendLimiter = createLimiter({
+  windowMinutes: 60,
+  max: 5,
+  keyFields: ['phone'],
+  requireKey: true,
+  message: 'Too many verification codes requested for this phone number, please try again later'
+});
+
+// Password reset emails, per account
+exports.passwordResetLimiter = createLimiter({
+  windowMinutes: 60,
+  max: 5,
+  keyFields: ['email'],
+  message: 'Too many password reset attempts, please try again later'
+});
+
+// Reset submissions, per reset token
+exports.passwordResetSubmitLimiter = createLimiter({
+  windowMinutes: 60,
+  max: 5,
+  keyGenerator: (req) => `reset:${req.params.token}`,
+  message: 'Too many password reset attempts, please try again later'
+});
+
+// Pickup codes and collection OTPs sent for an order, per order
+exports.pickupCodeSendLimiter = createLimiter({
+  windowMinutes: 60,
+  max: 5,
+  keyGenerator: (req) => `order:${req.params.id}`,
+  message: 'Too many codes sent for this order, please try again later'
+});
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Trail of sensitive admin actions (settings, holds, payouts, order overrides, users, chamas)
+const auditLogSchema = new mongoose.Schema({
+  // Empty for actions taken by the system
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Copied at the time of the action so the entry survives the actor being renamed or deleted
+  actorEmail: {
+    type: String,
+    default: ''
+  },
+  actorRole: {
+    type: String,
+    default: ''
+  },
+  // Dotted action name, e.g. 'payout_settings.update', 'order.status_override'
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['PayoutSettings', 'User', 'Order', 'PayoutRequest', 'Commission', 'ChamaGroup', 'Return'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Human-readable target (order number, email, chama name)
+  targetLabel: {
+    type: String,
+    default: ''
+  },
+  // Fields that changed, as dotted paths
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  reason: {
+    type: String,
+    default: ''
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the admin search filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Populate related data on find queries
+auditLogSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'actor',
+    select: 'name email role adminRole'
+  });
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
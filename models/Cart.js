@@ -6,6 +6,19 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Selected variant for products that have variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  variantOptions: [{
+    _id: false,
+    name: String,
+    value: String
+  }],
   quantity: {
     type: Number,
     required: true,
@@ -48,7 +61,7 @@ cartSchema.pre('save', function(next) {
 cartSchema.pre(/^find/, function(next) {
   this.populate({
     path: 'items.product',
-    select: 'name slug price discount images stock'
+    select: 'name slug price discount images stock variants'
   });
   next();
 });
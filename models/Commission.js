@@ -67,7 +67,25 @@ const commissionSchema = new mongoose.Schema({
   settingsVersion: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'PayoutSettings'
-  }
+  },
+  // Deductions for returned items, taken from this commission while it was still pending.
+  // sourceCommission is set when the clawback belongs to an already-paid commission.
+  clawbacks: [{
+    _id: false,
+    returnId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Return'
+    },
+    sourceCommission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Commission'
+    },
+    amount: Number,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
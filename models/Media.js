@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Documents whose fields can point at uploaded images
+const REFERENCE_MODELS = ['Product', 'Banner', 'Brand', 'Category', 'Order', 'Review', 'Return'];
+
+// One uploaded image and the records that use it
+const mediaSchema = new mongoose.Schema({
+  publicId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Storage driver the file lives in (see services/storageService.js)
+  driver: {
+    type: String,
+    enum: ['cloudinary', 'local'],
+    required: true
+  },
+  folder: {
+    type: String,
+    default: ''
+  },
+  // The user who uploaded it; only they or an admin can delete it
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  size: Number,
+  format: String,
+  references: [{
+    _id: false,
+    model: {
+      type: String,
+      enum: REFERENCE_MODELS,
+      required: true
+    },
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    }
+  }],
+  // When the last reference went away (the upload time if it was never used); cleared while referenced
+  unreferencedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['active', 'deleted'],
+    default: 'active'
+  },
+  deletedAt: Date
+}, {
+  timestamps: true
+});
+
+mediaSchema.index({ url: 1 });
+mediaSchema.index({ 'references.model': 1, 'references.document': 1 });
+// Orphan cleanup
+mediaSchema.index({ status: 1, unreferencedAt: 1 });
+
+mediaSchema.statics.REFERENCE_MODELS = REFERENCE_MODELS;
+
+// Whether a user may delete this file
+mediaSchema.methods.canBeDeletedBy = function(user) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return !!this.uploadedBy && this.uploadedBy.toString() === user._id.toString();
+};
+
+module.exports = mongoose.model('Media', mediaSchema);
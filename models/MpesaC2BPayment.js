@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const mpesaC2BPaymentSchema = new mongoose.Schema({
+  // M-Pesa transaction ID (receipt number) - unique so repeated confirmations are ignored
+  transId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  transactionType: {
+    type: String,
+    default: ''
+  },
+  transTime: {
+    type: String,
+    default: ''
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  businessShortCode: {
+    type: String,
+    default: ''
+  },
+  // Account reference entered by the customer (expected to be the order number)
+  billRefNumber: {
+    type: String,
+    default: ''
+  },
+  msisdn: {
+    type: String,
+    default: ''
+  },
+  payerName: {
+    type: String,
+    default: ''
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // 'suspense' = received but not matched to an order, waiting for admin allocation
+  status: {
+    type: String,
+    enum: ['allocated', 'suspense'],
+    default: 'suspense'
+  },
+  suspenseReason: {
+    type: String,
+    enum: ['', 'unknown_reference', 'order_already_paid', 'underpayment', 'order_cancelled'],
+    default: ''
+  },
+  allocatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  allocatedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for queries
+mpesaC2BPaymentSchema.index({ status: 1, createdAt: -1 });
+mpesaC2BPaymentSchema.index({ orderId: 1 });
+mpesaC2BPaymentSchema.index({ billRefNumber: 1 });
+
+// Instance method to allocate the payment to an order
+// Only a payment still in suspense is taken, in one update, so two admins can't allocate it twice.
+// Resolves to the allocated payment, or null if it had already left suspense.
+mpesaC2BPaymentSchema.methods.allocate = function(orderId, allocatedBy, notes) {
+  const fields = {
+    status: 'allocated',
+    orderId,
+    suspenseReason: '',
+    allocatedAt: new Date()
+  };
+  if (allocatedBy) fields.allocatedBy = allocatedBy;
+  if (notes) fields.notes = notes;
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'suspense' },
+    { $set: fields },
+    { new: true }
+  );
+};
+
+// Put an allocated payment back in suspense when its order could not take it
+// (paid by another payment or cancelled in the meantime)
+mpesaC2BPaymentSchema.methods.returnToSuspense = function(reason, notes) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'allocated' },
+    {
+      $set: { status: 'suspense', suspenseReason: reason, notes: notes || this.notes },
+      $unset: { allocatedAt: 1, allocatedBy: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Populate related data on find queries
+mpesaC2BPaymentSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'orderId',
+    select: 'orderNumber totalPrice isPaid status'
+  }).populate({
+    path: 'allocatedBy',
+    select: 'name email'
+  });
+  next();
+});
+
+module.exports = mongoose.model('MpesaC2BPayment', mpesaC2BPaymentSchema);
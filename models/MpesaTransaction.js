@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+const mpesaTransactionSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Daraja identifiers returned when the STK push is accepted
+  checkoutRequestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  merchantRequestId: {
+    type: String,
+    default: ''
+  },
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Amount must be at least 1']
+  },
+  accountReference: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    // 'flagged' = money received but held for admin review (see PaymentException)
+    enum: ['pending', 'completed', 'failed', 'flagged'],
+    default: 'pending'
+  },
+  // Result reported by Safaricom in the callback
+  resultCode: {
+    type: Number
+  },
+  resultDesc: {
+    type: String,
+    default: ''
+  },
+  mpesaReceiptNumber: {
+    type: String,
+    default: ''
+  },
+  transactionDate: {
+    type: String,
+    default: ''
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  // Raw payloads kept for auditing (password is stripped from the request)
+  requestPayload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  responsePayload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  callbackPayload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  statusHistory: [statusChangeSchema],
+  // After this time a pending transaction is considered timed out
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 5 * 60 * 1000) // 5 minutes
+  },
+  completedAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  },
+  // STK Query checks so far; the worker checks the least recently tried first
+  reconcileAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastReconcileAttemptAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for queries
+mpesaTransactionSchema.index({ orderId: 1, createdAt: -1 });
+mpesaTransactionSchema.index({ userId: 1, createdAt: -1 });
+mpesaTransactionSchema.index({ status: 1, expiresAt: 1 });
+mpesaTransactionSchema.index({ mpesaReceiptNumber: 1 });
+mpesaTransactionSchema.index({ status: 1, lastReconcileAttemptAt: 1, createdAt: 1 });
+
+// Record the initial status when the transaction is first created
+mpesaTransactionSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, note: 'STK push initiated' });
+  }
+  next();
+});
+
+// Virtual to check if a pending transaction has run past its window
+mpesaTransactionSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt && this.expiresAt < new Date();
+});
+
+// Result fields from a callback or STK query that are worth keeping
+const resultFields = (details) => {
+  const fields = {};
+  if (details.mpesaReceiptNumber) fields.mpesaReceiptNumber = details.mpesaReceiptNumber;
+  if (details.transactionDate) fields.transactionDate = String(details.transactionDate);
+  if (details.resultCode !== undefined) fields.resultCode = details.resultCode;
+  if (details.resultDesc) fields.resultDesc = details.resultDesc;
+  if (details.merchantRequestId) fields.merchantRequestId = details.merchantRequestId;
+  if (details.callbackPayload) fields.callbackPayload = details.callbackPayload;
+  return fields;
+};
+
+// Move the transaction to a new status only if it is still in one of fromStatuses.
+// The check and the write are a single update, so when duplicate callbacks, reconciliation
+// and an admin race for the same transaction exactly one of them wins.
+// Resolves to the updated transaction, or null if someone else got there first.
+mpesaTransactionSchema.methods.transition = function(status, fromStatuses, fields, note) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: fromStatuses } },
+    {
+      $set: { ...fields, status },
+      $push: { statusHistory: { status, note: note || '' } }
+    },
+    { new: true }
+  );
+};
+
+// Instance method to mark the payment as completed
+mpesaTransactionSchema.methods.markCompleted = function(details = {}, fromStatuses = ['pending']) {
+  return this.transition('completed', fromStatuses, {
+    ...resultFields(details),
+    completedAt: new Date()
+  }, details.note || details.resultDesc);
+};
+
+// Instance method to mark the payment as failed
+mpesaTransactionSchema.methods.markFailed = function(reason, details = {}, fromStatuses = ['pending']) {
+  return this.transition('failed', fromStatuses, {
+    ...resultFields(details),
+    failedAt: new Date(),
+    failureReason: reason || ''
+  }, reason);
+};
+
+// Instance method to hold a received payment for admin review
+mpesaTransactionSchema.methods.markFlagged = function(reason, details = {}, fromStatuses = ['pending']) {
+  return this.transition('flagged', fromStatuses, resultFields(details), reason);
+};
+
+module.exports = mongoose.model('MpesaTransaction', mpesaTransactionSchema);
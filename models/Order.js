@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ORDER_STATUSES, getTransitionError, getAllowedTransitions } = require('../config/orderStatus');
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -10,6 +11,19 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Variant bought, for products that have variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  variantOptions: [{
+    _id: false,
+    name: String,
+    value: String
+  }],
   quantity: {
     type: Number,
     required: true,
@@ -91,6 +105,10 @@ const orderSchema = new mongoose.Schema({
   paidAt: {
     type: Date
   },
+  // Unpaid M-Pesa orders hold their stock only until this time, then auto-cancel
+  reservationExpiresAt: {
+    type: Date
+  },
   isDelivered: {
     type: Boolean,
     required: true,
@@ -99,6 +117,11 @@ const orderSchema = new mongoose.Schema({
   deliveredAt: {
     type: Date
   },
+  // Touched by every return request so concurrent requests for the order can't both
+  // claim the same items (see returnService.createReturn)
+  lastReturnRequestedAt: {
+    type: Date
+  },
   // NEW: When order arrived at pickup station
   arrivedAtStationAt: {
     type: Date
@@ -112,13 +135,117 @@ const orderSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // One-time code the customer shows at the pickup station (see services/pickupCodeService.js)
+  pickupCode: {
+    code: {
+      type: String,
+      select: false
+    },
+    issuedAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // Fallback when the customer can't find the code: an OTP sent to their phone at the counter
+    otp: {
+      type: String,
+      select: false
+    },
+    otpExpiresAt: Date,
+    otpAttempts: {
+      type: Number,
+      default: 0
+    },
+    collectedAt: Date,
+    collectedWith: {
+      type: String,
+      enum: ['code', 'otp', 'admin_override']
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   // UPDATED: Include new arrived_at_station status
+  // Change through transitionTo() so the move is checked and recorded (config/orderStatus.js)
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'processing', 'shipped', 'arrived_at_station', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
+  // Every status the order has been through, oldest first
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true
+    },
+    from: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'agent', 'user', 'system']
+    },
+    note: {
+      type: String,
+      default: ''
+    },
+    // Delivery photo or other evidence for the change
+    proofUrl: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Item changes made after the order was placed (see services/orderEditService.js)
+  editHistory: [{
+    _id: false,
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'agent', 'user']
+    },
+    items: [{
+      _id: false,
+      orderItem: mongoose.Schema.Types.ObjectId,
+      name: String,
+      fromQuantity: Number,
+      toQuantity: Number
+    }],
+    itemsPrice: { from: Number, to: Number },
+    taxPrice: { from: Number, to: Number },
+    chamaAmountRedeemed: { from: Number, to: Number },
+    storeCreditApplied: { from: Number, to: Number },
+    totalPrice: { from: Number, to: Number },
+    // Paid for items no longer on the order; added to the customer's store credit
+    refundDue: {
+      type: Number,
+      default: 0
+    },
+    note: {
+      type: String,
+      default: ''
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    default: ''
+  },
   trackingNumber: {
     type: String,
     default: ''
@@ -165,6 +292,16 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // VAT the order was priced with at checkout; edits keep using it
+  vat: {
+    rate: Number,
+    inclusive: Boolean
+  },
+  // Store credit spent on the order (already taken off totalPrice)
+  storeCreditApplied: {
+    type: Number,
+    default: 0
+  },
   // NEW: Customer info for agent-created orders
   customerInfo: {
     name: {
@@ -188,15 +325,76 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for finding unpaid orders whose stock hold has expired
+orderSchema.index({ status: 1, isPaid: 1, reservationExpiresAt: 1 });
+
 // Generate order number before saving
 orderSchema.pre('save', function(next) {
   if (!this.orderNumber) {
     const prefix = this.createdBy === 'agent' ? 'AGT' : 'ORD';
     this.orderNumber = `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
   }
+  // The history starts with the status the order was placed in
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.agentId || this.user,
+      role: this.createdBy === 'agent' ? 'agent' : 'user',
+      note: 'Order placed'
+    });
+  }
   next();
 });
 
+/**
+ * Build a status history entry
+ * @param {String} from - Previous status
+ * @param {String} to - New status
+ * @param {Object} options - { user, note, proofUrl } (no user means a system change)
+ * @returns {Object} statusHistory entry
+ */
+orderSchema.statics.statusHistoryEntry = function(from, to, { user, note, proofUrl } = {}) {
+  return {
+    status: to,
+    from,
+    changedBy: user ? user._id : undefined,
+    role: user ? user.role : 'system',
+    note: note || '',
+    proofUrl: proofUrl || undefined,
+    changedAt: new Date()
+  };
+};
+
+// Why this order can't move to a status for the given user (null if it can)
+orderSchema.methods.getTransitionError = function(to, user = null) {
+  return getTransitionError(this, to, user ? user.role : 'system');
+};
+
+// Statuses the given user could move this order to next
+orderSchema.methods.getAllowedTransitions = function(user = null) {
+  return getAllowedTransitions(this, user ? user.role : 'system');
+};
+
+/**
+ * Move the order to a new status, recording who did it
+ * Throws if the transition table doesn't allow it; the caller saves the order.
+ * @param {String} to - New status
+ * @param {Object} options - { user, note, proofUrl } (no user means a system change)
+ */
+orderSchema.methods.transitionTo = function(to, { user = null, note = '', proofUrl } = {}) {
+  const error = this.getTransitionError(to, user);
+  if (error) {
+    throw new Error(error);
+  }
+
+  this.statusHistory.push(this.constructor.statusHistoryEntry(this.status, to, { user, note, proofUrl }));
+  this.status = to;
+  if (to === 'cancelled' && !this.cancelledAt) {
+    this.cancelledAt = new Date();
+  }
+  return this;
+};
+
 // Populate user and pickup station details
 orderSchema.pre(/^find/, function(next) {
   this.populate({
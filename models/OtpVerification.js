@@ -28,6 +28,11 @@ const otpVerificationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set by the server when Termii confirms the PIN sent for this phone; completing
+  // registration or Google phone verification requires it
+  termiiPinId: String,
+  phoneVerifiedAt: Date,
+  verifiedMsisdn: String,
   // New fields for handling reactivation
   isReactivation: {
     type: Boolean,
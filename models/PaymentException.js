@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const paymentExceptionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'unknown_checkout_request',
+      'underpayment',
+      'overpayment',
+      'phone_mismatch',
+      'duplicate_payment',
+      'paid_after_cancellation',
+      'invalid_callback'
+    ],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['stk_callback', 'stk_query'],
+    default: 'stk_callback'
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MpesaTransaction'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  checkoutRequestId: {
+    type: String,
+    default: ''
+  },
+  mpesaReceiptNumber: {
+    type: String,
+    default: ''
+  },
+  expectedAmount: {
+    type: Number
+  },
+  paidAmount: {
+    type: Number
+  },
+  expectedPhone: {
+    type: String,
+    default: ''
+  },
+  paidPhone: {
+    type: String,
+    default: ''
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Raw payload that triggered the exception
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolutionNotes: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for the admin review queue
+paymentExceptionSchema.index({ status: 1, createdAt: -1 });
+paymentExceptionSchema.index({ type: 1, status: 1 });
+paymentExceptionSchema.index({ orderId: 1 });
+paymentExceptionSchema.index({ checkoutRequestId: 1 });
+
+// Instance method to close the exception
+paymentExceptionSchema.methods.resolve = function(status, resolvedBy, notes) {
+  this.status = status;
+  this.resolvedBy = resolvedBy;
+  this.resolvedAt = new Date();
+  if (notes) this.resolutionNotes = notes;
+  return this.save();
+};
+
+// Populate related data on find queries
+paymentExceptionSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'orderId',
+    select: 'orderNumber totalPrice isPaid status'
+  }).populate({
+    path: 'resolvedBy',
+    select: 'name email'
+  });
+  next();
+});
+
+module.exports = mongoose.model('PaymentException', paymentExceptionSchema);
@@ -43,11 +43,56 @@ const payoutRequestSchema = new mongoose.Schema({
   rejectionReason: {
     type: String
   },
+  // Sign-offs collected before approval; large payouts need two distinct approvers
+  // when PayoutSettings.requireManagerApproval is on
+  requiredApprovals: {
+    type: Number,
+    default: 1
+  },
+  approvals: [{
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String
+  }],
   // Commission IDs that were paid out with this request
   commissionIds: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Commission'
   }],
+  // M-Pesa B2C disbursement tracking (only used for method 'mpesa')
+  disbursement: {
+    status: {
+      type: String,
+      // needs_check: M-Pesa may have sent the money (timeout or no response); an admin must
+      // confirm the outcome before the payout can be sent again
+      enum: ['not_started', 'initiated', 'completed', 'failed', 'timeout', 'needs_check'],
+      default: 'not_started'
+    },
+    conversationId: String,
+    originatorConversationId: String,
+    transactionId: String, // M-Pesa receipt for the B2C payment
+    amountSent: Number,
+    receiverName: String,
+    resultCode: Number,
+    resultDesc: String,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    initiatedAt: Date,
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedAt: Date,
+    resultPayload: mongoose.Schema.Types.Mixed
+  },
   // Enhanced metadata for auto-approval tracking
   metadata: {
     settingsVersion: String,
@@ -76,6 +121,8 @@ payoutRequestSchema.index({ agentId: 1, createdAt: -1 });
 payoutRequestSchema.index({ status: 1, createdAt: -1 });
 payoutRequestSchema.index({ 'metadata.autoApproved': 1 });
 payoutRequestSchema.index({ 'metadata.autoPaid': 1 });
+payoutRequestSchema.index({ 'disbursement.conversationId': 1 });
+payoutRequestSchema.index({ 'disbursement.originatorConversationId': 1 });
 
 // Virtual for formatted amount
 payoutRequestSchema.virtual('formattedAmount').get(function() {
@@ -136,6 +183,48 @@ payoutRequestSchema.methods.approve = function(processedBy) {
   return this.save();
 };
 
+// Static method to record one approver's sign-off on a pending payout. Once enough
+// distinct approvers have signed off the payout moves to 'approved'. Both steps are
+// conditional updates so concurrent approvals can't double-approve or double-count.
+// Returns { payoutRequest, approved } with the refreshed document.
+payoutRequestSchema.statics.recordApproval = async function(payoutId, approverId, requiredApprovals, notes) {
+  const signedOff = await this.findOneAndUpdate(
+    { _id: payoutId, status: 'pending', 'approvals.approvedBy': { $ne: approverId } },
+    {
+      $push: { approvals: { approvedBy: approverId, approvedAt: new Date(), notes } },
+      $set: { requiredApprovals }
+    },
+    { new: true }
+  );
+
+  if (!signedOff) {
+    const current = await this.findById(payoutId);
+    if (current && current.status === 'pending') {
+      throw new Error('You have already approved this payout. A different approver must give the next approval.');
+    }
+    throw new Error('Only pending payout requests can be approved');
+  }
+
+  if (signedOff.approvals.length < requiredApprovals) {
+    return { payoutRequest: signedOff, approved: false };
+  }
+
+  const approved = await this.findOneAndUpdate(
+    { _id: payoutId, status: 'pending' },
+    {
+      $set: {
+        status: 'approved',
+        processedAt: new Date(),
+        processedBy: approverId,
+        notes: signedOff.notes ? `${signedOff.notes}; Manually approved` : 'Manually approved by admin'
+      }
+    },
+    { new: true }
+  );
+
+  return { payoutRequest: approved || await this.findById(payoutId), approved: !!approved };
+};
+
 // Instance method to mark as paid (existing method, enhanced)
 payoutRequestSchema.methods.markAsPaid = function(processedBy) {
   this.status = 'paid';
@@ -145,6 +234,20 @@ payoutRequestSchema.methods.markAsPaid = function(processedBy) {
   return this.save();
 };
 
+// Instance method to record an accepted B2C request
+payoutRequestSchema.methods.markDisbursementInitiated = function(b2cResponse, initiatedBy, amountSent) {
+  this.disbursement.status = 'initiated';
+  this.disbursement.conversationId = b2cResponse.ConversationID;
+  this.disbursement.originatorConversationId = b2cResponse.OriginatorConversationID;
+  this.disbursement.amountSent = amountSent;
+  this.disbursement.attempts = (this.disbursement.attempts || 0) + 1;
+  this.disbursement.initiatedAt = new Date();
+  this.disbursement.initiatedBy = initiatedBy;
+  this.disbursement.resultCode = undefined;
+  this.disbursement.resultDesc = undefined;
+  return this.save();
+};
+
 // Instance method to reject payout
 payoutRequestSchema.methods.reject = function(reason, processedBy) {
   this.status = 'rejected';
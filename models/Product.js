@@ -1,5 +1,47 @@
 const mongoose = require('mongoose');
 
+// A purchasable combination of option values (e.g. Colour: Black, Storage: 128GB)
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Please add a SKU for each variant'],
+    trim: true,
+    uppercase: true
+  },
+  options: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }],
+  // Falls back to the product price when not set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  originalPrice: {
+    type: Number,
+    min: [0, 'Original price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  images: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -50,6 +92,12 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Please add stock quantity'],
     min: [0, 'Stock cannot be negative']
   },
+  // Stock at or below this level (per variant for variant products) is reported as low
+  reorderLevel: {
+    type: Number,
+    default: 10,
+    min: [0, 'Reorder level cannot be negative']
+  },
   tags: [{
     type: String,
     trim: true
@@ -64,6 +112,34 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Visible reviews broken down for the storefront histogram; kept up to date by Review.updateProductRating
+  ratingSummary: {
+    breakdown: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 }
+    },
+    verifiedCount: {
+      type: Number,
+      default: 0
+    },
+    // Share of reviews from verified purchases, 0-100
+    verifiedPercentage: {
+      type: Number,
+      default: 0
+    },
+    verifiedAverage: {
+      type: Number,
+      default: 0
+    },
+    withPhotosCount: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: Date
+  },
   isFlashDeal: {
     type: Boolean,
     default: false
@@ -96,6 +172,20 @@ const productSchema = new mongoose.Schema({
   }
 }],
   features: [String],
+  // Option definitions for variants, e.g. [{ name: 'Colour', values: ['Black', 'Blue'] }]
+  variantOptions: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  variants: [variantSchema],
   status: {
     type: String,
     enum: ['active', 'inactive'],
@@ -114,6 +204,97 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// SKUs must be unique across all products
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Check variants against the option definitions; returns an error message or null
+productSchema.statics.validateVariants = function(variantOptions = [], variants = []) {
+  if (variants.length === 0) {
+    return null;
+  }
+
+  if (variantOptions.length === 0) {
+    return 'Variant options must be defined before adding variants';
+  }
+
+  const seenSkus = new Set();
+  const seenCombinations = new Set();
+
+  for (const variant of variants) {
+    const sku = (variant.sku || '').trim().toUpperCase();
+    if (seenSkus.has(sku)) {
+      return `Duplicate SKU: ${sku}`;
+    }
+    seenSkus.add(sku);
+
+    const options = variant.options || [];
+    if (options.length !== variantOptions.length) {
+      return `Variant ${sku} must have a value for each option: ${variantOptions.map(option => option.name).join(', ')}`;
+    }
+
+    for (const definition of variantOptions) {
+      const selected = options.find(option => option.name === definition.name);
+      if (!selected || !definition.values.includes(selected.value)) {
+        return `Variant ${sku} has an invalid value for ${definition.name}`;
+      }
+    }
+
+    const combination = variantOptions
+      .map(definition => options.find(option => option.name === definition.name).value)
+      .join('|');
+    if (seenCombinations.has(combination)) {
+      return `More than one variant has the options ${combination.split('|').join(' / ')}`;
+    }
+    seenCombinations.add(combination);
+  }
+
+  return null;
+};
+
+// Total stock across variants (product-level stock mirrors this for variant products)
+productSchema.statics.sumVariantStock = function(variants = []) {
+  return variants.reduce((total, variant) => total + (Number(variant.stock) || 0), 0);
+};
+
+productSchema.pre('validate', function(next) {
+  if (this.variants && this.variants.length > 0) {
+    const error = this.constructor.validateVariants(this.variantOptions, this.variants);
+    if (error) {
+      return next(new Error(error));
+    }
+    this.stock = this.constructor.sumVariantStock(this.variants);
+  }
+  next();
+});
+
+// Find a variant by its ID or SKU
+productSchema.methods.findVariant = function(variantIdOrSku) {
+  if (!variantIdOrSku || !this.variants) {
+    return null;
+  }
+  const key = String(variantIdOrSku);
+  return this.variants.find(variant =>
+    variant._id.toString() === key || variant.sku === key.toUpperCase()
+  ) || null;
+};
+
+// Discount in force right now; a flash deal's discount stops applying once the deal has ended
+productSchema.methods.getActiveDiscount = function(now = new Date()) {
+  if (this.isFlashDeal && this.flashEndsAt && this.flashEndsAt <= now) {
+    return 0;
+  }
+  return this.discount || 0;
+};
+
+// Price the customer pays for a variant (or the product itself) after discount
+productSchema.methods.getSellingPrice = function(variant = null) {
+  const price = variant && variant.price !== undefined && variant.price !== null ? variant.price : this.price;
+  return price * (1 - this.getActiveDiscount() / 100);
+};
+
 // Create slug from name before saving
 productSchema.pre('save', function(next) {
   if (!this.isModified('name')) {
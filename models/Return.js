@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'missing_parts', 'changed_mind', 'other'];
+
+// requested -> approved -> received -> refunded, or requested -> rejected;
+// the customer can cancel until the items have been received
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded', 'cancelled'];
+
+const REFUND_METHODS = ['mpesa_b2c', 'mpesa_reversal', 'store_credit'];
+
+const returnItemSchema = new mongoose.Schema({
+  // The order line being returned (an orderItems subdocument _id)
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Unit price paid on the order
+  price: {
+    type: Number,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: [500, 'Return details cannot be more than 500 characters'],
+    default: ''
+  },
+  // Filled in by the agent when the item is handed back at the station
+  condition: {
+    type: String,
+    enum: ['resellable', 'damaged', 'missing']
+  },
+  // How many went back into stock (only resellable items are restocked)
+  restockedQuantity: {
+    type: Number,
+    default: 0
+  }
+});
+
+const returnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A return must include at least one item'
+    }
+  },
+  // Photos of the items, e.g. showing the damage
+  images: {
+    type: [{
+      _id: false,
+      url: { type: String, required: true },
+      publicId: String
+    }],
+    validate: {
+      validator: images => images.length <= 5,
+      message: 'A return can have at most 5 photos'
+    }
+  },
+  customerNotes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters'],
+    default: ''
+  },
+  // Station the customer brings the items back to
+  pickupStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupStation',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'requested'
+  },
+  // Value of the returned items; the refund defaults to this
+  refundableAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  adminNotes: {
+    type: String,
+    default: ''
+  },
+
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  receivedNotes: {
+    type: String,
+    default: ''
+  },
+
+  refund: {
+    method: {
+      type: String,
+      enum: REFUND_METHODS
+    },
+    amount: Number,
+    status: {
+      type: String,
+      // needs_check: a B2C refund M-Pesa may have sent (timeout or no response); an admin
+      // confirms the outcome before it can be refunded again
+      enum: ['not_started', 'processing', 'completed', 'failed', 'needs_check'],
+      default: 'not_started'
+    },
+    // M-Pesa receipt (B2C or reversal) or a note of the store credit
+    reference: String,
+    phoneNumber: String,
+    conversationId: String,
+    originatorConversationId: String,
+    resultDesc: String,
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    initiatedAt: Date,
+    completedAt: Date
+  },
+
+  // Agent commission taken back for the returned value
+  commissionClawbacks: [{
+    _id: false,
+    commission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Commission'
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amount: Number,
+    // Taken from pending commissions (this one, or the agent's others if it was already paid)
+    deducted: Number,
+    // Still owed by the agent because there was nothing pending to deduct it from
+    outstanding: Number
+  }],
+
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: RETURN_STATUSES
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+returnSchema.index({ user: 1, createdAt: -1 });
+returnSchema.index({ order: 1 });
+returnSchema.index({ status: 1, createdAt: -1 });
+returnSchema.index({ pickupStation: 1, status: 1 });
+returnSchema.index({ 'refund.conversationId': 1 });
+returnSchema.index({ 'refund.originatorConversationId': 1 });
+
+returnSchema.statics.RETURN_REASONS = RETURN_REASONS;
+returnSchema.statics.RETURN_STATUSES = RETURN_STATUSES;
+returnSchema.statics.REFUND_METHODS = REFUND_METHODS;
+
+// Returns that still count against the order's quantities
+returnSchema.statics.ACTIVE_STATUSES = ['requested', 'approved', 'received', 'refunded'];
+
+returnSchema.pre('save', function(next) {
+  if (!this.returnNumber) {
+    this.returnNumber = `RMA-${Date.now()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.user });
+  }
+  next();
+});
+
+// Move to a new status and record who did it
+returnSchema.methods.setStatus = function(status, user, note = '') {
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    changedBy: user ? user._id : undefined,
+    note
+  });
+};
+
+// Populate related data on find queries
+returnSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'order',
+    select: 'orderNumber totalPrice status deliveredAt deliveryMethod paymentMethod'
+  }).populate({
+    path: 'user',
+    select: 'name email phone'
+  }).populate({
+    path: 'pickupStation',
+    select: 'name address city'
+  });
+  next();
+});
+
+module.exports = mongoose.model('Return', returnSchema);
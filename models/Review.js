@@ -1,5 +1,33 @@
 const mongoose = require('mongoose');
 
+const REPORT_REASONS = ['spam', 'offensive', 'fake', 'irrelevant', 'personal_info', 'other'];
+
+// Reply from the shop under a customer's review
+const replySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shown as the reply author (e.g. "CessPlug Support") rather than the staff member's own name
+  name: {
+    type: String,
+    required: true
+  },
+  authorRole: {
+    type: String,
+    enum: ['admin', 'seller'],
+    default: 'admin'
+  },
+  comment: {
+    type: String,
+    required: true,
+    maxlength: [1000, 'Reply cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
 const reviewSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -34,10 +62,44 @@ const reviewSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Photos uploaded through Cloudinary
+  images: {
+    type: [{
+      _id: false,
+      url: {
+        type: String,
+        required: true
+      },
+      publicId: String
+    }],
+    validate: [images => images.length <= 5, 'A review can have at most 5 photos']
+  },
+  // Vote counts, kept in step with the votes array
   helpful: {
     type: Number,
     default: 0
   },
+  notHelpful: {
+    type: Number,
+    default: 0
+  },
+  // One vote per user; not returned by default
+  votes: {
+    type: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      helpful: Boolean,
+      votedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  replies: [replySchema],
   visible: {
     type: Boolean,
     default: true
@@ -45,6 +107,59 @@ const reviewSchema = new mongoose.Schema({
   flagged: {
     type: Boolean,
     default: false
+  },
+  // Screening outcome: pending reviews are held back from the storefront until an admin decides
+  moderationStatus: {
+    type: String,
+    enum: ['approved', 'pending', 'rejected'],
+    default: 'approved'
+  },
+  // Why screening or customer reports sent the review to the moderation queue
+  moderationFlags: [{
+    _id: false,
+    reason: {
+      type: String,
+      enum: ['blocklist', 'contact_info', 'link', 'duplicate', 'burst', 'reported']
+    },
+    detail: String
+  }],
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNotes: String,
+  // Customer reports; one per user
+  reports: {
+    type: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        enum: REPORT_REASONS
+      },
+      details: {
+        type: String,
+        maxlength: [500, 'Report details cannot be more than 500 characters']
+      },
+      reportedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  // Hash of the normalised comment, for spotting the same text posted from several accounts
+  contentHash: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: true
@@ -52,6 +167,22 @@ const reviewSchema = new mongoose.Schema({
 
 // Ensure one review per user per product
 reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+// Product review listing sorts
+reviewSchema.index({ product: 1, visible: 1, createdAt: -1 });
+reviewSchema.index({ product: 1, visible: 1, helpful: -1 });
+// Moderation queue, duplicate and burst checks
+reviewSchema.index({ moderationStatus: 1, createdAt: -1 });
+reviewSchema.index({ contentHash: 1 });
+reviewSchema.index({ user: 1, createdAt: -1 });
+
+// Reviews customers can see (and that count towards the product rating).
+// Reviews written before moderation existed have no status and count as approved.
+reviewSchema.statics.PUBLIC_FILTER = {
+  visible: { $ne: false },
+  moderationStatus: { $nin: ['pending', 'rejected'] }
+};
+
+reviewSchema.statics.REPORT_REASONS = REPORT_REASONS;
 
 // Populate user details
 reviewSchema.pre(/^find/, function(next) {
@@ -65,4 +196,64 @@ reviewSchema.pre(/^find/, function(next) {
   next();
 });
 
+// Recalculate a product's rating, review count and rating summary from its visible reviews
+reviewSchema.statics.updateProductRating = async function(productId) {
+  const Product = require('./Product');
+
+  const groups = await this.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(String(productId)),
+        ...this.PUBLIC_FILTER
+      }
+    },
+    {
+      $group: {
+        _id: { rating: '$rating', verified: '$verified' },
+        count: { $sum: 1 },
+        withPhotos: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$images', []] } }, 0] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let ratingSum = 0;
+  let verifiedCount = 0;
+  let verifiedSum = 0;
+  let withPhotosCount = 0;
+
+  groups.forEach(group => {
+    const { rating, verified } = group._id;
+    breakdown[rating] = (breakdown[rating] || 0) + group.count;
+    total += group.count;
+    ratingSum += rating * group.count;
+    withPhotosCount += group.withPhotos;
+    if (verified) {
+      verifiedCount += group.count;
+      verifiedSum += rating * group.count;
+    }
+  });
+
+  const roundRating = (value) => Math.round(value * 10) / 10;
+  const rating = total > 0 ? roundRating(ratingSum / total) : 0;
+
+  const ratingSummary = {
+    breakdown,
+    verifiedCount,
+    verifiedPercentage: total > 0 ? Math.round((verifiedCount / total) * 100) : 0,
+    verifiedAverage: verifiedCount > 0 ? roundRating(verifiedSum / verifiedCount) : 0,
+    withPhotosCount,
+    updatedAt: new Date()
+  };
+
+  await Product.findByIdAndUpdate(productId, {
+    rating,
+    numReviews: total,
+    ratingSummary
+  });
+
+  return { rating, numReviews: total, ratingSummary };
+};
+
 module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
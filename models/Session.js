@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token rotates on every use; only its hash is stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Hash of the token this one replaced - presenting it again means the token was stolen
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for lookups and cleanup
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Expired sessions are removed automatically a week after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Virtual to check if the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason || '';
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
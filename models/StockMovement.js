@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set when the movement was against a specific variant
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'cancellation', 'manual_adjustment', 'return', 'restock', 'order_edit'],
+    required: true
+  },
+  // Signed change: negative takes stock out, positive puts it back
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Stock on hand (variant stock for variant movements) after the change
+  balanceAfter: {
+    type: Number
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Empty for system changes (e.g. expired stock holds)
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for stock history queries
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+// Populate related data on find queries
+stockMovementSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'order',
+    select: 'orderNumber status'
+  }).populate({
+    path: 'performedBy',
+    select: 'name email role'
+  });
+  next();
+});
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
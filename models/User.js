@@ -3,6 +3,8 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const totpService = require('../services/totpService');
+const { ADMIN_ROLES, getPermissionsForUser, hasPermission } = require('../config/permissions');
 
 const addressSchema = new mongoose.Schema({
   type: {
@@ -73,6 +75,11 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'agent', 'admin'],
     default: 'user'
   },
+  // What kind of admin staff member this is (see config/permissions.js); admins without one have no permissions
+  adminRole: {
+    type: String,
+    enum: ADMIN_ROLES
+  },
   phone: {
     type: String,
     trim: true
@@ -269,6 +276,27 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Secret generated at setup, moved to twoFactorSecret once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last TOTP time step accepted, so a code can't be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [{
+      _id: false,
+      codeHash: String,
+      usedAt: Date
+    }],
+    select: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
   
   // Login tracking
   lastLogin: {
@@ -282,6 +310,13 @@ const userSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Balance from refunds issued as store credit (see services/returnService.js)
+  storeCredit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Store credit cannot be negative']
+  },
+
   // NEW: Chama (group-based rotating purchase) fields
   chamaGroups: [{
     chamaGroupId: {
@@ -357,7 +392,7 @@ userSchema.virtual('payoutEligible').get(function() {
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -387,21 +422,40 @@ userSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to sign JWT and return
-userSchema.methods.getSignedJwtToken = function() {
+// Instance methods to check admin staff permissions
+userSchema.methods.getPermissions = function() {
+  return getPermissionsForUser(this);
+};
+
+userSchema.methods.hasPermission = function(permission) {
+  return hasPermission(this, permission);
+};
+
+// Instance method to sign a short-lived access token for a session
+userSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id,
       role: this.role,
-      email: this.email
+      email: this.email,
+      sid: sessionId
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '30d'
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
     }
   );
 };
 
+// Instance method to sign a short-lived token for the second (2FA) login step
+userSchema.methods.getTwoFactorChallengeToken = function() {
+  return jwt.sign(
+    { id: this._id, purpose: '2fa_login' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
 // Instance method to match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -424,6 +478,59 @@ userSchema.methods.getResetPasswordToken = function() {
   return resetToken;
 };
 
+// Instance method to check a TOTP or recovery code
+// Needs +twoFactorSecret selected. A code is used up in the same update that checks it hasn't
+// been used, so two requests sending the same code at once can't both pass.
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret || !code) {
+    return { valid: false };
+  }
+
+  const step = totpService.verifyToken(this.twoFactorSecret, code);
+  if (step !== null) {
+    const used = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { twoFactorLastUsedStep: { $lt: step } },
+          { twoFactorLastUsedStep: { $exists: false } }
+        ]
+      },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    if (used.modifiedCount === 0) {
+      return { valid: false, reason: 'This code has already been used' };
+    }
+    this.twoFactorLastUsedStep = step;
+    return { valid: true, method: 'totp' };
+  }
+
+  // Fall back to a single-use recovery code
+  const codeHash = totpService.hashRecoveryCode(code);
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, twoFactorRecoveryCodes: { $elemMatch: { codeHash, usedAt: null } } },
+    { $set: { 'twoFactorRecoveryCodes.$.usedAt': new Date() } },
+    { new: true, projection: { twoFactorRecoveryCodes: 1 } }
+  );
+  if (updated) {
+    this.twoFactorRecoveryCodes = updated.twoFactorRecoveryCodes;
+    return {
+      valid: true,
+      method: 'recovery_code',
+      recoveryCodesRemaining: updated.twoFactorRecoveryCodes.filter(entry => !entry.usedAt).length
+    };
+  }
+
+  return { valid: false };
+};
+
+// Instance method to replace recovery codes; returns the plain codes to show once
+userSchema.methods.generateTwoFactorRecoveryCodes = function() {
+  const codes = totpService.generateRecoveryCodes();
+  this.twoFactorRecoveryCodes = codes.map(code => ({ codeHash: totpService.hashRecoveryCode(code) }));
+  return codes;
+};
+
 // NEW: Instance method to check if agent can request payout
 userSchema.methods.canRequestPayout = function() {
   if (this.role !== 'agent') {
@@ -630,6 +737,16 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// Instance method to lift a lockout without counting it as a login (admin unlock)
+userSchema.methods.unlockAccount = function() {
+  return this.updateOne({
+    $unset: {
+      loginAttempts: 1,
+      lockUntil: 1
+    }
+  });
+};
+
 // Static method to find agents by pickup station
 userSchema.statics.findAgentsByStation = function(stationId) {
   return this.find({
@@ -8,11 +8,12 @@ const {
   flagReview,
   deleteReview
 } = require('../controllers/reviewController');
-const { protect, admin } = require('../middleware/auth');
+const { protect, admin, requirePermission } = require('../middleware/auth');
 
 // Apply middleware
 router.use(protect);
 router.use(admin);
+router.use(requirePermission('reviews.moderate'));
 
 // Define routes
 router.get('/', getAllReviews);
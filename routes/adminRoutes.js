@@ -4,8 +4,16 @@ const {
   getAllUsers,
   getUserById,
   updateUser,
+  unlockUser,
+  getAdminPermissions,
+  setAdminRole,
+  getAuditLogs,
+  exportAuditLogs,
   deleteUser,
   getAllProductsAdmin,
+  getStockHistory,
+  adjustProductStock,
+  getLowStockReport,
   updateOrderStatus
 } = require('../controllers/adminController');
 const {
@@ -40,50 +48,65 @@ const {
   markContributionPaid,
   rotateToNextTurn
 } = require('../controllers/chamaController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission, requireTwoFactor } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Apply admin middleware to all routes
+// Apply admin middleware to all routes; each route then checks the staff member's permissions
 router.use(protect);
 router.use(authorize('admin'));
 
 // Dashboard stats
-router.get('/stats', getDashboardStats);
+router.get('/stats', requirePermission('dashboard.view'), getDashboardStats);
+
+// Admin roles and permissions
+router.get('/permissions', getAdminPermissions);
+router.put('/users/:id/admin-role', requirePermission('staff.manage'), requireTwoFactor, setAdminRole);
+
+// Audit log
+router.get('/audit-logs', requirePermission('audit.view'), getAuditLogs);
+router.get('/audit-logs/export', requirePermission('audit.view'), exportAuditLogs);
 
 // User management
-router.get('/users', getAllUsers);
-router.get('/users/:id', getUserById);
-router.put('/users/:id', updateUser);
-router.delete('/users/:id', deleteUser);
+router.get('/users', requirePermission('users.view'), getAllUsers);
+router.get('/users/:id', requirePermission('users.view'), getUserById);
+router.put('/users/:id', requirePermission('users.manage'), requireTwoFactor, updateUser);
+router.put('/users/:id/unlock', requirePermission('users.manage'), unlockUser);
+router.delete('/users/:id', requirePermission('users.manage'), requireTwoFactor, deleteUser);
 
 // Product management (admin view)
-router.get('/products', getAllProductsAdmin);
+router.get('/products', requirePermission('catalogue.manage'), getAllProductsAdmin);
+router.get('/products/:id/stock-history', requirePermission('catalogue.manage'), getStockHistory);
+router.post('/products/:id/stock', requirePermission('catalogue.manage'), adjustProductStock);
+
+// Inventory
+router.get('/inventory/low-stock', requirePermission('catalogue.manage'), getLowStockReport);
 
 // Order management
-router.put('/orders/:id/status', updateOrderStatus);
+router.put('/orders/:id/status', requirePermission('orders.manage'), updateOrderStatus);
 
 // Banner management
-router.get('/banners', getAllBannersAdmin);
-router.post('/banners', createBanner);
-router.put('/banners/:id', updateBanner);
-router.delete('/banners/:id', deleteBanner);
-router.get('/banners/:id', getBannerById);
+router.get('/banners', requirePermission('catalogue.manage'), getAllBannersAdmin);
+router.post('/banners', requirePermission('catalogue.manage'), createBanner);
+router.put('/banners/:id', requirePermission('catalogue.manage'), updateBanner);
+router.delete('/banners/:id', requirePermission('catalogue.manage'), deleteBanner);
+router.get('/banners/:id', requirePermission('catalogue.manage'), getBannerById);
 
 // Agent management
-router.get('/agents', getAllAgents);
-router.get('/agents/:id', getAgentById);
-router.post('/agents', createAgent);
-router.post('/agents/with-station', createAgentWithStation);
-router.put('/agents/:id', updateAgent);
-router.put('/agents/:id/with-station', updateAgentWithStation);
-router.delete('/agents/:id', deleteAgent);
+router.get('/agents', requirePermission('agents.view'), getAllAgents);
+router.get('/agents/:id', requirePermission('agents.view'), getAgentById);
+router.post('/agents', requirePermission('agents.manage'), createAgent);
+router.post('/agents/with-station', requirePermission('agents.manage'), createAgentWithStation);
+router.put('/agents/:id', requirePermission('agents.manage'), updateAgent);
+router.put('/agents/:id/with-station', requirePermission('agents.manage'), updateAgentWithStation);
+router.delete('/agents/:id', requirePermission('agents.manage'), deleteAgent);
 
 // NEW: Agent statistics and orders routes
-router.get('/agents/:id/stats', getAgentStatistics);
-router.get('/agents/:id/orders', getAgentOrdersList);
+router.get('/agents/:id/stats', requirePermission('agents.view'), getAgentStatistics);
+router.get('/agents/:id/orders', requirePermission('agents.view'), getAgentOrdersList);
 
 // Chama management routes
+router.use('/chamas', requirePermission('chama.manage'));
 router.post('/chamas', createChamaGroup);
 router.get('/chamas/stats', getChamaStats);
 router.get('/chamas', getAllChamaGroups);
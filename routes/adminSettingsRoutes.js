@@ -10,7 +10,7 @@ const {
   validateWithdrawalRequest
 } = require('../controllers/adminSettingsController');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission, requireTwoFactor } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -25,9 +25,9 @@ router.get('/payout-settings/window-status', authorize('agent', 'admin'), checkP
 router.post('/payout-settings/validate-withdrawal', authorize('agent', 'admin'), validateWithdrawalRequest);
 
 // ADMIN-ONLY routes for modifying settings
-router.put('/payout-settings', authorize('admin'), updatePayoutSettings);
-router.put('/payout-settings/global-hold', authorize('admin'), setGlobalPayoutHold);
-router.put('/payout-settings/agents/:agentId/payout-hold', authorize('admin'), setAgentPayoutHold);
-router.get('/payout-settings/agents/:agentId/payout-history', authorize('admin'), getAgentPayoutHistory);
+router.put('/payout-settings', authorize('admin'), requirePermission('payouts.settings'), requireTwoFactor, updatePayoutSettings);
+router.put('/payout-settings/global-hold', authorize('admin'), requirePermission('payouts.settings'), requireTwoFactor, setGlobalPayoutHold);
+router.put('/payout-settings/agents/:agentId/payout-hold', authorize('admin'), requirePermission('payouts.approve'), requireTwoFactor, setAgentPayoutHold);
+router.get('/payout-settings/agents/:agentId/payout-history', authorize('admin'), requirePermission('payouts.view'), getAgentPayoutHistory);
 
 module.exports = router;
\ No newline at end of file
@@ -5,13 +5,14 @@ const {
   getAgentOrders,
   getAgentAnalytics
 } = require('../controllers/agentStatsController');
-const { protect, admin } = require('../middleware/auth');
+const { protect, admin, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // All routes require admin authentication
 router.use(protect);
 router.use(admin);
+router.use(requirePermission('agents.view'));
 
 // Agent statistics routes
 router.get('/:id/stats', getAgentStats);
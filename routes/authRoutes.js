@@ -4,6 +4,16 @@ const {
   verifyOTP,
   resendOTP,
   login,
+  verifyLoginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeUserSession,
+  revokeOtherSessions,
   getProfile,
   updateProfile,
   updateProfileSecure,
@@ -31,36 +41,58 @@ const {
   deleteAddress,
   setDefaultAddress
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  loginLimiter,
+  otpVerifyLimiter,
+  otpSendLimiter,
+  passwordResetLimiter,
+  passwordResetSubmitLimiter,
+  twoFactorLoginLimiter
+} = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
 // Basic authentication routes
-router.post('/register', register);
-router.post('/verify-otp', verifyOTP);
-router.post('/resend-otp', resendOTP);
-router.post('/login', login);
+router.post('/register', otpSendLimiter, register);
+router.post('/verify-otp', otpVerifyLimiter, verifyOTP);
+router.post('/resend-otp', otpSendLimiter, resendOTP);
+router.post('/login', loginLimiter, login);
+router.post('/login/2fa', twoFactorLoginLimiter, verifyLoginTwoFactor);
 router.get('/profile', protect, getProfile);
 router.put('/profile', protect, updateProfile);
 router.put('/profile/secure-update', protect, updateProfileSecure);
-router.post('/forgot-password', forgotPassword);
-router.put('/reset-password/:token', resetPassword);
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+router.put('/reset-password/:token', passwordResetSubmitLimiter, resetPassword);
 router.put('/change-password', protect, changePassword);
 
+// Sessions and refresh tokens
+router.post('/refresh', refreshToken);
+router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeUserSession);
+
+// Two-factor authentication (admins and agents)
+router.post('/2fa/setup', protect, authorize('admin', 'agent'), setupTwoFactor);
+router.post('/2fa/enable', protect, authorize('admin', 'agent'), enableTwoFactor);
+router.post('/2fa/disable', protect, authorize('admin', 'agent'), disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, authorize('admin', 'agent'), regenerateRecoveryCodes);
+
 // Agent setup routes (NEW)
 router.get('/verify-setup-token/:token', verifySetupToken);
 router.post('/setup-password', setupAgentPassword);
 
 // Google Sign-In routes
 router.post('/google-login', googleLogin);
-router.post('/verify-google-phone', verifyGooglePhone);
-router.post('/verify-phone-after-google', verifyPhoneAfterGoogle);
-router.post('/resend-google-phone-otp', resendGooglePhoneOtp);
-router.post('/complete-google-phone-verification', completeGooglePhoneVerification);
+router.post('/verify-google-phone', otpSendLimiter, verifyGooglePhone);
+router.post('/verify-phone-after-google', otpVerifyLimiter, verifyPhoneAfterGoogle);
+router.post('/resend-google-phone-otp', otpSendLimiter, resendGooglePhoneOtp);
+router.post('/complete-google-phone-verification', otpVerifyLimiter, completeGooglePhoneVerification);
 
 // Termii-specific routes
-router.post('/send-otp', sendOTP);
-router.post('/verify-termii-otp', verifyTermiiOTP);
+router.post('/send-otp', otpSendLimiter, sendOTP);
+router.post('/verify-termii-otp', otpVerifyLimiter, verifyTermiiOTP);
 router.post('/complete-registration', completeRegistration);
 
 // Address management routes
@@ -7,24 +7,24 @@ const {
   deleteBrand,
   getAdminBrands
 } = require('../controllers/brandController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // IMPORTANT: More specific routes should come BEFORE general routes
 // Admin route to get all brands (including inactive) - must come before /:id
 router.route('/admin/all')
-  .get(protect, authorize('admin'), getAdminBrands);
+  .get(protect, authorize('admin'), requirePermission('catalogue.manage'), getAdminBrands);
 
 // Public routes
 router.route('/')
   .get(getBrands)
-  .post(protect, authorize('admin'), createBrand);
+  .post(protect, authorize('admin'), requirePermission('catalogue.manage'), createBrand);
 
 // Routes with ID parameter should come after specific routes
 router.route('/:id')
   .get(getBrand)
-  .put(protect, authorize('admin'), updateBrand)
-  .delete(protect, authorize('admin'), deleteBrand);
+  .put(protect, authorize('admin'), requirePermission('catalogue.manage'), updateBrand)
+  .delete(protect, authorize('admin'), requirePermission('catalogue.manage'), deleteBrand);
 
 module.exports = router;
\ No newline at end of file
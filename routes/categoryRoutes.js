@@ -9,17 +9,17 @@ const {
   getParentCategories,
   reorderCategories
 } = require('../controllers/categoryController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // IMPORTANT: More specific routes should come BEFORE general routes
 
 // Admin route to get all categories (including inactive)
-router.get('/admin/all', protect, authorize('admin'), getAdminCategories);
+router.get('/admin/all', protect, authorize('admin'), requirePermission('catalogue.manage'), getAdminCategories);
 
 // Admin route to reorder categories
-router.put('/reorder', protect, authorize('admin'), reorderCategories);
+router.put('/reorder', protect, authorize('admin'), requirePermission('catalogue.manage'), reorderCategories);
 
 // Route to get parent categories for dropdown
 router.get('/parents', getParentCategories);
@@ -29,8 +29,8 @@ router.get('/', getCategories);
 router.get('/:id', getCategoryById);
 
 // Admin routes
-router.post('/', protect, authorize('admin'), createCategory);
-router.put('/:id', protect, authorize('admin'), updateCategory);
-router.delete('/:id', protect, authorize('admin'), deleteCategory);
+router.post('/', protect, authorize('admin'), requirePermission('catalogue.manage'), createCategory);
+router.put('/:id', protect, authorize('admin'), requirePermission('catalogue.manage'), updateCategory);
+router.delete('/:id', protect, authorize('admin'), requirePermission('catalogue.manage'), deleteCategory);
 
 module.exports = router;
\ No newline at end of file
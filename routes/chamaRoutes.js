@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, admin } = require('../middleware/auth');
+const { protect, admin, requirePermission } = require('../middleware/auth');
 const { 
   verifyChamaEligibility, 
   requireAdmin 
@@ -25,16 +25,16 @@ const {
 } = require('../controllers/chamaController');
 
 // ============ ADMIN ROUTES ============
-router.post('/admin/chamas', protect, admin, createChamaGroup);
-router.get('/admin/chamas', protect, admin, getAllChamaGroups);
-router.get('/admin/chamas/stats', protect, admin, getChamaStats);
-router.get('/admin/chamas/:id', protect, admin, getChamaGroup);
-router.post('/admin/chamas/:id/add-member', protect, admin, addMemberToChamaGroup);
-router.delete('/admin/chamas/:id/members/:userId', protect, admin, removeMemberFromChamaGroup);
-router.post('/admin/chamas/:id/activate', protect, admin, activateChamaGroup);
-router.post('/admin/chamas/:id/pause', protect, admin, pauseChamaGroup);
-router.post('/admin/chamas/:id/mark-contribution', protect, admin, markContributionPaid);
-router.post('/admin/chamas/:id/next-turn', protect, admin, rotateToNextTurn);
+router.post('/admin/chamas', protect, admin, requirePermission('chama.manage'), createChamaGroup);
+router.get('/admin/chamas', protect, admin, requirePermission('chama.manage'), getAllChamaGroups);
+router.get('/admin/chamas/stats', protect, admin, requirePermission('chama.manage'), getChamaStats);
+router.get('/admin/chamas/:id', protect, admin, requirePermission('chama.manage'), getChamaGroup);
+router.post('/admin/chamas/:id/add-member', protect, admin, requirePermission('chama.manage'), addMemberToChamaGroup);
+router.delete('/admin/chamas/:id/members/:userId', protect, admin, requirePermission('chama.manage'), removeMemberFromChamaGroup);
+router.post('/admin/chamas/:id/activate', protect, admin, requirePermission('chama.manage'), activateChamaGroup);
+router.post('/admin/chamas/:id/pause', protect, admin, requirePermission('chama.manage'), pauseChamaGroup);
+router.post('/admin/chamas/:id/mark-contribution', protect, admin, requirePermission('chama.manage'), markContributionPaid);
+router.post('/admin/chamas/:id/next-turn', protect, admin, requirePermission('chama.manage'), rotateToNextTurn);
 
 // ============ USER ROUTES ============
 router.get('/my', protect, getUserChamaGroups);
@@ -20,7 +20,7 @@ const {
   debugAgentCommissions
 } = require('../controllers/commissionController');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission, requireTwoFactor } = require('../middleware/auth');
 
 // IMPORT NEW VALIDATION MIDDLEWARE
 const { 
@@ -37,25 +37,25 @@ router.use(protect);
 // IMPORTANT: Put specific admin routes FIRST before parameterized routes
 
 // Admin payout stats route (most specific first)
-router.get('/admin/payout-stats', authorize('admin'), getPayoutStatsEnhanced);
+router.get('/admin/payout-stats', authorize('admin'), requirePermission('payouts.view'), getPayoutStatsEnhanced);
 
 // Admin payout analytics route
-router.get('/admin/payout-analytics', authorize('admin'), getPayoutAnalyticsEnhanced);
+router.get('/admin/payout-analytics', authorize('admin'), requirePermission('payouts.view'), getPayoutAnalyticsEnhanced);
 
 // Bulk payout processing route
-router.put('/admin/payout-requests/bulk-process', authorize('admin'), bulkProcessPayouts);
+router.put('/admin/payout-requests/bulk-process', authorize('admin'), requirePermission('payouts.approve'), requireTwoFactor, bulkProcessPayouts);
 
 // Export payout data route
-router.get('/admin/payout-requests/export', authorize('admin'), exportPayoutData);
+router.get('/admin/payout-requests/export', authorize('admin'), requirePermission('payouts.view'), exportPayoutData);
 
 // Admin get all payout requests route
-router.get('/admin/payout-requests', authorize('admin'), getAllPayoutRequests);
+router.get('/admin/payout-requests', authorize('admin'), requirePermission('payouts.view'), getAllPayoutRequests);
 
 // Admin get all commissions route
-router.get('/admin/all', authorize('admin'), getAllCommissions);
+router.get('/admin/all', authorize('admin'), requirePermission('payouts.view'), getAllCommissions);
 
 // Admin analytics route
-router.get('/admin/analytics', authorize('admin'), getCommissionAnalytics);
+router.get('/admin/analytics', authorize('admin'), requirePermission('payouts.view'), getCommissionAnalytics);
 
 // Agent routes (specific before parameterized)
 router.get('/stats', authorize('agent'), getCommissionStats);
@@ -67,13 +67,13 @@ router.route('/payout-requests')
   .post(authorize('agent'), validatePayoutRequest, createPayoutRequest);
 
 // Payout request processing and notification routes (specific ID-based routes)
-router.put('/payout-requests/:id/process', authorize('admin'), processPayoutRequest);
-router.post('/payout-requests/:id/notify', authorize('admin'), sendPayoutNotification);
+router.put('/payout-requests/:id/process', authorize('admin'), requirePermission('payouts.approve'), requireTwoFactor, processPayoutRequest);
+router.post('/payout-requests/:id/notify', authorize('admin'), requirePermission('payouts.approve'), sendPayoutNotification);
 
 // Agent commission routes
 router.get('/', authorize('agent'), getAgentCommissions);
 
 // Parameterized routes (MUST come LAST)
-router.get('/:id', authorize('agent', 'admin'), getCommissionById);
+router.get('/:id', authorize('agent', 'admin'), requirePermission('payouts.view'), getCommissionById);
 
 module.exports = router;
\ No newline at end of file
@@ -4,12 +4,12 @@ const {
   createFlashDeal,
   removeFlashDeal
 } = require('../controllers/dealController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 router.get('/flash', getFlashDeals);
-router.post('/flash', protect, authorize('admin'), createFlashDeal);
-router.delete('/flash/:productId', protect, authorize('admin'), removeFlashDeal);
+router.post('/flash', protect, authorize('admin'), requirePermission('catalogue.manage'), createFlashDeal);
+router.delete('/flash/:productId', protect, authorize('admin'), requirePermission('catalogue.manage'), removeFlashDeal);
 
 module.exports = router;
\ No newline at end of file
@@ -2,15 +2,33 @@ const express = require('express');
 const {
   initiateSTKPush,
   handleMpesaCallback,
-  checkPaymentStatus
+  handleB2CResult,
+  handleB2CTimeout,
+  checkPaymentStatus,
+  reconcileOrderPayments,
+  getPaymentExceptions,
+  resolvePaymentException,
+  registerC2B,
+  validateC2BPayment,
+  confirmC2BPayment,
+  getSuspensePayments,
+  allocateC2BPayment
 } = require('../controllers/mpesaController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Public M-Pesa callback route (Safaricom must access without auth)
 router.post('/callback', handleMpesaCallback);
 
+// Public B2C result/timeout callbacks for agent payouts
+router.post('/b2c/result', handleB2CResult);
+router.post('/b2c/timeout', handleB2CTimeout);
+
+// Public C2B paybill/till callbacks
+router.post('/c2b/validation', validateC2BPayment);
+router.post('/c2b/confirmation', confirmC2BPayment);
+
 // Protected routes
 router.use(protect);
 
@@ -20,4 +38,16 @@ router.post('/stkpush', initiateSTKPush);
 // Check payment status
 router.get('/payment-status/:checkoutRequestId', checkPaymentStatus);
 
+// Reconcile pending payments for an order (Admin only)
+router.post('/reconcile/:orderId', authorize('admin'), requirePermission('payments.manage'), reconcileOrderPayments);
+
+// Payment exceptions review queue (Admin only)
+router.get('/exceptions', authorize('admin'), requirePermission('payments.manage'), getPaymentExceptions);
+router.put('/exceptions/:id/resolve', authorize('admin'), requirePermission('payments.manage'), resolvePaymentException);
+
+// C2B URL registration and suspense allocation (Admin only)
+router.post('/c2b/register', authorize('admin'), requirePermission('payments.manage'), registerC2B);
+router.get('/c2b/suspense', authorize('admin'), requirePermission('payments.manage'), getSuspensePayments);
+router.put('/c2b/payments/:id/allocate', authorize('admin'), requirePermission('payments.manage'), allocateC2BPayment);
+
 module.exports = router;
\ No newline at end of file
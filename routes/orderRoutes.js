@@ -1,6 +1,7 @@
 const express = require('express');
 const {
   createOrder,
+  getOrderQuote,
   getMyOrders,
   getOrderById,
   updateOrderToPaid,
@@ -12,11 +13,17 @@ const {
   getProductSalesStats,
   getOrdersByStation,
   getMyStationOrders,
+  editOrderItems,
+  getPickupCode,
+  resendPickupCode,
+  sendPickupOtp,
   // NEW: Commission-related endpoints
   getCommissionPreview,
   getCurrentCommissionRates
 } = require('../controllers/orderController');
-const { protect, authorize, admin } = require('../middleware/auth');
+const { protect, authorize, admin, requirePermission } = require('../middleware/auth');
+const { uploadDeliveryProof } = require('../controllers/uploadController');
+const { pickupCodeSendLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
@@ -34,23 +41,29 @@ router.use(protect);
 
 router.route('/')
   .post(createOrder)
-  .get(authorize('admin'), getOrders);
+  .get(authorize('admin'), requirePermission('orders.view'), getOrders);
 
+router.post('/quote', getOrderQuote);
 router.get('/my', getMyOrders);
 
 // Agent-specific routes for pickup station orders
 router.get('/my-station', authorize('agent'), getMyStationOrders);
-router.get('/station/:stationId', authorize('admin', 'agent'), getOrdersByStation);
+router.get('/station/:stationId', authorize('admin', 'agent'), requirePermission('orders.view'), getOrdersByStation);
 
 // Product sales data route (Admin only)
-router.get('/product/:productId/sales', authorize('admin'), getProductSales);
-router.get('/products/sales', authorize('admin'), getProductSalesStats);
+router.get('/product/:productId/sales', authorize('admin'), requirePermission('orders.view'), getProductSales);
+router.get('/products/sales', authorize('admin'), requirePermission('orders.view'), getProductSalesStats);
 
 router.route('/:id')
   .get(getOrderById);
 
 router.put('/:id/pay', updateOrderToPaid);
-router.put('/:id/status', authorize('admin', 'agent'), updateOrderStatus);
-router.put('/:id/deliver', authorize('admin'), updateOrderToDelivered);
+router.put('/:id/items', requirePermission('orders.manage'), editOrderItems);
+router.put('/:id/status', authorize('admin', 'agent'), requirePermission('orders.manage'), uploadDeliveryProof, updateOrderStatus);
+// Pickup codes for orders waiting at a station
+router.get('/:id/pickup-code', getPickupCode);
+router.post('/:id/pickup-code/resend', pickupCodeSendLimiter, resendPickupCode);
+router.post('/:id/pickup-otp', authorize('admin', 'agent'), pickupCodeSendLimiter, sendPickupOtp);
+router.put('/:id/deliver', authorize('admin'), requirePermission('orders.manage'), updateOrderToDelivered);
 
 module.exports = router;
\ No newline at end of file
@@ -13,7 +13,7 @@ const {
   updateAutoApprovalSettings
 } = require('../controllers/payoutSettingsController');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission, requireTwoFactor } = require('../middleware/auth');
 
 // Import validation middleware
 const { 
@@ -29,10 +29,10 @@ router.use(protect);
 // Core payout settings routes
 router.route('/')
   .get(validatePayoutSettingsAccess, getPayoutSettings) // Allow agents to read settings
-  .put(authorize('admin'), updatePayoutSettings); // Admin-only for updates
+  .put(authorize('admin'), requirePermission('payouts.settings'), requireTwoFactor, updatePayoutSettings); // Admin-only for updates
 
 // Global payout control routes (admin only)
-router.put('/global-hold', authorize('admin'), setGlobalPayoutHold);
+router.put('/global-hold', authorize('admin'), requirePermission('payouts.settings'), requireTwoFactor, setGlobalPayoutHold);
 
 // Payout window status check (accessible by agents and admins)
 router.get('/window-status', validateWindowStatusAccess, checkPayoutWindow);
@@ -41,11 +41,11 @@ router.get('/window-status', validateWindowStatusAccess, checkPayoutWindow);
 router.post('/validate-withdrawal', validateWithdrawalRequest);
 
 // Auto-approval management routes (admin only)
-router.get('/auto-approval-stats', authorize('admin'), getAutoApprovalAnalytics);
-router.put('/auto-approval', authorize('admin'), updateAutoApprovalSettings);
+router.get('/auto-approval-stats', authorize('admin'), requirePermission('payouts.view'), getAutoApprovalAnalytics);
+router.put('/auto-approval', authorize('admin'), requirePermission('payouts.settings'), requireTwoFactor, updateAutoApprovalSettings);
 
 // Agent-specific payout management routes (admin only)
-router.put('/agents/:agentId/payout-hold', authorize('admin'), setAgentPayoutHold);
-router.get('/agents/:agentId/payout-history', authorize('admin'), getAgentPayoutHistory);
+router.put('/agents/:agentId/payout-hold', authorize('admin'), requirePermission('payouts.approve'), requireTwoFactor, setAgentPayoutHold);
+router.get('/agents/:agentId/payout-history', authorize('admin'), requirePermission('payouts.view'), getAgentPayoutHistory);
 
 module.exports = router;
\ No newline at end of file
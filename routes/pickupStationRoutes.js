@@ -1,6 +1,6 @@
 // routes/pickupStationRoutes.js
 const express = require('express');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 
 // Import controllers
 const { getPickupStations } = require('../controllers/agentController'); // Existing function
@@ -20,8 +20,8 @@ router.get('/search', searchPickupStations);
 router.get('/all', getAllPickupStations); // Changed from root to avoid conflicts
 
 // Protected routes
-router.get('/admin', protect, authorize('admin'), getPickupStationsForAdmin);
-router.get('/', protect, authorize('admin'), getPickupStations); // Keep existing route for compatibility
+router.get('/admin', protect, authorize('admin'), requirePermission('agents.view'), getPickupStationsForAdmin);
+router.get('/', protect, authorize('admin'), requirePermission('agents.view'), getPickupStations); // Keep existing route for compatibility
 
 // Individual station route (should be last to avoid conflicts)
 router.get('/:id', getPickupStationById);
@@ -15,8 +15,11 @@ const {
   getNewArrivals,        
   getFeaturedProducts,   
   getPopularProducts,     
+  uploadProductSpreadsheet,
+  importProducts,
+  exportProducts
 } = require('../controllers/productController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -53,21 +56,28 @@ router.route('/slug/:slug')
 
 // Admin routes (must come before general routes)
 router.route('/admin/stats')
-  .get(protect, authorize('admin'), getProductStats);
+  .get(protect, authorize('admin'), requirePermission('catalogue.manage'), getProductStats);
 
 router.route('/admin/all')
-  .get(protect, authorize('admin'), getAdminProducts);
+  .get(protect, authorize('admin'), requirePermission('catalogue.manage'), getAdminProducts);
+
+// Bulk import/export (CSV or XLSX)
+router.route('/admin/import')
+  .post(protect, authorize('admin'), requirePermission('catalogue.manage'), uploadProductSpreadsheet, importProducts);
+
+router.route('/admin/export')
+  .get(protect, authorize('admin'), requirePermission('catalogue.manage'), exportProducts);
 
 // Main product routes
 router.route('/')
   .get(getProducts)
-  .post(protect, authorize('admin'), createProduct);
+  .post(protect, authorize('admin'), requirePermission('catalogue.manage'), createProduct);
 
 // Routes with ID parameter should come after specific routes
 router.route('/:id')
   .get(getProductById)
-  .put(protect, authorize('admin'), updateProduct)
-  .delete(protect, authorize('admin'), deleteProduct);
+  .put(protect, authorize('admin'), requirePermission('catalogue.manage'), updateProduct)
+  .delete(protect, authorize('admin'), requirePermission('catalogue.manage'), deleteProduct);
 
 // Debug route to inspect product specifications
 router.get('/inspect/:id', async (req, res) => {
@@ -0,0 +1,28 @@
+const express = require('express');
+const returnController = require('../controllers/returnController');
+const { protect, authorize, admin, requirePermission } = require('../middleware/auth');
+const { uploadReturnImages } = require('../controllers/uploadController');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Customer routes
+router.post('/', uploadReturnImages, returnController.createReturn);
+router.get('/my', returnController.getMyReturns);
+router.get('/order/:orderId/items', returnController.getReturnableItems);
+
+// Agent routes
+router.get('/station', authorize('agent'), returnController.getStationReturns);
+
+// Admin routes
+router.get('/admin/all', admin, requirePermission('orders.view'), returnController.getAllReturns);
+router.put('/admin/:id/review', admin, requirePermission('orders.manage'), returnController.reviewReturn);
+router.put('/admin/:id/refund', admin, requirePermission('payments.manage'), returnController.refundReturn);
+router.put('/admin/:id/refund/resolve', admin, requirePermission('payments.manage'), returnController.resolveRefundCheck);
+
+router.get('/:id', returnController.getReturn);
+router.put('/:id/cancel', returnController.cancelReturn);
+router.put('/:id/receive', authorize('agent', 'admin'), requirePermission('orders.manage'), returnController.receiveReturn);
+
+module.exports = router;
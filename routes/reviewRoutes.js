@@ -1,20 +1,28 @@
 const express = require('express');
 const reviewController = require('../controllers/reviewController');
-const { protect, admin } = require('../middleware/auth');
+const { protect, admin, requirePermission } = require('../middleware/auth');
+const { uploadReviewImages } = require('../controllers/uploadController');
 
 const router = express.Router();
 
 // User routes
-router.post('/:productId', protect, reviewController.createReview);
+router.post('/:productId', protect, reviewController.checkCanReview, uploadReviewImages, reviewController.createReview);
 router.get('/:productId', reviewController.getProductReviews);
 router.get('/:productId/can-review', protect, reviewController.canReviewProduct);
 router.delete('/:reviewId', protect, reviewController.deleteReview);
+router.post('/:reviewId/vote', protect, reviewController.voteReview);
+router.delete('/:reviewId/vote', protect, reviewController.removeVote);
+router.post('/:reviewId/report', protect, reviewController.reportReview);
 
 // Admin routes
-router.get('/admin/all', protect, admin, reviewController.getAllReviews);
-router.get('/admin/stats', protect, admin, reviewController.getReviewStats);
-router.patch('/admin/:reviewId/visibility', protect, admin, reviewController.updateReviewVisibility);
-router.patch('/admin/:reviewId/flag', protect, admin, reviewController.flagReview);
-router.delete('/admin/:reviewId', protect, admin, reviewController.deleteReviewAdmin); 
+router.get('/admin/all', protect, admin, requirePermission('reviews.moderate'), reviewController.getAllReviews);
+router.get('/admin/stats', protect, admin, requirePermission('reviews.moderate'), reviewController.getReviewStats);
+router.get('/admin/moderation-queue', protect, admin, requirePermission('reviews.moderate'), reviewController.getModerationQueue);
+router.patch('/admin/:reviewId/moderate', protect, admin, requirePermission('reviews.moderate'), reviewController.moderateReview);
+router.patch('/admin/:reviewId/visibility', protect, admin, requirePermission('reviews.moderate'), reviewController.updateReviewVisibility);
+router.patch('/admin/:reviewId/flag', protect, admin, requirePermission('reviews.moderate'), reviewController.flagReview);
+router.post('/admin/:reviewId/replies', protect, admin, requirePermission('reviews.moderate'), reviewController.addReviewReply);
+router.delete('/admin/:reviewId/replies/:replyId', protect, admin, requirePermission('reviews.moderate'), reviewController.deleteReviewReply);
+router.delete('/admin/:reviewId', protect, admin, requirePermission('reviews.moderate'), reviewController.deleteReviewAdmin); 
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const uploadController = require('../controllers/uploadController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const adminMiddleware = require('../middleware/admin');
 
 // Single image upload - accessible to authenticated users
@@ -17,6 +17,7 @@ router.post(
   '/admin/single',
   protect,
   adminMiddleware,
+  requirePermission('catalogue.manage'),
   uploadController.uploadImage,
   uploadController.handleUpload
 );
@@ -34,6 +35,7 @@ router.post(
   '/admin/multiple',
   protect,
   adminMiddleware,
+  requirePermission('catalogue.manage'),
   uploadController.uploadImages,
   uploadController.handleUpload
 );
@@ -42,6 +44,10 @@ router.post(
 router.delete('/', protect, uploadController.deleteImage);
 
 // Admin-only delete image (alternative route)
-router.delete('/admin', protect, adminMiddleware, uploadController.deleteImage);
+router.delete('/admin', protect, adminMiddleware, requirePermission('catalogue.manage'), uploadController.deleteImage);
+
+// Unused uploads: list, and remove those past the age threshold
+router.get('/admin/orphans', protect, adminMiddleware, requirePermission('catalogue.manage'), uploadController.getOrphanedMedia);
+router.post('/admin/cleanup', protect, adminMiddleware, requirePermission('catalogue.manage'), uploadController.cleanupOrphanedMedia);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,40 @@
+// scripts/migrateAdminRoles.js - Give admins from before admin roles existed an explicit role
+//
+// Admins without an adminRole have no permissions (see config/permissions.js). Run this once
+// when deploying admin roles so the existing admins keep the full access they had:
+//
+//   npm run migrate:admin-roles
+//
+// Running it again would also promote any admin created since who still has no role,
+// so only run it once.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const { LEGACY_ADMIN_ROLE } = require('../config/permissions');
+
+const migrateAdminRoles = async () => {
+  await connectDB();
+
+  const admins = await User.find({ role: 'admin', adminRole: { $exists: false } }).select('email name');
+  if (admins.length === 0) {
+    console.log('Every admin already has an admin role');
+    return;
+  }
+
+  admins.forEach(admin => console.log(`Assigning ${LEGACY_ADMIN_ROLE} to ${admin.email}`));
+
+  const result = await User.updateMany(
+    { _id: { $in: admins.map(admin => admin._id) }, adminRole: { $exists: false } },
+    { $set: { adminRole: LEGACY_ADMIN_ROLE } }
+  );
+  console.log(`Assigned ${LEGACY_ADMIN_ROLE} to ${result.modifiedCount} admin(s)`);
+};
+
+migrateAdminRoles()
+  .catch(error => {
+    console.error('Admin role migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
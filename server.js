@@ -24,11 +24,18 @@ const pickupStationRoutes = require('./routes/pickupStationRoutes');
 const commissionRoutes = require('./routes/commissionRoutes');
 const payoutSettingsRoutes = require('./routes/payoutSettingsRoutes');
 const chamaRoutes = require('./routes/chamaRoutes');
+const returnRoutes = require('./routes/returnRoutes');
 
-const { validateConfig } = require('./services/mpesa');
+const { validateConfig, startReconciliationWorker } = require('./services/mpesa');
+const { startReservationExpiryWorker } = require('./services/orderReservationService');
+const { startMediaCleanupWorker } = require('./services/mediaService');
 
 const app = express();
 
+// Number of proxies in front of the app (Heroku's router is one), so req.ip is the real
+// client address rather than the proxy's; rate limits and audit logs rely on it
+app.set('trust proxy', process.env.TRUST_PROXY_HOPS !== undefined ? parseInt(process.env.TRUST_PROXY_HOPS, 10) : 1);
+
 // Initialize database connection
 const initializeApp = async () => {
   try {
@@ -84,6 +91,7 @@ const initializeApp = async () => {
     app.use('/api/banners', bannerRoutes);
     app.use('/api/upload', uploadRoutes);
     app.use('/api/pickup-stations', pickupStationRoutes);
+    app.use('/api/returns', returnRoutes);
 
     // Commission routes (handles /api/commissions/*)
     app.use('/api/commissions', commissionRoutes);
@@ -185,8 +193,17 @@ const initializeApp = async () => {
     // Validate M-Pesa configuration on server start
     if (!validateConfig()) {
       console.log('M-Pesa configuration is incomplete. M-Pesa payments will not work.');
+    } else {
+      // Catch payments whose callback never arrived
+      startReconciliationWorker();
     }
 
+    // Cancel unpaid M-Pesa orders whose stock hold has expired
+    startReservationExpiryWorker();
+
+    // Remove uploaded images nothing has used for a while
+    startMediaCleanupWorker();
+
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('SIGTERM received, shutting down gracefully');
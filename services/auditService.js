@@ -0,0 +1,87 @@
+const AuditLog = require('../models/AuditLog');
+const { UNASSIGNED_ADMIN_ROLE } = require('../config/permissions');
+
+// Never copied into the trail
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'modificationHistory', 'password'];
+
+// Plain JSON copy (ObjectIds and Dates become strings) so values compare and store cleanly
+const toPlain = (value) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  const source = typeof value.toObject === 'function' ? value.toObject({ virtuals: false }) : value;
+  return JSON.parse(JSON.stringify(source));
+};
+
+// Flatten nested objects to dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = '', output = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach(key => {
+      if (IGNORED_FIELDS.includes(key)) return;
+      flatten(value[key], prefix ? `${prefix}.${key}` : key, output);
+    });
+  } else if (prefix) {
+    output[prefix] = value;
+  }
+  return output;
+};
+
+/**
+ * Pick fields from a document for an audit snapshot
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {Array} fields - Top-level fields to keep
+ * @returns {Object} Plain object with just those fields
+ */
+exports.snapshot = (doc, fields) => {
+  const plain = toPlain(doc) || {};
+  return fields.reduce((picked, field) => {
+    picked[field] = plain[field];
+    return picked;
+  }, {});
+};
+
+/**
+ * Work out which fields changed between two snapshots
+ * @param {Object} before - Values before the action (null when something was created)
+ * @param {Object} after - Values after the action (null when something was deleted)
+ * @returns {Array} [{ field, from, to }]
+ */
+exports.diffChanges = (before, after) => {
+  const from = flatten(toPlain(before) || {});
+  const to = flatten(toPlain(after) || {});
+
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map(field => ({ field, from: from[field], to: to[field] }));
+};
+
+/**
+ * Record a sensitive admin action
+ * Failures are logged rather than thrown so an audit write never undoes the action itself.
+ * @param {Object} req - Express request (actor, IP and user agent are taken from it); null for system actions
+ * @param {Object} entry - { action, targetType, targetId, targetLabel, before, after, reason, metadata }
+ * @returns {Object|null} AuditLog document, or null if it couldn't be written
+ */
+exports.recordAudit = async (req, entry) => {
+  try {
+    const user = req && req.user;
+
+    return await AuditLog.create({
+      actor: user ? user._id : undefined,
+      actorEmail: user ? user.email : '',
+      actorRole: user ? (user.role === 'admin' ? `admin:${user.adminRole || UNASSIGNED_ADMIN_ROLE}` : user.role) : 'system',
+      action: entry.action,
+      targetType: entry.targetType,
+      targetId: entry.targetId,
+      targetLabel: entry.targetLabel || '',
+      changes: exports.diffChanges(entry.before, entry.after),
+      reason: entry.reason || '',
+      metadata: entry.metadata,
+      ipAddress: req ? (req.ip || '') : '',
+      userAgent: req ? (req.headers['user-agent'] || '') : ''
+    });
+  } catch (error) {
+    console.error(`Audit log write failed for ${entry.action}:`, error);
+    return null;
+  }
+};
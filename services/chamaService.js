@@ -345,9 +345,10 @@ exports.rotateTurn = async (chamaGroupId) => {
 /**
  * Create a chama redemption record
  * @param {Object} data - Redemption data
+ * @param {ClientSession} [session] - MongoDB session when created as part of an order transaction
  * @returns {Object} Created redemption record
  */
-exports.createChamaRedemption = async (data) => {
+exports.createChamaRedemption = async (data, session = null) => {
   try {
     const redemption = new ChamaRedemption({
       userId: data.userId,
@@ -360,13 +361,80 @@ exports.createChamaRedemption = async (data) => {
       notes: data.notes || ''
     });
 
-    await redemption.save();
+    await redemption.save({ session });
     return redemption;
   } catch (error) {
     throw new Error(`Error creating chama redemption: ${error.message}`);
   }
 };
 
+/**
+ * Reverse the chama redemption(s) recorded for an order so the credit can be used again
+ * @param {String} orderId - Order ID
+ * @param {String} reason - Why the redemption was reversed
+ * @param {ClientSession} [session] - MongoDB session when reversed as part of an order transaction
+ * @returns {Object} Update result
+ */
+exports.cancelChamaRedemptionsForOrder = async (orderId, reason, session = null) => {
+  try {
+    return await ChamaRedemption.updateMany(
+      { orderId, status: { $in: ['pending', 'completed'] } },
+      { status: 'cancelled', cancelReason: reason || '' },
+      { session }
+    );
+  } catch (error) {
+    throw new Error(`Error cancelling chama redemption: ${error.message}`);
+  }
+};
+
+/**
+ * Work out the chama credit an edited order can use and update its redemption record
+ * The allowance is the same as at checkout (the group's turn allowance less the member's
+ * other redemptions that turn), so a smaller order uses less credit and a bigger one can use more.
+ * @param {Object} order - Order being edited (useChamaCredit set)
+ * @param {Number} itemsPrice - New items total
+ * @param {Number} otherCharges - Tax and shipping on top of the items
+ * @param {ClientSession} [session] - MongoDB session for the surrounding transaction
+ * @returns {Object} { amountRedeemed, amountOutsideChama }
+ */
+exports.reevaluateChamaRedemption = async (order, itemsPrice, otherCharges, session = null) => {
+  const redemption = await ChamaRedemption.findOne({
+    orderId: order._id,
+    status: { $in: ['pending', 'completed'] }
+  }).session(session);
+
+  if (!redemption) {
+    // Nothing was redeemed (or it was reversed); the customer pays the lot
+    return { amountRedeemed: 0, amountOutsideChama: itemsPrice + otherCharges };
+  }
+
+  const chamaGroup = await ChamaGroup.findById(redemption.chamaGroupId).session(session);
+  if (!chamaGroup) {
+    throw new Error('Chama group for this order no longer exists');
+  }
+
+  const otherRedemptions = await ChamaRedemption.find({
+    _id: { $ne: redemption._id },
+    userId: redemption.userId,
+    chamaGroupId: redemption.chamaGroupId,
+    weekNumber: redemption.weekNumber,
+    status: { $in: ['completed', 'pending'] }
+  }).session(session);
+
+  const totalAllowance = chamaGroup.weeklyContribution * chamaGroup.members.length;
+  const redeemedElsewhere = otherRedemptions.reduce((sum, r) => sum + r.amountRedeemed, 0);
+  const maxRedemptionAmount = Math.max(0, totalAllowance - redeemedElsewhere);
+
+  const amountRedeemed = Math.min(itemsPrice, maxRedemptionAmount);
+  const amountOutsideChama = Math.max(0, itemsPrice + otherCharges - amountRedeemed);
+
+  redemption.amountRedeemed = amountRedeemed;
+  redemption.amountOutsideChama = amountOutsideChama;
+  await redemption.save({ session });
+
+  return { amountRedeemed, amountOutsideChama };
+};
+
 /**
  * Get member redemption history
  * @param {String} userId - User ID
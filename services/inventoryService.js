@@ -0,0 +1,255 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+
+// Used for products saved before reorder levels existed
+const DEFAULT_REORDER_LEVEL = 10;
+
+/**
+ * Record a stock change in the movement ledger
+ * @param {Object} movement - { product, variant, sku, type, quantity, balanceAfter, order, performedBy, note }
+ * @param {ClientSession} [session] - MongoDB session for the surrounding transaction
+ * @returns {Object} Created movement
+ */
+exports.recordMovement = async (movement, session = null) => {
+  const [created] = await StockMovement.create([movement], { session });
+  return created;
+};
+
+// Apply a stock change to a product or one of its variants, returning the updated product
+const applyStockChange = (productId, variantId, quantity, session, requireStock = false) => {
+  const filter = { _id: productId };
+
+  if (variantId) {
+    filter.variants = requireStock
+      ? { $elemMatch: { _id: variantId, stock: { $gte: -quantity } } }
+      : { $elemMatch: { _id: variantId } };
+  } else if (requireStock) {
+    filter.stock = { $gte: -quantity };
+  }
+
+  const update = variantId
+    ? { $inc: { 'variants.$.stock': quantity, stock: quantity } }
+    : { $inc: { stock: quantity } };
+
+  return Product.findOneAndUpdate(filter, update, {
+    new: true,
+    session,
+    projection: 'name stock variants'
+  });
+};
+
+// Stock left on the product or variant after a change
+const balanceOf = (product, variantId) => {
+  if (!variantId) {
+    return product.stock;
+  }
+  const variant = product.variants.id(variantId);
+  return variant ? variant.stock : undefined;
+};
+
+/**
+ * Take stock for a set of order items
+ * Each decrement is conditional on enough stock remaining, so concurrent
+ * checkouts cannot oversell. Run inside a transaction so a failure on a later
+ * item rolls back the earlier ones.
+ * Variant items take stock from the variant and the product total together.
+ * @param {Array} items - Order items ({ product, variant, sku, name, quantity })
+ * @param {ClientSession} [session] - MongoDB session for the surrounding transaction
+ * @param {Object} [context] - { type, order, performedBy, note } recorded on the movements (type defaults to sale)
+ * @throws {Error} If any item does not have enough stock
+ */
+exports.reserveStock = async (items, session = null, context = {}) => {
+  for (const item of items) {
+    const product = await applyStockChange(item.product, item.variant, -item.quantity, session, true);
+
+    if (!product) {
+      throw new Error(`Insufficient stock for product: ${item.name}`);
+    }
+
+    await exports.recordMovement({
+      product: item.product,
+      variant: item.variant,
+      sku: item.sku || '',
+      type: context.type || 'sale',
+      quantity: -item.quantity,
+      balanceAfter: balanceOf(product, item.variant),
+      order: context.order,
+      performedBy: context.performedBy,
+      note: context.note || ''
+    }, session);
+  }
+};
+
+/**
+ * Return stock for a set of order items (e.g. on cancellation)
+ * @param {Array} items - Order items ({ product, variant, sku, quantity })
+ * @param {ClientSession} [session] - MongoDB session for the surrounding transaction
+ * @param {Object} [context] - { type, order, performedBy, note } recorded on the movements (type defaults to cancellation)
+ */
+exports.restoreStock = async (items, session = null, context = {}) => {
+  for (const item of items) {
+    let variantId = item.variant;
+    let product = await applyStockChange(item.product, variantId, item.quantity, session);
+
+    if (!product && variantId) {
+      // Variant was removed since the order was placed - fall back to product stock
+      console.log(`Variant ${variantId} no longer exists on product ${item.product}; restoring product stock only`);
+      variantId = undefined;
+      product = await applyStockChange(item.product, undefined, item.quantity, session);
+    }
+
+    if (!product) {
+      console.log(`Product ${item.product} no longer exists; stock not restored`);
+      continue;
+    }
+
+    await exports.recordMovement({
+      product: item.product,
+      variant: variantId,
+      sku: item.sku || '',
+      type: context.type || 'cancellation',
+      quantity: item.quantity,
+      balanceAfter: balanceOf(product, variantId),
+      order: context.order,
+      performedBy: context.performedBy,
+      note: context.note || ''
+    }, session);
+  }
+};
+
+/**
+ * Manually change stock for a product or variant (restock, stock-take correction)
+ * @param {Object} adjustment - { productId, variantId, quantity, type, performedBy, note }
+ * @param {ClientSession} [session] - MongoDB session for the surrounding transaction
+ * @returns {Object} { product, movement }
+ * @throws {Error} If the product/variant is missing or stock would go negative
+ */
+exports.adjustStock = async ({ productId, variantId, quantity, type = 'manual_adjustment', performedBy, note }, session = null) => {
+  const product = await applyStockChange(productId, variantId, quantity, session, quantity < 0);
+
+  if (!product) {
+    throw new Error(quantity < 0
+      ? 'Adjustment would take stock below zero'
+      : 'Product or variant not found');
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  const movement = await exports.recordMovement({
+    product: productId,
+    variant: variantId,
+    sku: variant ? variant.sku : '',
+    type,
+    quantity,
+    balanceAfter: balanceOf(product, variantId),
+    performedBy,
+    note: note || ''
+  }, session);
+
+  return { product, movement };
+};
+
+/**
+ * Record manual_adjustment movements for stock edited directly on a product
+ * Compares the product before and after an update (matching variants by SKU).
+ * @param {Object} before - Product before the update
+ * @param {Object} after - Product after the update
+ * @param {String} performedBy - User who made the change
+ */
+exports.recordProductStockEdits = async (before, after, performedBy) => {
+  const note = 'Stock edited on product';
+
+  if (after.variants && after.variants.length > 0) {
+    for (const variant of after.variants) {
+      const previous = (before.variants || []).find(existing => existing.sku === variant.sku);
+      const change = variant.stock - (previous ? previous.stock : 0);
+      if (change !== 0) {
+        await exports.recordMovement({
+          product: after._id,
+          variant: variant._id,
+          sku: variant.sku,
+          type: 'manual_adjustment',
+          quantity: change,
+          balanceAfter: variant.stock,
+          performedBy,
+          note
+        });
+      }
+    }
+    return;
+  }
+
+  const change = after.stock - before.stock;
+  if (change !== 0) {
+    await exports.recordMovement({
+      product: after._id,
+      type: 'manual_adjustment',
+      quantity: change,
+      balanceAfter: after.stock,
+      performedBy,
+      note
+    });
+  }
+};
+
+/**
+ * Query matching active products at or below their reorder level
+ * Variant products are low when any active variant is at or below the level.
+ * @returns {Object} MongoDB filter
+ */
+exports.lowStockFilter = () => {
+  const reorderLevel = { $ifNull: ['$reorderLevel', DEFAULT_REORDER_LEVEL] };
+
+  return {
+    isActive: true,
+    $expr: {
+      $or: [
+        { $lte: ['$stock', reorderLevel] },
+        {
+          $anyElementTrue: [{
+            $map: {
+              input: { $ifNull: ['$variants', []] },
+              as: 'variant',
+              in: {
+                $and: [
+                  { $ne: ['$$variant.isActive', false] },
+                  { $lte: ['$$variant.stock', reorderLevel] }
+                ]
+              }
+            }
+          }]
+        }
+      ]
+    }
+  };
+};
+
+/**
+ * Get products that need restocking, lowest stock first
+ * @param {Object} options - { limit }
+ * @returns {Array} Products with the variants that are low
+ */
+exports.getLowStockProducts = async ({ limit = 50 } = {}) => {
+  const products = await Product.find(exports.lowStockFilter())
+    .select('name slug images stock reorderLevel variants')
+    .sort({ stock: 1 })
+    .limit(limit)
+    .lean();
+
+  return products.map(product => {
+    const reorderLevel = product.reorderLevel ?? DEFAULT_REORDER_LEVEL;
+    const lowVariants = (product.variants || [])
+      .filter(variant => variant.isActive !== false && variant.stock <= reorderLevel)
+      .map(variant => ({ _id: variant._id, sku: variant.sku, options: variant.options, stock: variant.stock }));
+
+    return {
+      _id: product._id,
+      name: product.name,
+      slug: product.slug,
+      image: product.images && product.images[0],
+      stock: product.stock,
+      reorderLevel,
+      isOutOfStock: product.stock === 0,
+      lowVariants
+    };
+  });
+};
@@ -0,0 +1,195 @@
+const Media = require('../models/Media');
+const storageService = require('./storageService');
+
+// Fields holding image URLs, per model (dotted paths reach into arrays of subdocuments)
+const MEDIA_FIELDS = {
+  Product: ['images', 'variants.images'],
+  Banner: ['image'],
+  Brand: ['logo'],
+  Category: ['image'],
+  // Order lines keep the product image they were bought with, so it outlives product edits
+  Order: ['deliveryProofUrl', 'orderItems.image', 'statusHistory.proofUrl'],
+  Review: ['images.url'],
+  Return: ['images.url']
+};
+
+// Uploads left unreferenced for longer than this are removed by the cleanup job
+const ORPHAN_MAX_AGE_HOURS = parseInt(process.env.MEDIA_ORPHAN_MAX_AGE_HOURS) || 48;
+
+// Collect every string value at a dotted path, walking through arrays
+const valuesAtPath = (value, parts) => {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.flatMap(item => valuesAtPath(item, parts));
+  if (parts.length === 0) return typeof value === 'string' && value ? [value] : [];
+  return valuesAtPath(value[parts[0]], parts.slice(1));
+};
+
+/**
+ * Image URLs used by a document
+ * @param {String} model - One of Media.REFERENCE_MODELS
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Array} Distinct URLs
+ */
+exports.extractUrls = (model, doc) => {
+  const plain = doc && typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  const urls = (MEDIA_FIELDS[model] || []).flatMap(field => valuesAtPath(plain, field.split('.')));
+  return [...new Set(urls)];
+};
+
+/**
+ * Record files that have just been uploaded
+ * @param {Object} req - Express request (the uploader is req.user)
+ * @param {Array} files - Multer files (file.path is the URL, file.filename the public_id)
+ * @returns {Array} Media documents
+ */
+exports.recordUploads = async (req, files) => {
+  const list = (files || []).filter(Boolean);
+  if (list.length === 0) return [];
+
+  return Media.insertMany(list.map(file => ({
+    publicId: file.filename,
+    url: file.path,
+    driver: storageService.driverName,
+    folder: file.filename.includes('/') ? file.filename.slice(0, file.filename.lastIndexOf('/')) : '',
+    uploadedBy: req.user ? req.user._id : undefined,
+    size: file.size,
+    format: file.format || (file.mimetype || '').split('/')[1]
+  })));
+};
+
+/**
+ * Delete files uploaded with a request that was then rejected
+ * Failures are logged; anything left behind is never recorded, so nothing else points at it.
+ * @param {Array} files - Multer files
+ */
+exports.discardUploads = async (files) => {
+  const list = (files || []).filter(Boolean);
+  await Promise.all(list.map(async file => {
+    try {
+      await storageService.deleteFile(file.filename);
+    } catch (error) {
+      console.error(`Failed to delete rejected upload ${file.filename}:`, error.message);
+    }
+  }));
+};
+
+/**
+ * Point tracked uploads at the images a document currently uses
+ * Uploads it no longer uses lose the reference and start aging towards cleanup.
+ * Failures are logged rather than thrown so tracking never breaks the save itself.
+ * @param {String} model - One of Media.REFERENCE_MODELS
+ * @param {Object} doc - Saved document (null/undefined to release everything for documentId)
+ * @param {String} [documentId] - Needed when doc is null (e.g. after a delete)
+ */
+exports.syncReferences = async (model, doc, documentId = null) => {
+  const id = doc ? doc._id : documentId;
+  if (!id) return;
+
+  try {
+    const urls = doc ? exports.extractUrls(model, doc) : [];
+    const reference = { model, document: id };
+
+    const released = await Media.find({
+      references: { $elemMatch: reference },
+      url: { $nin: urls }
+    }).select('_id');
+
+    if (released.length > 0) {
+      const releasedIds = released.map(media => media._id);
+      await Media.updateMany({ _id: { $in: releasedIds } }, { $pull: { references: reference } });
+      await Media.updateMany(
+        { _id: { $in: releasedIds }, references: { $size: 0 } },
+        { $set: { unreferencedAt: new Date() } }
+      );
+    }
+
+    if (urls.length > 0) {
+      await Media.updateMany(
+        { url: { $in: urls }, status: 'active', references: { $not: { $elemMatch: reference } } },
+        { $push: { references: reference }, $set: { unreferencedAt: null } }
+      );
+    }
+  } catch (error) {
+    console.error(`Media reference sync failed for ${model} ${id}:`, error);
+  }
+};
+
+/**
+ * Release every upload a deleted document was using
+ * @param {String} model - One of Media.REFERENCE_MODELS
+ * @param {String} documentId - Deleted document's ID
+ */
+exports.releaseReferences = (model, documentId) => exports.syncReferences(model, null, documentId);
+
+/**
+ * Delete a stored file and mark its Media record deleted
+ * @param {Object} media - Media document
+ * @returns {Object} Storage driver result
+ */
+exports.deleteMedia = async (media) => {
+  const result = await storageService.deleteFile(media.publicId);
+  media.status = 'deleted';
+  media.deletedAt = new Date();
+  await media.save();
+  return result;
+};
+
+/**
+ * Uploads nothing has referenced for longer than the threshold
+ * @param {Object} options - { olderThanHours, limit }
+ * @returns {Array} Media documents
+ */
+exports.findOrphans = ({ olderThanHours = ORPHAN_MAX_AGE_HOURS, limit = 200 } = {}) => Media.find({
+  status: 'active',
+  references: { $size: 0 },
+  unreferencedAt: { $lte: new Date(Date.now() - olderThanHours * 60 * 60 * 1000) }
+})
+  .sort({ unreferencedAt: 1 })
+  .limit(limit);
+
+/**
+ * Delete orphaned uploads from storage
+ * @param {Object} options - { olderThanHours, limit, dryRun }
+ * @returns {Object} { checked, deleted, failed, orphans }
+ */
+exports.cleanupOrphans = async ({ olderThanHours = ORPHAN_MAX_AGE_HOURS, limit = 200, dryRun = false } = {}) => {
+  const orphans = await exports.findOrphans({ olderThanHours, limit });
+  const summary = { checked: orphans.length, deleted: 0, failed: 0, orphans: [] };
+
+  for (const media of orphans) {
+    summary.orphans.push({ publicId: media.publicId, url: media.url, unreferencedAt: media.unreferencedAt });
+    if (dryRun) continue;
+
+    // Re-check in case something started using it since the query ran
+    const stillOrphaned = await Media.exists({ _id: media._id, references: { $size: 0 }, status: 'active' });
+    if (!stillOrphaned) continue;
+
+    try {
+      await exports.deleteMedia(media);
+      summary.deleted++;
+    } catch (error) {
+      console.error(`Failed to delete orphaned upload ${media.publicId}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// Start the background worker that removes orphaned uploads
+exports.startMediaCleanupWorker = (intervalHours = parseInt(process.env.MEDIA_CLEANUP_INTERVAL_HOURS) || 6) => {
+  const timer = setInterval(async () => {
+    try {
+      const summary = await exports.cleanupOrphans();
+      if (summary.checked > 0) {
+        console.log(`Media cleanup: ${summary.checked} orphaned upload(s), deleted ${summary.deleted}, failed ${summary.failed}`);
+      }
+    } catch (error) {
+      console.error('Media cleanup worker error:', error);
+    }
+  }, intervalHours * 60 * 60 * 1000);
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  return timer;
+};
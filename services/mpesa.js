@@ -1,4 +1,7 @@
 const axios = require('axios');
+const Order = require('../models/Order');
+const MpesaTransaction = require('../models/MpesaTransaction');
+const PaymentException = require('../models/PaymentException');
 
 // M-Pesa configuration
 const MPESA_CONFIG = {
@@ -7,21 +10,52 @@ const MPESA_CONFIG = {
   businessShortCode: process.env.MPESA_BUSINESS_SHORTCODE,
   passkey: process.env.MPESA_PASSKEY,
   environment: process.env.MPESA_ENVIRONMENT || 'sandbox', // 'sandbox' or 'production'
-  callbackUrl: process.env.MPESA_CALLBACK_URL || 'https://02c5379f2610.ngrok-free.app/api/mpesa/callback'
+  callbackUrl: process.env.MPESA_CALLBACK_URL || 'https://02c5379f2610.ngrok-free.app/api/mpesa/callback',
+  // B2C (business to customer) disbursements for agent payouts
+  b2cShortCode: process.env.MPESA_B2C_SHORTCODE,
+  b2cInitiatorName: process.env.MPESA_B2C_INITIATOR_NAME,
+  b2cSecurityCredential: process.env.MPESA_B2C_SECURITY_CREDENTIAL,
+  b2cResultUrl: process.env.MPESA_B2C_RESULT_URL,
+  b2cTimeoutUrl: process.env.MPESA_B2C_TIMEOUT_URL,
+  // C2B (paybill/till) payments made with the order number as account reference
+  c2bShortCode: process.env.MPESA_C2B_SHORTCODE || process.env.MPESA_BUSINESS_SHORTCODE,
+  c2bConfirmationUrl: process.env.MPESA_C2B_CONFIRMATION_URL,
+  c2bValidationUrl: process.env.MPESA_C2B_VALIDATION_URL
 };
 
-// M-Pesa API URLs
-const MPESA_URLS = {
-  sandbox: {
-    oauth: 'https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials',
-    stkpush: 'https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest'
-  },
-  production: {
-    oauth: 'https://api.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials',
-    stkpush: 'https://api.safaricom.co.ke/mpesa/stkpush/v1/processrequest'
+// M-Pesa API base URLs (MPESA_BASE_URL overrides these, e.g. to point at a local Daraja stub)
+const MPESA_BASE_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke'
+};
+
+// M-Pesa API paths
+const MPESA_PATHS = {
+  oauth: '/oauth/v1/generate?grant_type=client_credentials',
+  stkpush: '/mpesa/stkpush/v1/processrequest',
+  stkquery: '/mpesa/stkpushquery/v1/query',
+  b2c: '/mpesa/b2c/v1/paymentrequest',
+  c2bregister: '/mpesa/c2b/v1/registerurl'
+};
+
+// Build the full URL for an M-Pesa endpoint
+const getMpesaUrl = (endpoint) => {
+  const baseUrl = (process.env.MPESA_BASE_URL || MPESA_BASE_URLS[MPESA_CONFIG.environment]).replace(/\/$/, '');
+  return `${baseUrl}${MPESA_PATHS[endpoint]}`;
+};
+
+// Append the shared secret the callback handlers check for to a callback URL
+const withCallbackSecret = (url) => {
+  if (!process.env.MPESA_CALLBACK_SECRET) {
+    return url;
   }
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}secret=${encodeURIComponent(process.env.MPESA_CALLBACK_SECRET)}`;
 };
 
+// Daraja error code returned by STK Query while the customer has not yet responded
+const STK_QUERY_PROCESSING_CODE = '500.001.1001';
+
 // Generate timestamp in the format YYYYMMDDHHmmss
 const generateTimestamp = () => {
   const now = new Date();
@@ -49,7 +83,7 @@ exports.generateToken = async () => {
     ).toString('base64');
 
     const response = await axios.get(
-      MPESA_URLS[MPESA_CONFIG.environment].oauth,
+      getMpesaUrl('oauth'),
       {
         headers: {
           'Authorization': `Basic ${auth}`,
@@ -92,7 +126,7 @@ exports.initiateSTKPushRequest = async ({
       PartyA: phoneNumber,
       PartyB: MPESA_CONFIG.businessShortCode,
       PhoneNumber: phoneNumber,
-      CallBackURL: MPESA_CONFIG.callbackUrl,
+      CallBackURL: withCallbackSecret(MPESA_CONFIG.callbackUrl),
       AccountReference: accountReference,
       TransactionDesc: `Payment for order ${orderId}`
     };
@@ -100,7 +134,7 @@ exports.initiateSTKPushRequest = async ({
     console.log('STK Push request:', JSON.stringify(requestBody, null, 2));
 
     const response = await axios.post(
-      MPESA_URLS[MPESA_CONFIG.environment].stkpush,
+      getMpesaUrl('stkpush'),
       requestBody,
       {
         headers: {
@@ -116,7 +150,9 @@ exports.initiateSTKPushRequest = async ({
     if (response.data && response.data.ResponseCode === '0') {
       return {
         success: true,
-        data: response.data
+        data: response.data,
+        // Request as sent, minus the password, for the transaction record
+        request: { ...requestBody, Password: undefined, CallBackURL: MPESA_CONFIG.callbackUrl }
       };
     } else {
       return {
@@ -133,6 +169,414 @@ exports.initiateSTKPushRequest = async ({
   }
 };
 
+// Normalize a Kenyan phone number to the 2547XXXXXXXX format M-Pesa expects
+exports.formatPhoneNumber = (phoneNumber) => {
+  const cleanPhoneNumber = String(phoneNumber).replace(/[^0-9]/g, '');
+
+  if (cleanPhoneNumber.startsWith('0')) {
+    return '254' + cleanPhoneNumber.substring(1);
+  }
+  if (cleanPhoneNumber.startsWith('254')) {
+    return cleanPhoneNumber;
+  }
+  return null;
+};
+
+// Initiate B2C payment request (send money to a customer/agent)
+exports.initiateB2CPaymentRequest = async ({
+  token,
+  phoneNumber,
+  amount,
+  remarks,
+  occasion = ''
+}) => {
+  try {
+    const requestBody = {
+      InitiatorName: MPESA_CONFIG.b2cInitiatorName,
+      SecurityCredential: MPESA_CONFIG.b2cSecurityCredential,
+      CommandID: 'BusinessPayment',
+      Amount: Math.floor(amount), // Ensure whole number, never rounding up a payout
+      PartyA: MPESA_CONFIG.b2cShortCode,
+      PartyB: phoneNumber,
+      Remarks: remarks || 'Agent commission payout',
+      QueueTimeOutURL: withCallbackSecret(MPESA_CONFIG.b2cTimeoutUrl),
+      ResultURL: withCallbackSecret(MPESA_CONFIG.b2cResultUrl),
+      Occasion: occasion
+    };
+
+    console.log('B2C request:', JSON.stringify({ ...requestBody, SecurityCredential: '[redacted]' }, null, 2));
+
+    const response = await axios.post(
+      getMpesaUrl('b2c'),
+      requestBody,
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 15000
+      }
+    );
+
+    console.log('B2C response:', JSON.stringify(response.data, null, 2));
+
+    if (response.data && response.data.ResponseCode === '0') {
+      return {
+        success: true,
+        data: response.data
+      };
+    } else {
+      return {
+        success: false,
+        message: response.data?.ResponseDescription || response.data?.errorMessage || 'B2C payment failed'
+      };
+    }
+  } catch (error) {
+    console.error('B2C error:', error.response?.data || error.message);
+    // No response (e.g. our request timed out) means M-Pesa may still have accepted the
+    // payment, so the caller must not treat it as failed and send again
+    return {
+      success: false,
+      uncertain: !error.response,
+      message: error.response?.data?.errorMessage || 'Failed to initiate B2C payment'
+    };
+  }
+};
+
+// Parse a B2C result callback into a flat object
+exports.parseB2CResult = (result) => {
+  const parsed = {
+    resultCode: parseInt(result.ResultCode, 10),
+    resultDesc: result.ResultDesc || '',
+    conversationId: result.ConversationID || '',
+    originatorConversationId: result.OriginatorConversationID || '',
+    transactionId: result.TransactionID || '',
+    transactionAmount: null,
+    transactionReceipt: '',
+    receiverName: '',
+    completedAt: ''
+  };
+
+  const parameters = result.ResultParameters && result.ResultParameters.ResultParameter;
+  if (Array.isArray(parameters)) {
+    parameters.forEach(parameter => {
+      switch (parameter.Key) {
+        case 'TransactionAmount':
+          parsed.transactionAmount = Number(parameter.Value);
+          break;
+        case 'TransactionReceipt':
+          parsed.transactionReceipt = parameter.Value;
+          break;
+        case 'ReceiverPartyPublicName':
+          parsed.receiverName = parameter.Value;
+          break;
+        case 'TransactionCompletedDateTime':
+          parsed.completedAt = parameter.Value;
+          break;
+      }
+    });
+  }
+
+  return parsed;
+};
+
+// Register C2B confirmation and validation URLs for the paybill/till
+exports.registerC2BUrls = async ({ token, responseType = 'Completed' }) => {
+  try {
+    const requestBody = {
+      ShortCode: MPESA_CONFIG.c2bShortCode,
+      ResponseType: responseType, // What M-Pesa does if validation is unreachable: 'Completed' or 'Cancelled'
+      ConfirmationURL: withCallbackSecret(MPESA_CONFIG.c2bConfirmationUrl),
+      ValidationURL: withCallbackSecret(MPESA_CONFIG.c2bValidationUrl)
+    };
+
+    const response = await axios.post(
+      getMpesaUrl('c2bregister'),
+      requestBody,
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 15000
+      }
+    );
+
+    console.log('C2B register response:', JSON.stringify(response.data, null, 2));
+
+    if (response.data && (response.data.ResponseCode === '0' || response.data.ResponseCode === 0)) {
+      return {
+        success: true,
+        data: response.data
+      };
+    } else {
+      return {
+        success: false,
+        message: response.data?.ResponseDescription || response.data?.errorMessage || 'C2B URL registration failed'
+      };
+    }
+  } catch (error) {
+    console.error('C2B register error:', error.response?.data || error.message);
+    return {
+      success: false,
+      message: error.response?.data?.errorMessage || 'Failed to register C2B URLs'
+    };
+  }
+};
+
+// Query the status of an STK Push request
+exports.querySTKPushStatus = async ({ token, checkoutRequestId }) => {
+  try {
+    const timestamp = generateTimestamp();
+    const password = generatePassword(timestamp);
+
+    const response = await axios.post(
+      getMpesaUrl('stkquery'),
+      {
+        BusinessShortCode: MPESA_CONFIG.businessShortCode,
+        Password: password,
+        Timestamp: timestamp,
+        CheckoutRequestID: checkoutRequestId
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 15000
+      }
+    );
+
+    console.log('STK Query response:', JSON.stringify(response.data, null, 2));
+
+    return {
+      success: true,
+      processing: false,
+      data: response.data
+    };
+  } catch (error) {
+    const errorData = error.response?.data;
+
+    // The request is still waiting on the customer
+    if (errorData && errorData.errorCode === STK_QUERY_PROCESSING_CODE) {
+      return {
+        success: true,
+        processing: true,
+        data: errorData
+      };
+    }
+
+    console.error('STK Query error:', errorData || error.message);
+    return {
+      success: false,
+      message: errorData?.errorMessage || 'Failed to query payment status'
+    };
+  }
+};
+
+// Mark an order as paid from a confirmed M-Pesa payment
+// The paid flag is taken in a single conditional update, so two payments can't both settle
+// the order and a cancelled order (stock and credit already released) is never marked paid.
+// Returns the paid order, or null if it was already paid or has been cancelled
+exports.markOrderPaid = async (order, { receiptNumber, transactionDate }) => {
+  const paidOrder = await Order.findOneAndUpdate(
+    { _id: order._id, isPaid: { $ne: true }, status: { $ne: 'cancelled' } },
+    {
+      $set: {
+        isPaid: true,
+        paidAt: new Date(),
+        paymentResult: {
+          id: receiptNumber,
+          status: 'completed',
+          update_time: transactionDate || new Date().toISOString(),
+          email_address: ''
+        }
+      },
+      // Paid orders keep their stock
+      $unset: { reservationExpiresAt: 1 }
+    },
+    { new: true }
+  );
+
+  if (!paidOrder) {
+    console.log(`Order ${order._id} is already paid or has been cancelled; payment ${receiptNumber} not applied`);
+    return null;
+  }
+
+  // Orders paid at the station may already be further along than 'pending'
+  if (paidOrder.status === 'pending') {
+    const moved = await Order.updateOne(
+      { _id: paidOrder._id, status: 'pending' },
+      {
+        $set: { status: 'processing' },
+        $push: { statusHistory: Order.statusHistoryEntry('pending', 'processing', { note: `M-Pesa payment ${receiptNumber}` }) }
+      }
+    );
+    if (moved.modifiedCount > 0) {
+      paidOrder.status = 'processing';
+    }
+  }
+  console.log(`Order ${paidOrder._id} updated to paid`);
+
+  return paidOrder;
+};
+
+// Record a payment that arrived for a cancelled order; the customer needs a refund
+exports.recordPaidAfterCancellation = (transaction, order, { source = 'stk_callback', ...fields } = {}) =>
+  PaymentException.create({
+    type: 'paid_after_cancellation',
+    source,
+    transactionId: transaction._id,
+    orderId: transaction.orderId,
+    checkoutRequestId: transaction.checkoutRequestId,
+    expectedAmount: transaction.amount,
+    expectedPhone: transaction.phoneNumber,
+    description: `Order ${order ? order.orderNumber : transaction.orderId} was cancelled before payment ${fields.mpesaReceiptNumber || transaction.checkoutRequestId} arrived; it needs a refund`,
+    ...fields
+  });
+
+// Mark a transaction as paid and update its order
+// The order is only touched by whoever wins the claim on the transaction
+// Returns { transaction, order }, or null if the transaction had already left fromStatuses
+exports.settleTransaction = async (transaction, details = {}, fromStatuses = ['pending']) => {
+  const settled = await transaction.markCompleted(details, fromStatuses);
+  if (!settled) {
+    console.log(`Transaction ${transaction.checkoutRequestId} was already settled elsewhere; order left unchanged`);
+    return null;
+  }
+
+  const order = await Order.findById(transaction.orderId);
+  if (!order) {
+    return { transaction: settled, order: null };
+  }
+
+  const paidOrder = await exports.markOrderPaid(order, {
+    receiptNumber: details.mpesaReceiptNumber || transaction.checkoutRequestId,
+    transactionDate: details.transactionDate
+  });
+
+  // Cancelled after the caller checked it: the money is in, but the order can't take it
+  if (!paidOrder && order.status === 'cancelled') {
+    await exports.recordPaidAfterCancellation(settled, order, {
+      mpesaReceiptNumber: details.mpesaReceiptNumber
+    });
+  }
+
+  return { transaction: settled, order: paidOrder || order };
+};
+
+// Reconcile a single pending transaction using the STK Query API
+exports.reconcileTransaction = async (transaction, token = null) => {
+  if (transaction.status !== 'pending') {
+    return { checkoutRequestId: transaction.checkoutRequestId, status: transaction.status, changed: false };
+  }
+
+  const accessToken = token || await exports.generateToken();
+  if (!accessToken) {
+    return { checkoutRequestId: transaction.checkoutRequestId, status: 'pending', changed: false, error: 'Failed to authenticate with M-Pesa' };
+  }
+
+  const queryResponse = await exports.querySTKPushStatus({
+    token: accessToken,
+    checkoutRequestId: transaction.checkoutRequestId
+  });
+
+  if (!queryResponse.success) {
+    return { checkoutRequestId: transaction.checkoutRequestId, status: 'pending', changed: false, error: queryResponse.message };
+  }
+
+  if (queryResponse.processing) {
+    return { checkoutRequestId: transaction.checkoutRequestId, status: 'pending', changed: false };
+  }
+
+  const resultCode = parseInt(queryResponse.data.ResultCode, 10);
+  const resultDesc = queryResponse.data.ResultDesc || '';
+
+  // Paid for an order that has since been cancelled: held for a refund, never settled
+  const order = resultCode === 0 ? await Order.findById(transaction.orderId).select('status orderNumber') : null;
+
+  let updated;
+  if (order && order.status === 'cancelled') {
+    updated = await transaction.markFlagged('Order cancelled', { resultCode, resultDesc }) && 'flagged';
+    if (updated) {
+      await exports.recordPaidAfterCancellation(transaction, order, { source: 'stk_query' });
+    }
+  } else if (resultCode === 0) {
+    updated = await exports.settleTransaction(transaction, {
+      resultCode,
+      resultDesc,
+      note: 'Confirmed via STK Query reconciliation'
+    }) && 'completed';
+  } else {
+    updated = await transaction.markFailed(resultDesc || 'Payment failed', { resultCode, resultDesc }) && 'failed';
+  }
+
+  // A callback that arrived while we were querying has already handled it
+  if (!updated) {
+    const current = await MpesaTransaction.findById(transaction._id).select('status');
+    return { checkoutRequestId: transaction.checkoutRequestId, status: current ? current.status : transaction.status, changed: false, resultCode, resultDesc };
+  }
+
+  return { checkoutRequestId: transaction.checkoutRequestId, status: updated, changed: true, resultCode, resultDesc };
+};
+
+// Reconcile pending transactions, either for one order or all stale ones
+// Never-tried and least recently tried come first, so transactions that keep failing
+// to resolve don't hold back newer ones.
+exports.reconcilePendingTransactions = async ({ orderId, olderThanMinutes = 5, limit = 50 } = {}) => {
+  const query = { status: 'pending' };
+  if (orderId) {
+    query.orderId = orderId;
+  } else {
+    query.createdAt = { $lte: new Date(Date.now() - olderThanMinutes * 60 * 1000) };
+  }
+
+  const transactions = await MpesaTransaction.find(query)
+    .sort({ lastReconcileAttemptAt: 1, createdAt: 1 })
+    .limit(limit);
+
+  if (transactions.length === 0) {
+    return [];
+  }
+
+  const token = await exports.generateToken();
+  const results = [];
+
+  for (const transaction of transactions) {
+    try {
+      await MpesaTransaction.updateOne(
+        { _id: transaction._id },
+        { $set: { lastReconcileAttemptAt: new Date() }, $inc: { reconcileAttempts: 1 } }
+      );
+      results.push(await exports.reconcileTransaction(transaction, token));
+    } catch (error) {
+      console.error(`Reconciliation error for ${transaction.checkoutRequestId}:`, error);
+      results.push({ checkoutRequestId: transaction.checkoutRequestId, status: transaction.status, changed: false, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Start the background reconciliation worker
+exports.startReconciliationWorker = (intervalMinutes = parseInt(process.env.MPESA_RECONCILE_INTERVAL_MINUTES) || 5) => {
+  const timer = setInterval(async () => {
+    try {
+      const results = await exports.reconcilePendingTransactions({ olderThanMinutes: intervalMinutes });
+      const changed = results.filter(result => result.changed).length;
+      if (results.length > 0) {
+        console.log(`M-Pesa reconciliation: checked ${results.length} transaction(s), updated ${changed}`);
+      }
+    } catch (error) {
+      console.error('M-Pesa reconciliation worker error:', error);
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  return timer;
+};
+
 // Validate M-Pesa configuration
 exports.validateConfig = () => {
   const requiredFields = [
@@ -151,4 +595,17 @@ exports.validateConfig = () => {
   }
 
   return true;
+};
+
+// Check whether B2C disbursements are configured
+exports.isB2CConfigured = () => {
+  const requiredFields = [
+    'MPESA_B2C_SHORTCODE',
+    'MPESA_B2C_INITIATOR_NAME',
+    'MPESA_B2C_SECURITY_CREDENTIAL',
+    'MPESA_B2C_RESULT_URL',
+    'MPESA_B2C_TIMEOUT_URL'
+  ];
+
+  return requiredFields.every(field => !!process.env[field]);
 };
\ No newline at end of file
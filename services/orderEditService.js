@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Commission = require('../models/Commission');
+const MpesaTransaction = require('../models/MpesaTransaction');
+const chamaService = require('./chamaService');
+const storeCreditService = require('./storeCreditService');
+const { reserveStock, restoreStock } = require('./inventoryService');
+const { roundMoney, calculateTotals } = require('./pricingService');
+const { EDITABLE_STATUSES } = require('../config/orderStatus');
+
+/**
+ * Work out the new quantity of each order line from an edit request
+ * @param {Object} order - Order being edited
+ * @param {Array} requested - [{ orderItemId, quantity }]; quantity 0 removes the line
+ * @returns {Array} Changed lines [{ item, fromQuantity, toQuantity }]
+ * @throws {Error} If a line is unknown, repeated or has an invalid quantity
+ */
+const planChanges = (order, requested) => {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new Error('No item changes provided');
+  }
+
+  const seen = new Set();
+  const changes = [];
+
+  requested.forEach(line => {
+    const orderItemId = String(line.orderItemId || line.orderItem || '');
+    const item = order.orderItems.id(orderItemId);
+    if (!item) {
+      throw new Error('Item is not part of this order');
+    }
+    if (seen.has(orderItemId)) {
+      throw new Error(`${item.name} is listed more than once`);
+    }
+    seen.add(orderItemId);
+
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new Error(`Quantity for ${item.name} must be a whole number (0 removes it)`);
+    }
+
+    if (quantity !== item.quantity) {
+      changes.push({ item, fromQuantity: item.quantity, toQuantity: quantity });
+    }
+  });
+
+  if (changes.length === 0) {
+    throw new Error('The order already has these quantities');
+  }
+
+  const remaining = order.orderItems.filter(item => {
+    const change = changes.find(c => c.item._id.equals(item._id));
+    return change ? change.toQuantity > 0 : true;
+  });
+  if (remaining.length === 0) {
+    throw new Error('An order must keep at least one item; cancel the order instead');
+  }
+
+  return changes;
+};
+
+// VAT the order was priced with. Orders placed before it was stored are worked out from
+// their own figures: if the full total is just items plus shipping, VAT was included in the prices.
+const getOrderVat = (order) => {
+  if (order.vat && typeof order.vat.rate === 'number') {
+    return { rate: order.vat.rate, inclusive: order.vat.inclusive !== false };
+  }
+
+  const itemsPrice = order.itemsPrice || 0;
+  const taxPrice = order.taxPrice || 0;
+  if (itemsPrice <= 0 || taxPrice <= 0) {
+    return { rate: 0, inclusive: false };
+  }
+
+  const gross = order.totalPrice + (order.chamaAmountRedeemed || 0) + (order.storeCreditApplied || 0);
+  const inclusive = Math.abs(gross - (itemsPrice + (order.shippingPrice || 0))) < 0.01;
+  return {
+    rate: inclusive ? taxPrice / (itemsPrice - taxPrice) : taxPrice / itemsPrice,
+    inclusive
+  };
+};
+
+// Keep a pending agent order commission in line with the new order total
+const updateAgentOrderCommission = async (order, session) => {
+  const commission = await Commission.findOne({
+    orderId: order._id,
+    type: 'agent_order',
+    status: 'pending'
+  }).session(session);
+
+  if (!commission || commission.isFixedAmount) return null;
+
+  commission.orderTotal = order.totalPrice;
+  commission.amount = Math.round(order.totalPrice * commission.commissionRate);
+  commission.description = `Agent order commission: ${(commission.commissionRate * 100).toFixed(1)}% of KSh ${order.totalPrice.toLocaleString()} = KSh ${commission.amount.toLocaleString()} (order edited)`;
+  await commission.save({ session });
+  return commission;
+};
+
+/**
+ * Change item quantities (or remove items) on an order that hasn't been shipped
+ * Stock is taken or returned per line, prices are recalculated at the prices the items were
+ * bought at (VAT at the order's own rate, shipping unchanged), chama credit is re-applied
+ * and the edit is added to the order's history. Store credit the order no longer needs goes
+ * back to the customer. Paid orders can only get cheaper; the difference (refundDue) is added to
+ * the customer's store credit.
+ * @param {String} orderId - Order ID
+ * @param {Object} edit - { items: [{ orderItemId, quantity }], note }
+ * @param {Object} user - Customer, agent or admin making the change
+ * @returns {Object} { order, edit } - saved order and the history entry added
+ */
+exports.editOrderItems = async (orderId, { items, note = '' }, user) => {
+  let order;
+  let entry;
+
+  const session = await mongoose.startSession();
+  try {
+    // The order is re-read inside the transaction so a retry works from fresh data
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+      if (!EDITABLE_STATUSES.includes(order.status)) {
+        throw new Error(`Items can only be changed while an order is ${EDITABLE_STATUSES.join(' or ')}`);
+      }
+
+      // An STK push for the old total may still be paid, and a held payment is being reviewed
+      const paymentInProgress = await MpesaTransaction.exists({
+        orderId: order._id,
+        status: { $in: ['pending', 'flagged'] }
+      }).session(session);
+      if (paymentInProgress) {
+        throw new Error('A payment for this order is in progress; wait for it to complete or fail before changing items');
+      }
+
+      const changes = planChanges(order, items);
+
+      const before = {
+        itemsPrice: order.itemsPrice,
+        taxPrice: order.taxPrice,
+        chamaAmountRedeemed: order.chamaAmountRedeemed || 0,
+        storeCreditApplied: order.storeCreditApplied || 0,
+        totalPrice: order.totalPrice
+      };
+
+      // Take extra stock first so an edit that can't be fulfilled changes nothing
+      const increases = changes
+        .filter(change => change.toQuantity > change.fromQuantity)
+        .map(change => ({
+          product: change.item.product._id || change.item.product,
+          variant: change.item.variant,
+          sku: change.item.sku,
+          name: change.item.name,
+          quantity: change.toQuantity - change.fromQuantity
+        }));
+      const decreases = changes
+        .filter(change => change.toQuantity < change.fromQuantity)
+        .map(change => ({
+          product: change.item.product._id || change.item.product,
+          variant: change.item.variant,
+          sku: change.item.sku,
+          quantity: change.fromQuantity - change.toQuantity
+        }));
+
+      const stockContext = {
+        type: 'order_edit',
+        order: order._id,
+        performedBy: user._id,
+        note: note || `Order ${order.orderNumber} edited`
+      };
+      await reserveStock(increases, session, stockContext);
+      await restoreStock(decreases, session, stockContext);
+
+      changes.forEach(change => {
+        if (change.toQuantity === 0) {
+          order.orderItems.pull(change.item._id);
+        } else {
+          change.item.quantity = change.toQuantity;
+        }
+      });
+
+      const itemsPrice = roundMoney(order.orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+      const shippingPrice = order.shippingPrice || 0;
+      const vat = getOrderVat(order);
+      const { taxPrice, totalPrice: fullPrice } = calculateTotals({ itemsPrice, shippingPrice, vat });
+
+      let chamaAmountRedeemed = 0;
+      let totalPrice = fullPrice;
+      if (order.useChamaCredit) {
+        // Everything on top of the items (shipping, and VAT when it isn't included in prices)
+        const chama = await chamaService.reevaluateChamaRedemption(order, itemsPrice, roundMoney(fullPrice - itemsPrice), session);
+        chamaAmountRedeemed = chama.amountRedeemed;
+        totalPrice = roundMoney(chama.amountOutsideChama);
+      }
+
+      // Store credit already spent keeps covering the order, up to its new total
+      const storeCreditApplied = roundMoney(Math.min(before.storeCreditApplied, totalPrice));
+      totalPrice = roundMoney(totalPrice - storeCreditApplied);
+
+      if (order.isPaid && totalPrice > before.totalPrice) {
+        throw new Error('This order has already been paid; items can only be removed or reduced');
+      }
+      const refundDue = order.isPaid ? roundMoney(before.totalPrice - totalPrice) : 0;
+      // Agent orders are placed for walk-in customers with no account to credit
+      if (refundDue > 0 && order.createdBy === 'agent') {
+        throw new Error('This order has already been paid and the customer has no account for store credit; items cannot be reduced');
+      }
+
+      order.itemsPrice = itemsPrice;
+      order.taxPrice = taxPrice;
+      order.vat = vat;
+      order.chamaAmountRedeemed = chamaAmountRedeemed;
+      order.storeCreditApplied = storeCreditApplied;
+      order.totalPrice = totalPrice;
+
+      entry = {
+        editedBy: user._id,
+        role: user.role,
+        items: changes.map(change => ({
+          orderItem: change.item._id,
+          name: change.item.name,
+          fromQuantity: change.fromQuantity,
+          toQuantity: change.toQuantity
+        })),
+        itemsPrice: { from: before.itemsPrice, to: itemsPrice },
+        taxPrice: { from: before.taxPrice, to: taxPrice },
+        chamaAmountRedeemed: { from: before.chamaAmountRedeemed, to: chamaAmountRedeemed },
+        storeCreditApplied: { from: before.storeCreditApplied, to: storeCreditApplied },
+        totalPrice: { from: before.totalPrice, to: totalPrice },
+        refundDue,
+        note,
+        editedAt: new Date()
+      };
+      order.editHistory.push(entry);
+
+      await order.save({ session });
+
+      // Store credit the order no longer uses, plus what was paid for items that are gone
+      await storeCreditService.addCredit(
+        order.user._id || order.user,
+        roundMoney(before.storeCreditApplied - storeCreditApplied + refundDue),
+        session
+      );
+
+      if (order.createdBy === 'agent') {
+        await updateAgentOrderCommission(order, session);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  console.log(`Order ${order.orderNumber} edited: total KSh ${entry.totalPrice.from} -> KSh ${entry.totalPrice.to}`);
+  return { order, edit: entry };
+};
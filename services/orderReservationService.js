@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const MpesaTransaction = require('../models/MpesaTransaction');
+const chamaService = require('./chamaService');
+const storeCreditService = require('./storeCreditService');
+const { restoreStock } = require('./inventoryService');
+const { reconcilePendingTransactions } = require('./mpesa');
+const { cancelCommissionsForOrder } = require('../controllers/commissionController');
+const { sendOrderExpiredEmail } = require('../utils/emailService');
+
+// How long an unpaid M-Pesa order keeps its stock before it is auto-cancelled
+const RESERVATION_MINUTES = parseInt(process.env.ORDER_RESERVATION_MINUTES) || 30;
+
+/**
+ * Work out when a new order's stock hold should expire
+ * Only unpaid M-Pesa orders are held; anything else (cash on delivery, fully
+ * covered by chama credit) keeps its stock until it is cancelled manually.
+ * @param {String} paymentMethod - Order payment method
+ * @param {Number} totalPrice - Amount the customer still has to pay
+ * @returns {Date|undefined} Expiry time, or undefined if the order is not held
+ */
+exports.getReservationExpiry = (paymentMethod, totalPrice) => {
+  if (paymentMethod !== 'mpesa' || totalPrice <= 0) {
+    return undefined;
+  }
+  return new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000);
+};
+
+/**
+ * Check whether a payment for the order may still arrive
+ * Pending STK pushes that are past their window are reconciled with Daraja first,
+ * so a customer who paid but whose callback was lost does not lose the order.
+ * @param {Object} order - Order document
+ * @returns {Boolean} True if the order should not be cancelled yet
+ */
+const hasPaymentInProgress = async (order) => {
+  const transactions = await MpesaTransaction.find({
+    orderId: order._id,
+    status: { $in: ['pending', 'flagged'] }
+  });
+
+  // Money received but held for admin review - leave the order alone
+  if (transactions.some(transaction => transaction.status === 'flagged')) {
+    return true;
+  }
+
+  // Customer is still responding to an STK prompt
+  if (transactions.some(transaction => !transaction.isExpired)) {
+    return true;
+  }
+
+  if (transactions.length > 0) {
+    const results = await reconcilePendingTransactions({ orderId: order._id });
+    if (results.some(result => result.error || result.status !== 'failed')) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Cancel an unpaid order and release everything it was holding
+ * Stock, agent commissions and chama credit are reversed in one transaction.
+ * The cancel is conditional on the order still being pending and unpaid, so a
+ * payment landing at the same moment wins and nothing is released.
+ * @param {Object} order - Order document
+ * @param {String} reason - Cancellation reason stored on the order
+ * @returns {Boolean} True if this call cancelled the order
+ */
+exports.releaseOrderReservation = async (order, reason) => {
+  let released = false;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const transition = await Order.updateOne(
+        { _id: order._id, status: 'pending', isPaid: false },
+        {
+          $set: { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason },
+          $push: { statusHistory: Order.statusHistoryEntry('pending', 'cancelled', { note: reason }) },
+          $unset: { reservationExpiresAt: 1 }
+        },
+        { session }
+      );
+
+      released = transition.modifiedCount > 0;
+      if (!released) {
+        return;
+      }
+
+      await restoreStock(order.orderItems, session, { type: 'cancellation', order: order._id, note: reason });
+      await cancelCommissionsForOrder(order._id, session);
+      await chamaService.cancelChamaRedemptionsForOrder(order._id, reason, session);
+      await storeCreditService.restoreOrderCredit(order, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return released;
+};
+
+/**
+ * Let the customer know their order was cancelled
+ * Agent-created orders are addressed to the customer details captured by the agent.
+ * @param {Object} order - Order document (with user populated)
+ */
+const notifyReservationExpired = async (order) => {
+  const contact = order.createdBy === 'agent' ? order.customerInfo : order.user;
+
+  if (!contact || !contact.email) {
+    console.log(`No email on file to notify about expired order ${order.orderNumber}`);
+    return;
+  }
+
+  await sendOrderExpiredEmail(contact.email, contact.name, order.orderNumber, RESERVATION_MINUTES);
+};
+
+/**
+ * Auto-cancel unpaid M-Pesa orders whose stock hold has expired
+ * @param {Object} options - { limit }
+ * @returns {Array} Per-order results
+ */
+exports.expireUnpaidOrders = async ({ limit = 50 } = {}) => {
+  const orders = await Order.find({
+    status: 'pending',
+    isPaid: false,
+    reservationExpiresAt: { $lte: new Date() }
+  })
+    .sort({ reservationExpiresAt: 1 })
+    .limit(limit);
+
+  const results = [];
+
+  for (const order of orders) {
+    try {
+      if (await hasPaymentInProgress(order)) {
+        results.push({ orderId: order._id, expired: false, reason: 'payment_in_progress' });
+        continue;
+      }
+
+      const expired = await exports.releaseOrderReservation(
+        order,
+        `Payment not received within ${RESERVATION_MINUTES} minutes`
+      );
+
+      if (expired) {
+        console.log(`Order ${order.orderNumber} auto-cancelled: stock hold expired`);
+        await notifyReservationExpired(order);
+      }
+
+      results.push({ orderId: order._id, expired });
+    } catch (error) {
+      console.error(`Reservation expiry error for order ${order._id}:`, error);
+      results.push({ orderId: order._id, expired: false, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Start the background worker that releases expired stock holds
+exports.startReservationExpiryWorker = (intervalMinutes = parseInt(process.env.ORDER_RESERVATION_CHECK_INTERVAL_MINUTES) || 5) => {
+  const timer = setInterval(async () => {
+    try {
+      const results = await exports.expireUnpaidOrders();
+      const expired = results.filter(result => result.expired).length;
+      if (results.length > 0) {
+        console.log(`Order reservations: checked ${results.length} order(s), cancelled ${expired}`);
+      }
+    } catch (error) {
+      console.error('Order reservation worker error:', error);
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Order = require('../models/Order');
+const smsService = require('./smsService');
+const { sendPickupCodeEmail } = require('../utils/emailService');
+
+// Wrong codes allowed before the code is locked and a new one has to be issued
+const MAX_CODE_ATTEMPTS = 5;
+
+// Counter OTP fallback
+const OTP_MINUTES = 10;
+const MAX_OTP_ATTEMPTS = 5;
+
+// QR payload: "CESSPLUG:<orderNumber>:<code>"
+const QR_PREFIX = 'CESSPLUG';
+
+const generateCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+const codesMatch = (expected, given) => {
+  if (!expected || !given) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given).trim());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Who to send the code to: the walk-in customer for agent orders, otherwise the account holder
+const getCustomerContact = (order) => {
+  const contact = order.createdBy === 'agent' ? order.customerInfo : order.user;
+  return {
+    name: (contact && contact.name) || 'Customer',
+    phone: contact && contact.phone,
+    email: contact && contact.email
+  };
+};
+
+/**
+ * Send the pickup code to the customer by SMS and email
+ * Delivery failures are logged, not thrown; the code can be resent.
+ * @param {Object} order - Order (user and pickupStation populated)
+ * @param {String} code - Pickup code
+ * @returns {Object} { sms, email } - whether each channel was sent
+ */
+const notifyCustomer = async (order, code) => {
+  const contact = getCustomerContact(order);
+  const station = order.pickupStation && order.pickupStation.name ? order.pickupStation : null;
+  const sent = { sms: false, email: false };
+
+  if (contact.phone) {
+    try {
+      await smsService.sendMessage(
+        contact.phone,
+        `Hello ${contact.name}, order ${order.orderNumber} is ready for pickup${station ? ` at ${station.name}` : ''}. Your pickup code is ${code}. Show it to the agent when you collect.`
+      );
+      sent.sms = true;
+    } catch (error) {
+      console.error(`Pickup code SMS failed for order ${order.orderNumber}:`, error.message);
+    }
+  }
+
+  if (contact.email) {
+    const result = await sendPickupCodeEmail(contact.email, contact.name, order.orderNumber, code, station);
+    sent.email = result.success;
+  }
+
+  if (!sent.sms && !sent.email) {
+    console.log(`Pickup code for order ${order.orderNumber} could not be sent to the customer`);
+  }
+
+  return sent;
+};
+
+/**
+ * Issue a pickup code for an order that has arrived at its station and send it to the customer
+ * Reuses the current code unless it is locked or regenerate is set.
+ * @param {Object} order - Order (user and pickupStation populated)
+ * @param {Object} options - { regenerate }
+ * @returns {Object} { sent: { sms, email }, regenerated }
+ */
+exports.issuePickupCode = async (order, { regenerate = false } = {}) => {
+  const current = await Order.findById(order._id).select('+pickupCode.code');
+
+  if (current.pickupCode && current.pickupCode.collectedAt) {
+    throw new Error('Order has already been collected');
+  }
+
+  let code = current.pickupCode && current.pickupCode.code;
+  const locked = current.pickupCode && current.pickupCode.attempts >= MAX_CODE_ATTEMPTS;
+  const needsNewCode = !code || locked || regenerate;
+
+  if (needsNewCode) {
+    code = generateCode();
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          'pickupCode.code': code,
+          'pickupCode.issuedAt': new Date(),
+          'pickupCode.attempts': 0
+        }
+      }
+    );
+  }
+
+  const sent = await notifyCustomer(order, code);
+  console.log(`Pickup code ${needsNewCode ? 'issued' : 'resent'} for order ${order.orderNumber}`);
+
+  return { sent, regenerated: needsNewCode };
+};
+
+/**
+ * Send a one-time code to the customer's phone so they can collect without their pickup code
+ * @param {Object} order - Order (user populated)
+ * @returns {Object} { phone } - masked phone number the OTP was sent to
+ */
+exports.sendPickupOtp = async (order) => {
+  const contact = getCustomerContact(order);
+  if (!contact.phone) {
+    throw new Error('No phone number on this order to send a code to');
+  }
+
+  const otp = generateCode();
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        'pickupCode.otp': otp,
+        'pickupCode.otpExpiresAt': new Date(Date.now() + OTP_MINUTES * 60 * 1000),
+        'pickupCode.otpAttempts': 0
+      }
+    }
+  );
+
+  await smsService.sendMessage(
+    contact.phone,
+    `Your CessPlug code to collect order ${order.orderNumber} is ${otp}. Valid for ${OTP_MINUTES} minutes. Only share it with the agent handing over your order.`
+  );
+
+  const digits = String(contact.phone).replace(/\D/g, '');
+  return { phone: `***${digits.slice(-3)}` };
+};
+
+/**
+ * Take one of the limited attempts at a code before comparing it
+ * The increment only happens while attempts remain, so parallel guesses can't go past the limit.
+ * An attempt that turns out to be correct is given back.
+ * @param {Object} order - Order
+ * @param {String} field - 'attempts' or 'otpAttempts'
+ * @param {Number} max - Attempts allowed
+ * @returns {Object|null} Order with the stored codes, or null if no attempts are left
+ */
+const takeAttempt = (order, field, max) => Order.findOneAndUpdate(
+  {
+    _id: order._id,
+    $or: [
+      { [`pickupCode.${field}`]: { $lt: max } },
+      { [`pickupCode.${field}`]: { $exists: false } }
+    ]
+  },
+  { $inc: { [`pickupCode.${field}`]: 1 } },
+  { new: true }
+).select('+pickupCode.code +pickupCode.otp');
+
+const returnAttempt = (order, field) => Order.updateOne(
+  { _id: order._id },
+  { $inc: { [`pickupCode.${field}`]: -1 } }
+);
+
+/**
+ * Check the code an agent entered (or scanned) at handover
+ * Failed attempts are counted; too many lock the code until a new one is issued.
+ * @param {Object} order - Order
+ * @param {Object} submitted - { pickupCode, pickupOtp }
+ * @returns {Object} { valid, method, message }
+ */
+exports.verifyPickup = async (order, { pickupCode, pickupOtp }) => {
+  const current = await Order.findById(order._id).select('+pickupCode.code +pickupCode.otp');
+  const stored = current.pickupCode || {};
+
+  if (pickupCode) {
+    let code = String(pickupCode).trim();
+
+    // Scanned QR codes carry the order number too; it must be this order's
+    if (code.startsWith(`${QR_PREFIX}:`)) {
+      const [, orderNumber, qrCode] = code.split(':');
+      if (orderNumber !== current.orderNumber) {
+        return { valid: false, message: 'This QR code belongs to a different order' };
+      }
+      code = qrCode;
+    }
+
+    if (!stored.code) {
+      return { valid: false, message: 'No pickup code has been issued for this order' };
+    }
+
+    const attempt = await takeAttempt(order, 'attempts', MAX_CODE_ATTEMPTS);
+    if (!attempt) {
+      return { valid: false, message: 'Too many wrong codes; resend a new pickup code to the customer' };
+    }
+
+    if (!codesMatch(attempt.pickupCode.code, code)) {
+      return { valid: false, message: 'Incorrect pickup code' };
+    }
+
+    await returnAttempt(order, 'attempts');
+    return { valid: true, method: 'code' };
+  }
+
+  if (pickupOtp) {
+    if (!stored.otp || !stored.otpExpiresAt || stored.otpExpiresAt < new Date()) {
+      return { valid: false, message: 'Collection code has expired; send a new one' };
+    }
+
+    const attempt = await takeAttempt(order, 'otpAttempts', MAX_OTP_ATTEMPTS);
+    if (!attempt) {
+      return { valid: false, message: 'Too many wrong codes; send a new one' };
+    }
+
+    if (!codesMatch(attempt.pickupCode.otp, pickupOtp)) {
+      return { valid: false, message: 'Incorrect collection code' };
+    }
+
+    await returnAttempt(order, 'otpAttempts');
+    return { valid: true, method: 'otp' };
+  }
+
+  return { valid: false, message: 'Enter the customer\'s pickup code (or a collection code sent to their phone)' };
+};
+
+/**
+ * Mark the code used once the order has been handed over
+ * Conditional on it not already being collected, so a code can only be used once.
+ * @param {Object} order - Order
+ * @param {String} method - 'code', 'otp' or 'admin_override'
+ * @param {Object} user - Agent or admin who handed it over
+ * @param {ClientSession} [session] - MongoDB session
+ * @returns {Boolean} True if this call marked it collected
+ */
+exports.markCollected = async (order, method, user, session = null) => {
+  const result = await Order.updateOne(
+    { _id: order._id, 'pickupCode.collectedAt': { $exists: false } },
+    {
+      $set: {
+        'pickupCode.collectedAt': new Date(),
+        'pickupCode.collectedWith': method,
+        'pickupCode.verifiedBy': user._id
+      },
+      $unset: { 'pickupCode.code': 1, 'pickupCode.otp': 1 }
+    },
+    { session }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Pickup code and QR image for the customer's order page
+ * @param {Object} order - Order
+ * @returns {Object|null} { code, qrCode (PNG data URL), issuedAt } or null if none is active
+ */
+exports.getPickupCodeForCustomer = async (order) => {
+  const current = await Order.findById(order._id).select('+pickupCode.code');
+  const stored = current.pickupCode || {};
+
+  if (!stored.code || stored.collectedAt) {
+    return null;
+  }
+
+  return {
+    code: stored.code,
+    qrCode: await QRCode.toDataURL(`${QR_PREFIX}:${current.orderNumber}:${stored.code}`),
+    issuedAt: stored.issuedAt
+  };
+};
@@ -0,0 +1,143 @@
+const Product = require('../models/Product');
+const { VAT, getShippingFee } = require('../config/pricing');
+
+// Money values are kept to the cent
+exports.roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Order totals the client sends that must match the server's own
+const CHECKED_FIELDS = ['itemsPrice', 'taxPrice', 'shippingPrice', 'totalPrice'];
+
+/**
+ * Tax and amount payable for an items total
+ * With VAT-inclusive prices taxPrice is the VAT already in the items; otherwise it is added on top.
+ * @param {Object} amounts - { itemsPrice, shippingPrice, chamaAmountRedeemed, vat }
+ *   vat defaults to the current config; pass an order's own { rate, inclusive } to keep what it was priced with
+ * @returns {Object} { taxPrice, totalPrice } - totalPrice is what is left to pay after chama credit
+ */
+exports.calculateTotals = ({ itemsPrice, shippingPrice = 0, chamaAmountRedeemed = 0, vat = VAT }) => {
+  const taxPrice = exports.roundMoney(vat.inclusive
+    ? itemsPrice * vat.rate / (1 + vat.rate)
+    : itemsPrice * vat.rate);
+  const gross = itemsPrice + (vat.inclusive ? 0 : taxPrice) + shippingPrice;
+
+  return {
+    taxPrice,
+    totalPrice: exports.roundMoney(Math.max(0, gross - chamaAmountRedeemed))
+  };
+};
+
+/**
+ * Price order lines from the catalogue
+ * Prices sent by the client are ignored; the current product or variant price less any
+ * active discount (flash deals included) is used.
+ * @param {Array} orderItems - [{ product|productId, variant|variantId, quantity }]
+ * @returns {Array} Priced lines ready to store on an order, plus unitPrice details for the quote
+ * @throws {Error} If a product or option is unavailable or a quantity is invalid
+ */
+exports.priceItems = async (orderItems) => {
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    throw new Error('No order items provided');
+  }
+
+  const now = new Date();
+  const priced = [];
+
+  for (const item of orderItems) {
+    const productId = item.productId || item.product;
+    const quantity = Number(item.quantity);
+
+    const product = await Product.findById(productId).select('name price originalPrice discount isFlashDeal flashEndsAt images variants stock isActive');
+    if (!product || !product.isActive) {
+      throw new Error(`Product not found: ${item.productName || item.name || productId}`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error(`Quantity for ${product.name} must be a whole number of at least 1`);
+    }
+
+    let variant = null;
+    if (product.variants.length > 0) {
+      const requested = item.variantId || item.variant;
+      variant = product.findVariant(requested);
+      if (!variant || !variant.isActive) {
+        throw new Error(requested
+          ? `Selected option for ${product.name} is no longer available`
+          : `Please select options for ${product.name}`);
+      }
+    }
+
+    const basePrice = variant && variant.price !== undefined && variant.price !== null ? variant.price : product.price;
+    const discount = product.getActiveDiscount(now);
+    const unitPrice = exports.roundMoney(product.getSellingPrice(variant));
+    const stock = variant ? variant.stock : product.stock;
+
+    priced.push({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : '',
+      variantOptions: variant ? variant.options : [],
+      name: product.name,
+      image: (variant && variant.images.length > 0 ? variant.images[0] : product.images[0]) || item.image,
+      quantity,
+      price: unitPrice,
+      // Quote details
+      basePrice,
+      discount,
+      isFlashDeal: discount > 0 && !!product.isFlashDeal,
+      lineTotal: exports.roundMoney(unitPrice * quantity),
+      inStock: stock >= quantity
+    });
+  }
+
+  return priced;
+};
+
+/**
+ * Work out what an order costs
+ * @param {Object} order - { orderItems, deliveryMethod, shippingAddress, chamaMaxRedemption, storeCreditAvailable }
+ * @returns {Object} { items, itemsPrice, taxPrice, shippingPrice, shippingZone, chamaAmountRedeemed, storeCreditApplied, totalPrice, vat }
+ */
+exports.quoteOrder = async ({ orderItems, deliveryMethod = 'home_delivery', shippingAddress, chamaMaxRedemption = 0, storeCreditAvailable = 0 }) => {
+  const items = await exports.priceItems(orderItems);
+  const itemsPrice = exports.roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+
+  const shipping = getShippingFee({
+    deliveryMethod,
+    city: shippingAddress && shippingAddress.city,
+    itemsPrice
+  });
+
+  // Chama credit covers the items, not tax or shipping
+  const chamaAmountRedeemed = exports.roundMoney(Math.min(itemsPrice, chamaMaxRedemption || 0));
+  const { taxPrice, totalPrice: amountDue } = exports.calculateTotals({
+    itemsPrice,
+    shippingPrice: shipping.fee,
+    chamaAmountRedeemed
+  });
+
+  // Store credit is money the customer already holds, so it can cover anything still due
+  const storeCreditApplied = exports.roundMoney(Math.min(amountDue, storeCreditAvailable || 0));
+
+  return {
+    items,
+    itemsPrice,
+    taxPrice,
+    shippingPrice: shipping.fee,
+    shippingZone: shipping.zone,
+    chamaAmountRedeemed,
+    storeCreditApplied,
+    totalPrice: exports.roundMoney(amountDue - storeCreditApplied),
+    vat: { rate: VAT.rate, inclusive: VAT.inclusive }
+  };
+};
+
+/**
+ * Totals the client sent that don't match the server's quote
+ * Fields the client left out are not checked.
+ * @param {Object} quote - Result of quoteOrder
+ * @param {Object} submitted - Request body
+ * @returns {Array} [{ field, submitted, expected }]
+ */
+exports.findPriceMismatches = (quote, submitted) => CHECKED_FIELDS
+  .filter(field => submitted[field] !== undefined && submitted[field] !== null && submitted[field] !== '')
+  .filter(field => Math.abs(Number(submitted[field]) - quote[field]) >= 0.01 || Number.isNaN(Number(submitted[field])))
+  .map(field => ({ field, submitted: submitted[field], expected: quote[field] }));
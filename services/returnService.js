@@ -0,0 +1,616 @@
+const mongoose = require('mongoose');
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const Commission = require('../models/Commission');
+const User = require('../models/User');
+const { restoreStock } = require('./inventoryService');
+const storeCreditService = require('./storeCreditService');
+const {
+  generateToken,
+  formatPhoneNumber,
+  initiateB2CPaymentRequest,
+  isB2CConfigured
+} = require('./mpesa');
+
+// Days after delivery a customer can still ask to return items
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 14;
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => work(session));
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Last day a delivered order can be returned
+ * @param {Object} order - Order
+ * @returns {Date|null} Null if the order hasn't been delivered
+ */
+exports.getReturnDeadline = (order) => {
+  if (order.status !== 'delivered') return null;
+  const deliveredAt = order.deliveredAt || order.updatedAt;
+  return new Date(new Date(deliveredAt).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * How much of each order line can still be returned
+ * Quantities already on open or completed returns are taken off.
+ * @param {Object} order - Order
+ * @param {String} [excludeReturnId] - Return to leave out of the count
+ * @param {Object} [session] - Mongoose session
+ * @returns {Array} [{ orderItem, product, variant, sku, name, price, image, ordered, returned, returnable }]
+ */
+exports.getReturnableItems = async (order, excludeReturnId = null, session = null) => {
+  const filter = { order: order._id, status: { $in: Return.ACTIVE_STATUSES } };
+  if (excludeReturnId) {
+    filter._id = { $ne: excludeReturnId };
+  }
+  const returns = await Return.find(filter).select('items').session(session).lean();
+
+  const returned = {};
+  returns.forEach(returnDoc => returnDoc.items.forEach(item => {
+    const key = item.orderItem.toString();
+    returned[key] = (returned[key] || 0) + item.quantity;
+  }));
+
+  return order.orderItems.map(item => {
+    const alreadyReturned = returned[item._id.toString()] || 0;
+    return {
+      orderItem: item._id,
+      product: toId(item.product),
+      variant: item.variant,
+      sku: item.sku,
+      name: item.name,
+      price: item.price,
+      image: item.image,
+      ordered: item.quantity,
+      returned: alreadyReturned,
+      returnable: Math.max(0, item.quantity - alreadyReturned)
+    };
+  });
+};
+
+/**
+ * Check a customer's return request against the order and build the return lines
+ * @param {Object} order - Order being returned
+ * @param {Array} requested - [{ orderItemId, quantity, reason, details }]
+ * @param {Object} [session] - Mongoose session
+ * @returns {Object} { items, refundableAmount }
+ * @throws {Error} If the order can't be returned or a line is invalid
+ */
+exports.buildReturnItems = async (order, requested, session = null) => {
+  if (order.status !== 'delivered') {
+    throw new Error('Only delivered orders can be returned');
+  }
+  if (!order.isPaid) {
+    throw new Error('This order has not been paid for');
+  }
+  if (exports.getReturnDeadline(order) < new Date()) {
+    throw new Error(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`);
+  }
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new Error('Choose at least one item to return');
+  }
+
+  const returnable = await exports.getReturnableItems(order, null, session);
+  const seen = new Set();
+
+  const items = requested.map(line => {
+    const orderItemId = String(line.orderItemId || line.orderItem || '');
+    const orderLine = returnable.find(item => item.orderItem.toString() === orderItemId);
+    if (!orderLine) {
+      throw new Error('Item is not part of this order');
+    }
+    if (seen.has(orderItemId)) {
+      throw new Error(`${orderLine.name} is listed more than once`);
+    }
+    seen.add(orderItemId);
+
+    const quantity = parseInt(line.quantity, 10);
+    if (!quantity || quantity < 1) {
+      throw new Error(`Enter how many of ${orderLine.name} you are returning`);
+    }
+    if (quantity > orderLine.returnable) {
+      throw new Error(`Only ${orderLine.returnable} of ${orderLine.name} can be returned`);
+    }
+    if (!Return.RETURN_REASONS.includes(line.reason)) {
+      throw new Error(`Choose a reason for returning ${orderLine.name}`);
+    }
+
+    return {
+      orderItem: orderLine.orderItem,
+      product: orderLine.product,
+      variant: orderLine.variant,
+      sku: orderLine.sku,
+      name: orderLine.name,
+      price: orderLine.price,
+      quantity,
+      reason: line.reason,
+      details: line.details || ''
+    };
+  });
+
+  const refundableAmount = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  return { items, refundableAmount };
+};
+
+/**
+ * Open a return request
+ * The order is written first inside the transaction, so two requests for the same order
+ * conflict and the one that retries counts the quantities the other has just claimed.
+ * @param {Object} order - Order being returned
+ * @param {Object} request - { items, images, notes, pickupStation }
+ * @param {Object} user - Customer asking for the return
+ * @returns {Object} Created return
+ * @throws {Error} If the order can't be returned or a line is invalid
+ */
+exports.createReturn = async (order, { items, images = [], notes = '', pickupStation }, user) => {
+  let returnDoc;
+
+  await withTransaction(async session => {
+    await Order.updateOne({ _id: order._id }, { $set: { lastReturnRequestedAt: new Date() } }, { session });
+    const current = await Order.findById(order._id).session(session);
+
+    const { items: returnItems, refundableAmount } = await exports.buildReturnItems(current, items, session);
+
+    [returnDoc] = await Return.create([{
+      order: current._id,
+      user: user._id,
+      items: returnItems,
+      images,
+      customerNotes: notes,
+      pickupStation,
+      refundableAmount
+    }], { session });
+  });
+
+  return returnDoc;
+};
+
+/**
+ * Record the items as handed back at the station and put resellable ones back into stock
+ * @param {Object} returnDoc - Approved return
+ * @param {Object} receipt - { items: [{ itemId, condition }], notes }
+ * @param {Object} user - Agent or admin receiving the items
+ * @returns {Object} Updated return
+ */
+exports.receiveReturn = async (returnDoc, { items = [], notes = '' }, user) => {
+  const conditions = {};
+  (items || []).forEach(item => {
+    conditions[String(item.itemId || item.orderItemId)] = item.condition;
+  });
+
+  returnDoc.items.forEach(item => {
+    // Items not mentioned were checked and are fine to resell
+    const condition = conditions[item._id.toString()] || conditions[item.orderItem.toString()] || 'resellable';
+    if (!['resellable', 'damaged', 'missing'].includes(condition)) {
+      throw new Error(`Invalid condition for ${item.name}`);
+    }
+    item.condition = condition;
+    item.restockedQuantity = condition === 'resellable' ? item.quantity : 0;
+  });
+
+  const restock = returnDoc.items
+    .filter(item => item.restockedQuantity > 0)
+    .map(item => ({
+      product: item.product,
+      variant: item.variant,
+      sku: item.sku,
+      quantity: item.restockedQuantity
+    }));
+
+  await withTransaction(async session => {
+    // Only the request that moves the return to received restocks it
+    const transition = await Return.updateOne(
+      { _id: returnDoc._id, status: 'approved' },
+      { $set: { status: 'received' } },
+      { session }
+    );
+    if (transition.modifiedCount === 0) {
+      throw new Error('Return was changed by someone else, please reload and try again');
+    }
+
+    await restoreStock(restock, session, {
+      type: 'return',
+      order: toId(returnDoc.order),
+      performedBy: user._id,
+      note: `Return ${returnDoc.returnNumber}`
+    });
+
+    returnDoc.receivedBy = user._id;
+    returnDoc.receivedAt = new Date();
+    returnDoc.receivedNotes = notes;
+    returnDoc.setStatus('received', user, notes);
+    await returnDoc.save({ session });
+  });
+
+  console.log(`Return ${returnDoc.returnNumber} received; restocked ${restock.length} line(s)`);
+  return returnDoc;
+};
+
+/**
+ * Take back agent commission in proportion to the refunded amount
+ * Agent order commissions are reduced; delivery commissions are kept because the delivery still happened.
+ * A pending commission is reduced directly. Anything it can't cover (or the whole amount, if it was
+ * already paid) comes off the agent's other pending commissions, oldest first; the rest stays outstanding.
+ * @param {Object} returnDoc - Return being refunded
+ * @param {Number} refundAmount - Amount refunded
+ * @param {ClientSession} [session] - MongoDB session
+ * @returns {Array} Clawbacks recorded on the return
+ */
+exports.clawbackCommissions = async (returnDoc, refundAmount, session = null) => {
+  const commissions = await Commission.find({
+    orderId: toId(returnDoc.order),
+    type: 'agent_order',
+    status: { $in: ['pending', 'paid'] }
+  }).session(session);
+
+  const clawbacks = [];
+
+  for (const commission of commissions) {
+    if (!commission.orderTotal) continue;
+
+    // What the commission was before any clawbacks, and what earlier returns already took back
+    const originalAmount = commission.amount + (commission.clawbacks || []).reduce((sum, entry) => sum + entry.amount, 0);
+    const earlier = await Return.find({ 'commissionClawbacks.commission': commission._id, _id: { $ne: returnDoc._id } })
+      .select('commissionClawbacks')
+      .session(session)
+      .lean();
+    const alreadyClawed = earlier.reduce((sum, doc) => sum + doc.commissionClawbacks
+      .filter(entry => entry.commission.toString() === commission._id.toString())
+      .reduce((total, entry) => total + entry.amount, 0), 0);
+
+    const amount = Math.min(
+      Math.round(originalAmount * refundAmount / commission.orderTotal),
+      originalAmount - alreadyClawed
+    );
+    if (amount <= 0) continue;
+
+    const agentId = toId(commission.agentId);
+    let remaining = amount;
+
+    if (commission.status === 'pending') {
+      const fromSelf = Math.min(remaining, commission.amount);
+      if (fromSelf > 0) {
+        const taken = await Commission.updateOne(
+          { _id: commission._id, status: 'pending', amount: { $gte: fromSelf } },
+          {
+            $inc: { amount: -fromSelf },
+            $push: { clawbacks: { returnId: returnDoc._id, amount: fromSelf } }
+          },
+          { session }
+        );
+        // Paid out (or changed) since it was read: the rest comes from other commissions
+        if (taken.modifiedCount > 0) {
+          remaining -= fromSelf;
+        }
+      }
+    }
+
+    if (remaining > 0) {
+      const others = await Commission.find({
+        agentId,
+        status: 'pending',
+        amount: { $gt: 0 },
+        _id: { $ne: commission._id }
+      })
+        .sort({ createdAt: 1 })
+        .session(session);
+
+      for (const other of others) {
+        if (remaining <= 0) break;
+        const take = Math.min(remaining, other.amount);
+        const taken = await Commission.updateOne(
+          { _id: other._id, status: 'pending', amount: { $gte: take } },
+          {
+            $inc: { amount: -take },
+            $push: { clawbacks: { returnId: returnDoc._id, sourceCommission: commission._id, amount: take } }
+          },
+          { session }
+        );
+        if (taken.modifiedCount > 0) {
+          remaining -= take;
+        }
+      }
+    }
+
+    clawbacks.push({
+      commission: commission._id,
+      agent: agentId,
+      amount,
+      deducted: amount - remaining,
+      outstanding: remaining
+    });
+
+    if (remaining > 0) {
+      console.log(`Commission clawback for return ${returnDoc.returnNumber}: KSh ${remaining} still owed by agent ${agentId}`);
+    }
+  }
+
+  returnDoc.commissionClawbacks.push(...clawbacks);
+  return clawbacks;
+};
+
+// Mark the refund complete, take back commission and close the return (inside a transaction)
+// The refund is claimed from fromStatuses first, so a B2C result, a repeated result and an
+// admin confirming it can't all complete it and take the commission back twice.
+// Resolves to false (changing nothing) if the refund had already left fromStatuses.
+const completeRefund = async (returnDoc, user, note, session, fromStatuses = ['processing']) => {
+  const completedAt = new Date();
+  const claimed = await Return.updateOne(
+    { _id: returnDoc._id, 'refund.status': { $in: fromStatuses } },
+    { $set: { 'refund.status': 'completed', 'refund.completedAt': completedAt } },
+    { session }
+  );
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  returnDoc.refund.status = 'completed';
+  returnDoc.refund.completedAt = completedAt;
+  await exports.clawbackCommissions(returnDoc, returnDoc.refund.amount, session);
+  returnDoc.setStatus('refunded', user, note);
+  await returnDoc.save({ session });
+  return true;
+};
+
+/**
+ * Refund a received return
+ * store_credit is added to the customer's balance and mpesa_reversal records a reversal already
+ * made on the M-Pesa portal; both complete straight away. mpesa_b2c sends the money and completes
+ * when the B2C result arrives.
+ * @param {Object} returnDoc - Return with status 'received'
+ * @param {Object} refund - { method, amount, reference, phoneNumber, notes }
+ * @param {Object} user - Admin issuing the refund
+ * @returns {Object} Updated return
+ */
+exports.refundReturn = async (returnDoc, { method, amount, reference, phoneNumber, notes = '' }, user) => {
+  if (!Return.REFUND_METHODS.includes(method)) {
+    throw new Error(`Refund method must be one of: ${Return.REFUND_METHODS.join(', ')}`);
+  }
+
+  const refundAmount = amount === undefined || amount === null || amount === ''
+    ? returnDoc.refundableAmount
+    : Number(amount);
+  if (!(refundAmount > 0)) {
+    throw new Error('Refund amount must be greater than zero');
+  }
+  if (refundAmount > returnDoc.refundableAmount) {
+    throw new Error(`Refund cannot be more than the value of the returned items (KSh ${returnDoc.refundableAmount.toLocaleString()})`);
+  }
+  if (method === 'mpesa_reversal' && !reference) {
+    throw new Error('Enter the M-Pesa reversal transaction ID');
+  }
+
+  let phone = null;
+  if (method === 'mpesa_b2c') {
+    if (!isB2CConfigured()) {
+      throw new Error('M-Pesa B2C is not configured; refund by reversal or store credit instead');
+    }
+    // B2C sends whole shillings only
+    if (refundAmount < 1) {
+      throw new Error('M-Pesa refunds must be at least KSh 1');
+    }
+    const owner = await User.findById(toId(returnDoc.user)).select('phone');
+    phone = formatPhoneNumber(phoneNumber || (owner && owner.phone) || '');
+    if (!phone) {
+      throw new Error('A valid M-Pesa phone number is needed for the refund');
+    }
+  }
+
+  // Claim the refund so two admins can't both pay it out. What is about to be sent is
+  // stored with the claim, before any money moves.
+  const refundFields = {
+    method,
+    amount: method === 'mpesa_b2c' ? Math.floor(refundAmount) : refundAmount,
+    status: 'processing',
+    phoneNumber: phone || undefined,
+    processedBy: user._id,
+    initiatedAt: new Date()
+  };
+  const claimed = await Return.updateOne(
+    { _id: returnDoc._id, status: 'received', 'refund.status': { $in: ['not_started', 'failed'] } },
+    {
+      $set: Object.fromEntries(Object.entries(refundFields).map(([key, value]) => [`refund.${key}`, value])),
+      $unset: { 'refund.resultDesc': 1, 'refund.conversationId': 1, 'refund.originatorConversationId': 1 }
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new Error('This return is not waiting for a refund');
+  }
+
+  Object.assign(returnDoc.refund, refundFields, {
+    resultDesc: undefined,
+    conversationId: undefined,
+    originatorConversationId: undefined
+  });
+  if (notes) {
+    returnDoc.adminNotes = returnDoc.adminNotes ? `${returnDoc.adminNotes}; ${notes}` : notes;
+  }
+
+  // Once the B2C request has left, a failure no longer means the customer wasn't paid
+  let mayHaveSent = false;
+  try {
+    if (method === 'store_credit') {
+      returnDoc.refund.reference = reference || `Store credit for ${returnDoc.returnNumber}`;
+      await withTransaction(async session => {
+        if (!await completeRefund(returnDoc, user, notes || 'Refunded as store credit', session)) {
+          throw new Error('This return is not waiting for a refund');
+        }
+        await storeCreditService.addCredit(toId(returnDoc.user), refundAmount, session);
+      });
+    } else if (method === 'mpesa_reversal') {
+      returnDoc.refund.reference = reference;
+      await withTransaction(async session => {
+        if (!await completeRefund(returnDoc, user, notes || `M-Pesa reversal ${reference}`, session)) {
+          throw new Error('This return is not waiting for a refund');
+        }
+      });
+    } else {
+      const token = await generateToken();
+      if (!token) {
+        throw new Error('Failed to authenticate with M-Pesa');
+      }
+
+      mayHaveSent = true;
+      const b2cResponse = await initiateB2CPaymentRequest({
+        token,
+        phoneNumber: phone,
+        amount: returnDoc.refund.amount,
+        remarks: `Refund ${returnDoc.returnNumber}`,
+        occasion: 'Return refund'
+      });
+      if (!b2cResponse.success) {
+        mayHaveSent = !!b2cResponse.uncertain;
+        throw new Error(b2cResponse.message);
+      }
+
+      returnDoc.refund.conversationId = b2cResponse.data.ConversationID;
+      returnDoc.refund.originatorConversationId = b2cResponse.data.OriginatorConversationID;
+      await Return.updateOne(
+        { _id: returnDoc._id, 'refund.status': 'processing' },
+        {
+          $set: {
+            'refund.conversationId': returnDoc.refund.conversationId,
+            'refund.originatorConversationId': returnDoc.refund.originatorConversationId
+          }
+        }
+      );
+      if (notes) {
+        await Return.updateOne({ _id: returnDoc._id }, { $set: { adminNotes: returnDoc.adminNotes } });
+      }
+      console.log(`B2C refund initiated for return ${returnDoc.returnNumber}: ${returnDoc.refund.conversationId}`);
+    }
+  } catch (error) {
+    // Only a refund that certainly wasn't sent can be claimed again
+    const status = mayHaveSent ? 'needs_check' : 'failed';
+    const resultDesc = mayHaveSent
+      ? `M-Pesa may have sent this refund (${error.message}); check the M-Pesa statement before refunding again`
+      : error.message;
+    await Return.updateOne(
+      { _id: returnDoc._id, 'refund.status': 'processing' },
+      { $set: { 'refund.status': status, 'refund.resultDesc': resultDesc } }
+    );
+    throw new Error(resultDesc);
+  }
+
+  return returnDoc;
+};
+
+/**
+ * Apply a B2C result to the return it refunds (called from the M-Pesa result callback)
+ * @param {Object} returnDoc - Return whose refund.conversationId matched
+ * @param {Object} result - Parsed B2C result (see parseB2CResult)
+ * @returns {Object|null} Updated return, or null if the refund had already been settled
+ */
+exports.completeB2CRefund = async (returnDoc, result) => {
+  // A result can still arrive for a refund that timed out and is waiting to be checked
+  const openStatuses = ['processing', 'needs_check'];
+
+  if (result.resultCode !== 0) {
+    const failed = await Return.updateOne(
+      { _id: returnDoc._id, 'refund.status': { $in: openStatuses } },
+      { $set: { 'refund.status': 'failed', 'refund.resultDesc': result.resultDesc } }
+    );
+    if (failed.modifiedCount === 0) {
+      return null;
+    }
+    returnDoc.refund.status = 'failed';
+    returnDoc.refund.resultDesc = result.resultDesc;
+    console.log(`B2C refund failed for return ${returnDoc.returnNumber}: ${result.resultDesc}`);
+    return returnDoc;
+  }
+
+  returnDoc.refund.resultDesc = result.resultDesc;
+  returnDoc.refund.reference = result.transactionReceipt || result.transactionId;
+  let completed = false;
+  await withTransaction(async session => {
+    completed = await completeRefund(
+      returnDoc,
+      null,
+      `Refunded via M-Pesa (${returnDoc.refund.reference})`,
+      session,
+      openStatuses
+    );
+  });
+  if (!completed) {
+    return null;
+  }
+
+  console.log(`B2C refund completed for return ${returnDoc.returnNumber}: ${returnDoc.refund.reference}`);
+  return returnDoc;
+};
+
+/**
+ * Record a B2C refund that timed out in the M-Pesa queue
+ * The money may still arrive, so the refund waits for an admin to confirm the outcome.
+ * @param {Object} returnDoc - Return whose refund timed out
+ * @returns {Object} Updated return
+ */
+exports.markB2CRefundTimeout = async (returnDoc) => {
+  const resultDesc = 'Request timed out in the M-Pesa queue; check the M-Pesa statement before refunding again';
+  const updated = await Return.updateOne(
+    { _id: returnDoc._id, 'refund.status': 'processing' },
+    { $set: { 'refund.status': 'needs_check', 'refund.resultDesc': resultDesc } }
+  );
+  if (updated.modifiedCount === 0) {
+    return returnDoc;
+  }
+  returnDoc.refund.status = 'needs_check';
+  returnDoc.refund.resultDesc = resultDesc;
+  console.log(`B2C refund timed out for return ${returnDoc.returnNumber}`);
+  return returnDoc;
+};
+
+/**
+ * Settle a B2C refund whose outcome was unknown, after an admin has checked M-Pesa
+ * @param {Object} returnDoc - Return with refund.status 'needs_check'
+ * @param {Object} resolution - { outcome: 'completed'|'failed', reference, notes }
+ * @param {Object} user - Admin confirming the outcome
+ * @returns {Object} Updated return
+ */
+exports.resolveRefundCheck = async (returnDoc, { outcome, reference, notes = '' }, user) => {
+  if (!['completed', 'failed'].includes(outcome)) {
+    throw new Error('Outcome must be completed or failed');
+  }
+  if (outcome === 'completed' && !reference) {
+    throw new Error('Enter the M-Pesa transaction ID of the refund');
+  }
+
+  if (outcome === 'failed') {
+    const resultDesc = `Confirmed not sent${notes ? `: ${notes}` : ''}`;
+    const released = await Return.updateOne(
+      { _id: returnDoc._id, 'refund.status': 'needs_check' },
+      { $set: { 'refund.status': 'failed', 'refund.resultDesc': resultDesc } }
+    );
+    if (released.modifiedCount === 0) {
+      throw new Error('This refund is not waiting to be checked');
+    }
+    returnDoc.refund.status = 'failed';
+    returnDoc.refund.resultDesc = resultDesc;
+    return returnDoc;
+  }
+
+  // completeRefund claims it, so a late B2C result and the admin can't both complete it
+  returnDoc.refund.reference = reference;
+  await withTransaction(async session => {
+    if (!await completeRefund(
+      returnDoc,
+      user,
+      notes || `Refund confirmed on M-Pesa (${reference})`,
+      session,
+      ['needs_check']
+    )) {
+      throw new Error('This refund is not waiting to be checked');
+    }
+  });
+
+  return returnDoc;
+};
+
+exports.RETURN_WINDOW_DAYS = RETURN_WINDOW_DAYS;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const Review = require('../models/Review');
+
+// Words that send a review to the moderation queue; extend with REVIEW_BLOCKLIST (comma separated)
+const DEFAULT_BLOCKLIST = [
+  'fuck', 'shit', 'bitch', 'bastard', 'asshole', 'dickhead', 'cunt',
+  'malaya', 'matako', 'kuma', 'mavi', 'fala', 'msenge',
+  'whatsapp me', 'call me', 'inbox me'
+];
+
+const BLOCKLIST = [
+  ...DEFAULT_BLOCKLIST,
+  ...(process.env.REVIEW_BLOCKLIST || '').split(',')
+]
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+// More reviews than this from one account within the window is treated as a burst
+const USER_BURST_LIMIT = parseInt(process.env.REVIEW_USER_BURST_LIMIT) || 3;
+const USER_BURST_WINDOW_MINUTES = 60;
+
+// More reviews than this on one product within the window is treated as a burst
+const PRODUCT_BURST_LIMIT = parseInt(process.env.REVIEW_PRODUCT_BURST_LIMIT) || 10;
+const PRODUCT_BURST_WINDOW_MINUTES = 15;
+
+// Comments shorter than this ("Great product") are too generic to count as duplicates
+const DUPLICATE_MIN_LENGTH = 25;
+
+// Customer reports needed before a live review is pulled into the queue
+const REPORT_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD) || 3;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const BLOCKLIST_PATTERN = BLOCKLIST.length > 0
+  ? new RegExp(`\\b(${BLOCKLIST.map(escapeRegex).join('|')})\\b`, 'i')
+  : null;
+
+// Kenyan mobile numbers (07.., 01.., +254..) and any other long run of digits
+const PHONE_PATTERN = /(\+?254|\b0)[17]\d{8}\b|\d{9,}/;
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|co\.ke|ke|net|org|info|biz|io|xyz|shop|online)\b/i;
+
+const normalise = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Hash of a review comment with case, punctuation and spacing ignored
+ * @param {String} comment - Review comment
+ * @returns {String|null} Hash, or null for comments too short to compare
+ */
+exports.contentHash = (comment) => {
+  const text = normalise(comment);
+  if (text.length < DUPLICATE_MIN_LENGTH) {
+    return null;
+  }
+  return crypto.createHash('sha256').update(text).digest('hex');
+};
+
+/**
+ * Screen a new review before it is published
+ * @param {Object} review - { user, product, title, comment }
+ * @returns {Array} Moderation flags [{ reason, detail }]; empty when the review can go live
+ */
+exports.screenReview = async ({ user, product, title, comment }) => {
+  const flags = [];
+  const text = `${title || ''} ${comment || ''}`;
+
+  const blocked = BLOCKLIST_PATTERN && text.match(BLOCKLIST_PATTERN);
+  if (blocked) {
+    flags.push({ reason: 'blocklist', detail: `Contains "${blocked[1]}"` });
+  }
+
+  // Spaces and dashes are commonly used to slip numbers past filters
+  if (PHONE_PATTERN.test(text.replace(/[\s-]/g, ''))) {
+    flags.push({ reason: 'contact_info', detail: 'Contains a phone number' });
+  }
+
+  if (LINK_PATTERN.test(text)) {
+    flags.push({ reason: 'link', detail: 'Contains a link or web address' });
+  }
+
+  const hash = exports.contentHash(comment);
+  if (hash) {
+    const duplicate = await Review.exists({ contentHash: hash, user: { $ne: user } });
+    if (duplicate) {
+      flags.push({ reason: 'duplicate', detail: 'Same text as a review from another account' });
+    }
+  }
+
+  const recentByUser = await Review.countDocuments({
+    user,
+    createdAt: { $gte: new Date(Date.now() - USER_BURST_WINDOW_MINUTES * 60 * 1000) }
+  });
+  if (recentByUser >= USER_BURST_LIMIT) {
+    flags.push({ reason: 'burst', detail: `${recentByUser + 1} reviews from this account in the last hour` });
+  }
+
+  const recentOnProduct = await Review.countDocuments({
+    product,
+    createdAt: { $gte: new Date(Date.now() - PRODUCT_BURST_WINDOW_MINUTES * 60 * 1000) }
+  });
+  if (recentOnProduct >= PRODUCT_BURST_LIMIT) {
+    flags.push({ reason: 'burst', detail: `${recentOnProduct + 1} reviews on this product in the last ${PRODUCT_BURST_WINDOW_MINUTES} minutes` });
+  }
+
+  return flags;
+};
+
+/**
+ * Record a customer's report against a review
+ * Each user can report a review once; enough reports pull a live review into the moderation queue.
+ * @param {String} reviewId - Review being reported
+ * @param {String} userId - Reporting user
+ * @param {String} reason - One of Review.REPORT_REASONS
+ * @param {String} details - Optional free text
+ * @returns {Object|null} { review, queued } or null if the user has already reported it
+ */
+exports.reportReview = async (reviewId, userId, reason, details) => {
+  const review = await Review.findOneAndUpdate(
+    { _id: reviewId, 'reports.user': { $ne: userId } },
+    {
+      $push: { reports: { user: userId, reason, details, reportedAt: new Date() } },
+      $inc: { reportCount: 1 },
+      $set: { flagged: true }
+    },
+    { new: true }
+  );
+
+  if (!review) {
+    return null;
+  }
+
+  // Reviews an admin has already approved stay live; further reports just flag them again
+  let queued = false;
+  if (review.reportCount >= REPORT_THRESHOLD && review.moderationStatus === 'approved' && !review.moderatedAt) {
+    // Conditional so only the report that crosses the threshold moves it
+    const held = await Review.findOneAndUpdate(
+      { _id: review._id, moderationStatus: { $nin: ['pending', 'rejected'] } },
+      {
+        $set: { moderationStatus: 'pending' },
+        $push: { moderationFlags: { reason: 'reported', detail: `${review.reportCount} customer reports` } }
+      },
+      { new: true }
+    );
+    queued = !!held;
+  }
+
+  return { review, queued };
+};
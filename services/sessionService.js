@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+// How long a refresh token (and so a signed-in device) stays valid without use
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Device details recorded on the session
+const clientInfo = (req) => ({
+  userAgent: (req && req.headers['user-agent']) || '',
+  ipAddress: (req && req.ip) || ''
+});
+
+/**
+ * Start a new session for a user who has just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for device details)
+ * @returns {Object} { accessToken, refreshToken, session }
+ */
+exports.createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+
+  return {
+    accessToken: user.getSignedJwtToken(session._id),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * A rotated-out token being presented again revokes the whole session.
+ * @param {String} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request (for device details)
+ * @returns {Object} { session, refreshToken } - caller signs the access token
+ * @throws {Error} If the token is unknown, expired or revoked
+ */
+exports.rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    // Reuse of an already-rotated token: someone else has the current one
+    const reused = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: { $exists: false } });
+    if (reused) {
+      await reused.revoke('Refresh token reuse detected');
+      console.log(`Refresh token reuse detected; revoked session ${reused._id} for user ${reused.user}`);
+    }
+    throw new Error('Invalid refresh token');
+  }
+
+  if (!session.isActive) {
+    throw new Error('Session has expired or been revoked');
+  }
+
+  const nextRefreshToken = newRefreshToken();
+
+  // Conditional on the hash so two concurrent refreshes can't both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw new Error('Invalid refresh token');
+  }
+
+  return { session: rotated, refreshToken: nextRefreshToken };
+};
+
+/**
+ * Check that an access token's session is still live
+ * @param {String} sessionId - Session ID from the access token
+ * @param {String} userId - User ID from the access token
+ * @returns {Boolean}
+ */
+exports.isSessionActive = async (sessionId, userId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId });
+  return !!(session && session.isActive);
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {String} userId - Owner of the session
+ * @param {String} sessionId - Session to revoke
+ * @param {String} reason - Why it was revoked
+ * @returns {Boolean} True if a session was revoked
+ */
+exports.revokeSession = async (userId, sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason || '' } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke all of a user's sessions (optionally keeping the current one)
+ * @param {String} userId - User ID
+ * @param {String} reason - Why they were revoked
+ * @param {String} [exceptSessionId] - Session to keep signed in
+ * @returns {Number} Number of sessions revoked
+ */
+exports.revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason || '' }
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {String} userId - User ID
+ * @returns {Array} Sessions
+ */
+exports.getActiveSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() }
+}).sort({ lastUsedAt: -1 });
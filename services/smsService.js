@@ -103,6 +103,42 @@ class SMSService {
     }
   }
 
+  // Send a plain text SMS (order notifications etc.)
+  async sendMessage(phone, message) {
+    try {
+      const formattedPhone = this.formatPhoneNumber(phone);
+
+      const response = await axios.post(`${this.termiiBaseUrl}/sms/send`, {
+        api_key: this.termiiApiKey,
+        to: formattedPhone,
+        from: this.senderId,
+        sms: message,
+        type: 'plain',
+        channel: this.channel
+      }, {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      });
+
+      if (response.data && response.data.message_id) {
+        return {
+          success: true,
+          messageId: response.data.message_id
+        };
+      }
+      throw new Error('Invalid response from Termii API');
+    } catch (error) {
+      console.error('Termii SMS sending error:', {
+        error: error.message,
+        response: error.response?.data,
+        phone: phone
+      });
+      throw new Error(`Failed to send SMS: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
   // Send OTP using Termii's dedicated OTP endpoint
   async sendOTPViaTermiiOTP(phone, userName = 'User') {
     try {
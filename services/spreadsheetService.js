@@ -0,0 +1,115 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const SUPPORTED_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Work out the spreadsheet format from an uploaded file name
+ * @param {String} fileName - Original file name
+ * @returns {String|null} 'csv', 'xlsx' or null if unsupported
+ */
+exports.getFormat = (fileName = '') => {
+  const extension = path.extname(fileName).toLowerCase().replace('.', '');
+  return SUPPORTED_FORMATS.includes(extension) ? extension : null;
+};
+
+// Plain text for a cell (handles rich text, hyperlinks and formula results)
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if (value.text !== undefined) {
+      return cellText(value.text);
+    }
+    if (value.result !== undefined) {
+      return cellText(value.result);
+    }
+    if (value.hyperlink) {
+      return value.hyperlink;
+    }
+  }
+  return String(value).trim();
+};
+
+/**
+ * Read the first sheet of a CSV/XLSX file into row objects keyed by header
+ * @param {Buffer} buffer - File contents
+ * @param {String} format - 'csv' or 'xlsx'
+ * @returns {Array} Rows as { rowNumber, values: { header: text } }, blank rows skipped
+ */
+exports.readRows = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === 'csv') {
+    worksheet = await workbook.csv.read(Readable.from(buffer));
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return [];
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+    headers[columnNumber] = cellText(cell.value);
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    let hasValue = false;
+    row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      const header = headers[columnNumber];
+      if (!header) return;
+      const text = cellText(cell.value);
+      values[header] = text;
+      if (text !== '') hasValue = true;
+    });
+
+    if (hasValue) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Build a single-sheet CSV/XLSX file
+ * @param {Array} columns - [{ header, key, width }]
+ * @param {Array} rows - Row objects keyed by column key
+ * @param {String} format - 'csv' or 'xlsx'
+ * @param {String} sheetName - Worksheet name (xlsx only)
+ * @returns {Buffer} File contents
+ */
+exports.writeRows = async (columns, rows, format, sheetName = 'Sheet1') => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || 20
+  }));
+  rows.forEach(row => worksheet.addRow(row));
+
+  if (format === 'csv') {
+    return workbook.csv.writeBuffer();
+  }
+
+  worksheet.getRow(1).font = { bold: true };
+  return workbook.xlsx.writeBuffer();
+};
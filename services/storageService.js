@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+const { CloudinaryStorage } = require('multer-storage-cloudinary');
+
+// STORAGE_DRIVER picks where uploads go: 'cloudinary' or 'local' (files under /uploads, served by server.js).
+// Without it, Cloudinary is used when credentials are configured and local disk otherwise.
+const DRIVER = (process.env.STORAGE_DRIVER ||
+  (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')).toLowerCase();
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Resized copies generated alongside each upload
+const VARIANTS = {
+  thumbnail: { width: 300, height: 300, crop: 'fill' },
+  medium: { width: 800, height: 800, crop: 'limit' }
+};
+
+// Folder names come from the client, so keep them to a safe set of characters
+const safeFolder = (folder) => String(folder || 'general_uploads').replace(/[^a-zA-Z0-9_-]/g, '') || 'general_uploads';
+
+const resolveOption = (option, req, file) => (typeof option === 'function' ? option(req, file) : option);
+
+const uniqueName = (prefix) => `${prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+
+// ----- Cloudinary -----
+
+const cloudinaryDriver = {
+  name: 'cloudinary',
+
+  init() {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+  },
+
+  createMulterStorage({ folder, prefix, maxWidth, maxHeight }) {
+    return new CloudinaryStorage({
+      cloudinary: cloudinary,
+      params: {
+        folder: (req, file) => safeFolder(resolveOption(folder, req, file)),
+        public_id: (req, file) => uniqueName(prefix || file.fieldname),
+        transformation: [
+          { width: maxWidth, height: maxHeight, crop: 'limit' },
+          { quality: 'auto' }
+        ],
+        allowed_formats: ['jpg', 'jpeg', 'png', 'gif']
+      }
+    });
+  },
+
+  // Cloudinary resizes on the fly from the URL
+  variantUrls(publicId) {
+    return Object.keys(VARIANTS).reduce((urls, key) => {
+      urls[key] = cloudinary.url(publicId, {
+        secure: true,
+        transformation: [{ ...VARIANTS[key] }, { quality: 'auto' }]
+      });
+      return urls;
+    }, {});
+  },
+
+  async deleteFile(publicId) {
+    return cloudinary.uploader.destroy(publicId);
+  },
+
+  isStoredUrl(url) {
+    return typeof url === 'string' &&
+      url.startsWith(`https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/`);
+  }
+};
+
+// ----- Local disk -----
+
+// Public base for local files; UPLOADS_BASE_URL overrides the request's own host (e.g. behind a proxy or CDN)
+const localBaseUrl = (req) => (process.env.UPLOADS_BASE_URL ||
+  (req ? `${req.protocol}://${req.get('host')}` : '')).replace(/\/$/, '');
+
+// public_id is "<folder>/<name>"; both parts are re-sanitised so it can never point outside uploads/
+const localPaths = (publicId) => {
+  const [folder, name] = String(publicId || '').split('/');
+  const safeName = String(name || '').replace(/[^a-zA-Z0-9_-]/g, '');
+  if (!folder || !safeName) {
+    throw new Error('Invalid public_id');
+  }
+  return { dir: path.join(UPLOADS_DIR, safeFolder(folder)), name: safeName };
+};
+
+const variantFileName = (name, key, ext) => (key ? `${name}-${key}.${ext}` : `${name}.${ext}`);
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+// Multer storage engine writing a size-limited original plus resized variants to disk
+class LocalImageStorage {
+  constructor({ folder, prefix, maxWidth, maxHeight }) {
+    this.folder = folder;
+    this.prefix = prefix;
+    this.maxWidth = maxWidth;
+    this.maxHeight = maxHeight;
+  }
+
+  _handleFile(req, file, cb) {
+    // sharp is only needed (and loaded) for local storage
+    const sharp = require('sharp');
+
+    const store = async () => {
+      const folder = safeFolder(resolveOption(this.folder, req, file));
+      const name = uniqueName(this.prefix || file.fieldname);
+      const dir = path.join(UPLOADS_DIR, folder);
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const buffer = await readStream(file.stream);
+      const metadata = await sharp(buffer).metadata();
+      const ext = metadata.format === 'jpeg' ? 'jpg' : metadata.format;
+
+      if (!['jpg', 'png', 'gif'].includes(ext)) {
+        throw new Error('Error: Only images are allowed (jpeg, jpg, png, gif)');
+      }
+
+      const original = await sharp(buffer, { animated: ext === 'gif' })
+        .rotate()
+        .resize({ width: this.maxWidth, height: this.maxHeight, fit: 'inside', withoutEnlargement: true })
+        .toFile(path.join(dir, variantFileName(name, null, ext)));
+
+      for (const [key, variant] of Object.entries(VARIANTS)) {
+        await sharp(buffer)
+          .rotate()
+          .resize({
+            width: variant.width,
+            height: variant.height,
+            fit: variant.crop === 'fill' ? 'cover' : 'inside',
+            withoutEnlargement: variant.crop !== 'fill'
+          })
+          .toFile(path.join(dir, variantFileName(name, key, ext)));
+      }
+
+      const baseUrl = `${localBaseUrl(req)}/uploads/${folder}`;
+
+      return {
+        path: `${baseUrl}/${variantFileName(name, null, ext)}`,
+        filename: `${folder}/${name}`,
+        size: original.size,
+        width: original.width,
+        height: original.height,
+        format: ext,
+        variants: Object.keys(VARIANTS).reduce((urls, key) => {
+          urls[key] = `${baseUrl}/${variantFileName(name, key, ext)}`;
+          return urls;
+        }, {})
+      };
+    };
+
+    store().then(info => cb(null, info)).catch(cb);
+  }
+
+  _removeFile(req, file, cb) {
+    localDriver.deleteFile(file.filename).then(() => cb(null)).catch(cb);
+  }
+}
+
+const localDriver = {
+  name: 'local',
+
+  init() {
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+  },
+
+  createMulterStorage(options) {
+    return new LocalImageStorage(options);
+  },
+
+  // Variants are written at upload time; the URLs are known from the original's
+  variantUrls(publicId, url) {
+    const ext = path.extname(url || '').slice(1) || 'jpg';
+    const base = (url || '').slice(0, (url || '').lastIndexOf('/'));
+    const { name } = localPaths(publicId);
+    return Object.keys(VARIANTS).reduce((urls, key) => {
+      urls[key] = `${base}/${variantFileName(name, key, ext)}`;
+      return urls;
+    }, {});
+  },
+
+  async deleteFile(publicId) {
+    const { dir, name } = localPaths(publicId);
+    let files = [];
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch (error) {
+      return { result: 'not found' };
+    }
+
+    // The original and its variants
+    const pattern = new RegExp(`^${name}(-(${Object.keys(VARIANTS).join('|')}))?\\.(jpg|png|gif)$`);
+    const matches = files.filter(file => pattern.test(file));
+    await Promise.all(matches.map(file => fs.promises.unlink(path.join(dir, file))));
+
+    return { result: matches.length > 0 ? 'ok' : 'not found' };
+  },
+
+  // Same origin as the URLs this server hands out, so another host's /uploads/ path doesn't pass
+  isStoredUrl(url, req) {
+    const baseUrl = localBaseUrl(req);
+    if (typeof url !== 'string' || !baseUrl) {
+      return false;
+    }
+    try {
+      const parsed = new URL(url);
+      return parsed.origin === new URL(baseUrl).origin && parsed.pathname.startsWith('/uploads/');
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+const drivers = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver
+};
+
+const driver = drivers[DRIVER];
+if (!driver) {
+  throw new Error(`Unknown STORAGE_DRIVER "${DRIVER}" (expected cloudinary or local)`);
+}
+driver.init();
+console.log(`File storage driver: ${driver.name}`);
+
+/**
+ * Multer storage engine for image uploads using the configured driver
+ * Uploaded files get file.path (public URL) and file.filename (public_id for deleting later).
+ * @param {Object} options - { folder (string or function(req, file)), prefix, maxWidth, maxHeight }
+ * @returns {Object} Multer storage engine
+ */
+exports.createImageStorage = (options) => driver.createMulterStorage({
+  maxWidth: 1200,
+  maxHeight: 1200,
+  ...options
+});
+
+/**
+ * Resized versions of a stored image
+ * @param {String} publicId - public_id from the upload
+ * @param {String} url - URL of the original
+ * @returns {Object} { thumbnail, medium } URLs
+ */
+exports.getVariantUrls = (publicId, url) => driver.variantUrls(publicId, url);
+
+/**
+ * Delete a stored image (and its variants)
+ * @param {String} publicId - public_id from the upload
+ * @returns {Object} Driver result, e.g. { result: 'ok' }
+ */
+exports.deleteFile = (publicId) => driver.deleteFile(publicId);
+
+/**
+ * Whether a URL points at a file in our own storage
+ * @param {String} url - URL to check
+ * @param {Object} req - Express request (local driver compares against its host)
+ * @returns {Boolean}
+ */
+exports.isStoredUrl = (url, req) => driver.isStoredUrl(url, req);
+
+exports.driverName = driver.name;
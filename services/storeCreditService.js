@@ -0,0 +1,53 @@
+const User = require('../models/User');
+
+/**
+ * Store credit balance a customer can spend at checkout
+ * @param {String} userId - Customer ID
+ * @returns {Number} Balance in KSh
+ */
+exports.getBalance = async (userId) => {
+  const user = await User.findById(userId).select('storeCredit');
+  return user ? user.storeCredit || 0 : 0;
+};
+
+/**
+ * Add to a customer's store credit (refunds, credit given back by order edits and cancellations)
+ * @param {String} userId - Customer ID
+ * @param {Number} amount - Amount to add
+ * @param {Object} session - Mongoose session
+ */
+exports.addCredit = async (userId, amount, session = null) => {
+  if (!(amount > 0)) return;
+  await User.updateOne({ _id: userId }, { $inc: { storeCredit: amount } }, { session });
+};
+
+/**
+ * Take store credit for an order
+ * The deduction only happens if the balance still covers it, so two checkouts can't spend it twice.
+ * @param {String} userId - Customer ID
+ * @param {Number} amount - Amount to spend
+ * @param {Object} session - Mongoose session
+ * @throws {Error} If the balance no longer covers the amount
+ */
+exports.spendCredit = async (userId, amount, session = null) => {
+  if (!(amount > 0)) return;
+  const result = await User.updateOne(
+    { _id: userId, storeCredit: { $gte: amount } },
+    { $inc: { storeCredit: -amount } },
+    { session }
+  );
+  if (result.modifiedCount === 0) {
+    throw new Error('Your store credit balance has changed. Please review your total.');
+  }
+};
+
+/**
+ * Give back the store credit an order used (when the order is cancelled)
+ * @param {Object} order - Order being cancelled
+ * @param {Object} session - Mongoose session
+ */
+exports.restoreOrderCredit = async (order, session = null) => {
+  if (!(order.storeCreditApplied > 0)) return;
+  await exports.addCredit(order.user._id || order.user, order.storeCreditApplied, session);
+  console.log(`Restored KSh ${order.storeCreditApplied} store credit for order ${order.orderNumber}`);
+};
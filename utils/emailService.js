@@ -159,7 +159,118 @@ const sendAgentSetupEmail = async (email, token, name, pickupStation) => {
   }
 };
 
+/**
+ * Send order cancelled email when an unpaid order's stock hold expires
+ * @param {string} email - Customer email address
+ * @param {string} name - Customer's name
+ * @param {string} orderNumber - Order number
+ * @param {number} holdMinutes - How long the stock was held for
+ * @returns {Promise<Object>} - Response from Resend API
+ */
+const sendOrderExpiredEmail = async (email, name, orderNumber, holdMinutes) => {
+  try {
+    const ordersUrl = `${FRONTEND_BASE_URL}/orders`;
+
+    const response = await axios.post('https://api.resend.com/emails', {
+      from: 'CessPlug <support@cessplug.com>',
+      to: email,
+      subject: `Order ${orderNumber} cancelled - payment not received`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2196f3;">Your order has been cancelled</h2>
+          <p>Hello ${name || 'Customer'},</p>
+          <p>We did not receive M-Pesa payment for order <strong>${orderNumber}</strong> within ${holdMinutes} minutes, so the order has been cancelled and the items released.</p>
+          <p>If you used chama credit on this order, it has been returned to your balance.</p>
+          <p>You can place the order again at any time:</p>
+          <div style="margin: 30px 0;">
+            <a href="${ordersUrl}" style="background-color: #ea580c; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              View My Orders
+            </a>
+          </div>
+          <p>If you completed the payment, please contact support with your M-Pesa receipt number.</p>
+          <p>Thanks,<br>The CessPlug Team</p>
+        </div>
+      `,
+    }, {
+      headers: {
+        'Authorization': `Bearer ${RESEND_API_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    console.log(`Order expired email sent to ${email} for order ${orderNumber}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    console.error('Resend order expired email error:', error.response?.data || error.message);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to send order expired email',
+      error: error.response?.data || error.message
+    };
+  }
+};
+
+/**
+ * Send the pickup code for an order that has arrived at its pickup station
+ * @param {string} email - Customer email address
+ * @param {string} name - Customer's name
+ * @param {string} orderNumber - Order number
+ * @param {string} code - One-time pickup code
+ * @param {Object} station - Pickup station ({ name, address, city })
+ * @returns {Promise<Object>} - Response from Resend API
+ */
+const sendPickupCodeEmail = async (email, name, orderNumber, code, station) => {
+  try {
+    const orderUrl = `${FRONTEND_BASE_URL}/orders`;
+    const stationLine = station
+      ? `${station.name}${station.address ? `, ${station.address}` : ''}${station.city ? `, ${station.city}` : ''}`
+      : 'your pickup station';
+
+    const response = await axios.post('https://api.resend.com/emails', {
+      from: 'CessPlug <support@cessplug.com>',
+      to: email,
+      subject: `Order ${orderNumber} is ready for pickup`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2196f3;">Your order is ready for pickup</h2>
+          <p>Hello ${name || 'Customer'},</p>
+          <p>Order <strong>${orderNumber}</strong> has arrived at <strong>${stationLine}</strong>.</p>
+          <p>Show this code to the agent when you collect it:</p>
+          <div style="margin: 30px 0; font-size: 32px; font-weight: bold; letter-spacing: 8px; color: #ea580c;">
+            ${code}
+          </div>
+          <p>You can also show the QR code from your order page:</p>
+          <div style="margin: 30px 0;">
+            <a href="${orderUrl}" style="background-color: #ea580c; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              View My Orders
+            </a>
+          </div>
+          <p>Don't share this code with anyone who isn't collecting the order for you.</p>
+          <p>Thanks,<br>The CessPlug Team</p>
+        </div>
+      `,
+    }, {
+      headers: {
+        'Authorization': `Bearer ${RESEND_API_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    console.log(`Pickup code email sent to ${email} for order ${orderNumber}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    console.error('Resend pickup code email error:', error.response?.data || error.message);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to send pickup code email',
+      error: error.response?.data || error.message
+    };
+  }
+};
+
 module.exports = {
+  sendPickupCodeEmail,
   sendPasswordResetEmail,
-  sendAgentSetupEmail
+  sendAgentSetupEmail,
+  sendOrderExpiredEmail
 };
\ No newline at end of file